@@ -1134,7 +1134,7 @@ class DatabaseBuilder {
   mapEquipTypeIdToName(equipTypeId) {
     const typeMapping = {
       '0': 'ONE_HANDED_AXE',
-      '1': 'ONE_HANDED_MACE',
+      '1': 'ONE_HANDED_MACES',
       '2': 'ONE_HANDED_SCEPTRE',
       '3': 'ONE_HANDED_SWORD',
       '4': 'WAND',
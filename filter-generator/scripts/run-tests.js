@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+/**
+ * npm test entry point
+ * Runs jest with the given arguments; --update-snapshots (which jest itself rejects)
+ * rewrites the golden filters in tests/golden/ instead of comparing against them
+ */
+const jest = require('jest');
+
+const args = process.argv.slice(2);
+const updateIndex = args.indexOf('--update-snapshots');
+if (updateIndex !== -1) {
+    args.splice(updateIndex, 1);
+    process.env.UPDATE_SNAPSHOTS = '1';
+}
+
+jest.run(args);
@@ -0,0 +1,269 @@
+const { Filter } = require('../model');
+
+// Rule types that end evaluation for an item; HIGHLIGHT rules let evaluation continue
+const TERMINAL_TYPES = ['SHOW', 'HIDE'];
+
+/**
+ * Filter analyzer for rule shadowing
+ * Rules are evaluated in game order (Filter#getEvaluationOrder, the last rule in the file
+ * first) and the first SHOW / HIDE match wins, so a rule is dead when a terminal rule
+ * evaluated before it matches every item it could match. Coverage is only reported when
+ * it can be proven from the condition semantics.
+ */
+class FilterAnalyzer {
+    /**
+     * Analyze a filter file
+     */
+    async analyzeFile(filePath) {
+        const filter = await Filter.load(filePath);
+        return this.analyze(filter);
+    }
+
+    /**
+     * Find duplicate, dead and HIDE-shadowed rules
+     * Each finding is { kind, rule, coveredBy, message } with rule references
+     * of the form { index, name } (index = document position, 1-based)
+     */
+    analyze(filter) {
+        const findings = [];
+        const earlier = [];
+
+        for (const entry of filter.getEvaluationOrder()) {
+            if (entry.rule.isEnabled === false) {
+                continue;
+            }
+
+            const duplicate = earlier.find(previous => this.isDuplicate(previous.rule, entry.rule));
+            const cover = earlier.find(previous =>
+                TERMINAL_TYPES.includes(previous.rule.type) && this.covers(previous.rule, entry.rule));
+
+            if (duplicate) {
+                findings.push(this.createFinding('duplicate', entry, duplicate,
+                    'is an exact duplicate of'));
+            } else if (cover && cover.rule.type === 'HIDE' && entry.rule.type !== 'HIDE') {
+                findings.push(this.createFinding('shadowed', entry, cover,
+                    `(${entry.rule.type}) is fully hidden by HIDE rule`));
+            } else if (cover) {
+                findings.push(this.createFinding('dead', entry, cover,
+                    'can never match: every item it matches is caught first by'));
+            }
+
+            earlier.push(entry);
+        }
+
+        return findings;
+    }
+
+    /**
+     * Create a finding referencing both rules
+     */
+    createFinding(kind, entry, previous, text) {
+        const rule = this.ruleReference(entry);
+        const coveredBy = this.ruleReference(previous);
+        return {
+            kind,
+            rule,
+            coveredBy,
+            message: `${this.ruleLabel(rule)} ${text} ${this.ruleLabel(coveredBy)}`
+        };
+    }
+
+    /**
+     * Two rules with the same type, visuals and conditions
+     */
+    isDuplicate(a, b) {
+        const strip = rule => {
+            const json = rule.toJSON();
+            delete json.nameOverride;
+            delete json.order;
+            return JSON.stringify(json);
+        };
+        return strip(a) === strip(b);
+    }
+
+    /**
+     * Whether every item matched by rule b is also matched by rule a
+     * Conditions inside a rule are combined with AND, so a covers b when each
+     * condition of a is implied by some condition of b.
+     */
+    covers(a, b) {
+        if (!this.coversLevels(a, b)) {
+            return false;
+        }
+        return a.conditions.every(condition =>
+            b.conditions.some(other => this.coversCondition(condition, other)));
+    }
+
+    /**
+     * Level-dependent rules only apply within their level range
+     */
+    coversLevels(a, b) {
+        if (!a.levelDependent) {
+            return true;
+        }
+        return Boolean(b.levelDependent) && b.minLvl >= a.minLvl && b.maxLvl <= a.maxLvl;
+    }
+
+    /**
+     * Whether condition b implies condition a
+     */
+    coversCondition(a, b) {
+        if (a.type !== b.type) {
+            return false;
+        }
+
+        switch (a.type) {
+            case 'RarityCondition':
+                // Sample filters pair an empty rarity list with Weaver's Will or affix conditions
+                // (e.g. Frog Minions "All Weaver's Will items"), so it proves nothing on its own
+                return this.isSubset(b.rarity, a.rarity) && (b.rarity.length > 0 || a.rarity.length === 0) &&
+                    this.coversRange(a.minLegendaryPotential, a.maxLegendaryPotential,
+                        b.minLegendaryPotential, b.maxLegendaryPotential) &&
+                    this.coversRange(a.minWeaversWill, a.maxWeaversWill, b.minWeaversWill, b.maxWeaversWill);
+
+            case 'AffixCondition':
+                return this.coversAffixCondition(a, b);
+
+            case 'SubTypeCondition':
+                return this.coversSubTypeCondition(a, b);
+
+            case 'ClassCondition':
+                return this.isSubset(b.req, a.req);
+
+            case 'UniquesCondition':
+                return this.isSubset(b.uniqueIds, a.uniqueIds);
+
+            case 'UniqueModifiersCondition':
+                return b.uniques.every(unique => {
+                    const match = a.uniques.find(entry => entry.uniqueId === unique.uniqueId);
+                    return match && (this.hasOpenRolls(match) ||
+                        JSON.stringify(match.rolls) === JSON.stringify(unique.rolls));
+                });
+
+            case 'AffixCountCondition':
+                return (a.sealedType === 'Any' || a.sealedType === b.sealedType) &&
+                    this.coversRange(a.minPrefixes, a.maxPrefixes, b.minPrefixes, b.maxPrefixes) &&
+                    this.coversRange(a.minSuffixes, a.maxSuffixes, b.minSuffixes, b.maxSuffixes);
+
+            case 'FactionCondition':
+                return this.isSubset(b.factions, a.factions);
+
+            default:
+                return JSON.stringify(a) === JSON.stringify(b);
+        }
+    }
+
+    /**
+     * AffixCondition b implies a when its affixes are a subset and its thresholds are at least as strict
+     */
+    coversAffixCondition(a, b) {
+        if (!this.isSubset(b.affixes, a.affixes) || b.minOnTheSameItem < a.minOnTheSameItem) {
+            return false;
+        }
+
+        if (a.comparsion !== 'ANY') {
+            if (a.comparsion !== b.comparsion || !this.isStricter(a.comparsion, a.comparsionValue, b.comparsionValue)) {
+                return false;
+            }
+        }
+
+        // A superset of affixes can only raise the combined tier total
+        if (a.combinedComparsion !== 'ANY') {
+            if (a.combinedComparsion !== b.combinedComparsion ||
+                !this.isStricter(a.combinedComparsion, a.combinedComparsionValue, b.combinedComparsionValue)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * SubTypeCondition b implies a; empty lists match any equipment type / subtype
+     */
+    coversSubTypeCondition(a, b) {
+        if (a.equipmentTypes && a.equipmentTypes.length > 0) {
+            if (!b.equipmentTypes || b.equipmentTypes.length === 0 || !this.isSubset(b.equipmentTypes, a.equipmentTypes)) {
+                return false;
+            }
+        }
+
+        if (a.subTypes && a.subTypes.length > 0) {
+            return Boolean(b.subTypes) && b.subTypes.length > 0 && this.isSubset(b.subTypes, a.subTypes);
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether value b satisfies comparison a at least as strictly as value a
+     */
+    isStricter(comparison, a, b) {
+        switch (comparison) {
+            case 'EQUAL':
+                return a === b;
+            case 'LESS_OR_EQUAL':
+                return b <= a;
+            case 'MORE':
+            case 'MORE_OR_EQUAL':
+                return b >= a;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Whether range [bMin, bMax] lies inside [aMin, aMax] (null = unbounded)
+     */
+    coversRange(aMin, aMax, bMin, bMax) {
+        const lowerOk = aMin === null || aMin === undefined || (bMin !== null && bMin !== undefined && bMin >= aMin);
+        const upperOk = aMax === null || aMax === undefined || (bMax !== null && bMax !== undefined && bMax <= aMax);
+        return lowerOk && upperOk;
+    }
+
+    /**
+     * Unique entry without roll constraints
+     */
+    hasOpenRolls(unique) {
+        return (unique.rolls || []).every(roll => roll.minRoll === null && roll.maxRoll === null);
+    }
+
+    /**
+     * Whether every value of b is in a
+     */
+    isSubset(b = [], a = []) {
+        const values = new Set(a);
+        return b.every(value => values.has(value));
+    }
+
+    /**
+     * Reference to a rule for reports
+     */
+    ruleReference(entry) {
+        return { index: entry.index + 1, name: entry.rule.nameOverride || '' };
+    }
+
+    /**
+     * Rule label used in messages, e.g. Rule 3 'Build Uniques'
+     */
+    ruleLabel(reference) {
+        return reference.name ? `Rule ${reference.index} '${reference.name}'` : `Rule ${reference.index}`;
+    }
+
+    /**
+     * Print findings for a filter
+     */
+    printFindings(fileName, findings) {
+        if (findings.length === 0) {
+            console.log(`✅ ${fileName}: no shadowed, dead or duplicate rules`);
+            return;
+        }
+
+        console.log(`⚠️  ${fileName}: ${findings.length} issue(s)`);
+        findings.forEach(finding => {
+            console.log(`   └─ ⚠️  [${finding.kind}] ${finding.message}`);
+        });
+    }
+}
+
+module.exports = FilterAnalyzer;
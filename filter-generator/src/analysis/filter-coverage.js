@@ -0,0 +1,130 @@
+const { Filter } = require('../model');
+const LootGenerator = require('../simulation/loot-generator');
+const FilterSimulator = require('../simulation/filter-simulator');
+
+const DEFAULT_COUNT = 10000;
+
+/**
+ * Loot-stream coverage for a filter
+ * Runs a randomized, seeded loot stream (LootGenerator) through the filter with the
+ * FilterSimulator and reports how much is hidden / shown / highlighted, how often
+ * each rule decides an item and which enabled rules never fire. Rules are listed in
+ * the simulator's game order (Filter#getEvaluationOrder).
+ */
+class FilterCoverage {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    /**
+     * Coverage of a filter file
+     */
+    async analyzeFile(filePath, options = {}) {
+        const filter = await Filter.load(filePath);
+        return this.analyze(filter, options);
+    }
+
+    /**
+     * Coverage of a parsed filter for { count, seed, level }
+     * Returns { items, hidden, shown, highlighted, unmatched, byRarity, rules, neverFired }
+     */
+    analyze(filter, options = {}) {
+        const count = options.count || DEFAULT_COUNT;
+        const items = new LootGenerator(this.dataManager, options.seed ?? 1).generate(count);
+        const simulator = new FilterSimulator(this.dataManager);
+        const results = simulator.simulate(filter, items, { level: options.level });
+
+        const fired = new Map();
+        const fire = reference => fired.set(reference.index, (fired.get(reference.index) || 0) + 1);
+        const byRarity = {};
+        const totals = { hidden: 0, shown: 0, highlighted: 0, unmatched: 0 };
+
+        results.forEach((result, index) => {
+            const rarity = items[index].rarity;
+            byRarity[rarity] = byRarity[rarity] || { total: 0, shown: 0 };
+            byRarity[rarity].total++;
+
+            if (result.visible) {
+                totals.shown++;
+                byRarity[rarity].shown++;
+            } else {
+                totals.hidden++;
+            }
+            if (result.highlight) {
+                fire(result.highlight);
+                if (result.visible) {
+                    totals.highlighted++;
+                }
+            }
+            if (result.rule) {
+                fire(result.rule);
+            } else {
+                totals.unmatched++;
+            }
+        });
+
+        const rules = filter.getEvaluationOrder()
+            .filter(entry => entry.rule.isEnabled !== false)
+            .map(entry => ({
+                index: entry.index + 1,
+                name: entry.rule.nameOverride || '',
+                type: entry.rule.type,
+                fired: fired.get(entry.index + 1) || 0
+            }));
+
+        return {
+            items: count,
+            ...totals,
+            byRarity,
+            rules,
+            neverFired: rules.filter(rule => rule.fired === 0)
+        };
+    }
+
+    /**
+     * Percentage of the stream, e.g. 12.3%
+     */
+    percent(value, total) {
+        return `${total > 0 ? (value / total * 100).toFixed(1) : '0.0'}%`;
+    }
+
+    /**
+     * Rule label used in messages, e.g. Rule 3 'Build Uniques'
+     */
+    ruleLabel(rule) {
+        return rule.name ? `Rule ${rule.index} '${rule.name}'` : `Rule ${rule.index}`;
+    }
+
+    /**
+     * Print a coverage report
+     */
+    printCoverage(fileName, coverage) {
+        const total = coverage.items;
+        console.log(`📊 ${fileName}: ${total} simulated drops`);
+        console.log(`   🙈 Hidden:      ${this.percent(coverage.hidden, total)}`);
+        console.log(`   👁️  Shown:       ${this.percent(coverage.shown, total)}` +
+            (coverage.unmatched > 0 ? ` (${this.percent(coverage.unmatched, total)} by no rule)` : ''));
+        console.log(`   ✨ Highlighted: ${this.percent(coverage.highlighted, total)}`);
+        console.log('');
+
+        console.log('🎚️  Shown by rarity:');
+        for (const [rarity, counts] of Object.entries(coverage.byRarity)) {
+            console.log(`   ${rarity.padEnd(10)} ${this.percent(counts.shown, counts.total).padStart(6)} of ${counts.total}`);
+        }
+        console.log('');
+
+        console.log('📋 Rule hits (evaluation order):');
+        coverage.rules.forEach(rule => {
+            const hits = `${this.percent(rule.fired, total).padStart(6)} ${String(rule.fired).padStart(6)}`;
+            console.log(`   ${hits}  ${rule.type.padEnd(9)} ${this.ruleLabel(rule)}`);
+        });
+
+        if (coverage.neverFired.length > 0) {
+            console.log('');
+            console.log(`⚠️  ${coverage.neverFired.length} rule(s) never fired:`);
+            coverage.neverFired.forEach(rule => console.log(`   └─ ${this.ruleLabel(rule)}`));
+        }
+    }
+}
+
+module.exports = FilterCoverage;
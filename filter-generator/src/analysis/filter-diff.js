@@ -0,0 +1,375 @@
+const { Filter } = require('../model');
+
+// Rule properties reported as visual changes
+const VISUAL_FIELDS = ['color', 'emphasized', 'soundId', 'beamId'];
+
+// Other rule properties compared between matched rules
+const RULE_FIELDS = ['type', 'isEnabled', 'levelDependent', 'minLvl', 'maxLvl'];
+
+// Singular labels for list fields in condition set differences
+const LIST_LABELS = {
+    affixes: 'affix',
+    uniqueIds: 'unique',
+    equipmentTypes: 'type',
+    subTypes: 'subtype',
+    rarity: 'rarity',
+    req: 'class',
+    factions: 'faction',
+    flags: 'flag'
+};
+
+/**
+ * Rule-by-rule comparison of two filters on the filter model
+ * Rules are matched by nameOverride (repeated names by occurrence), the remaining
+ * unnamed rules by position. List fields are compared as sets, so reordered <int>
+ * lists are not reported; affix, unique and visual IDs are named from the database
+ * when a loaded DataManager is given.
+ */
+class FilterDiff {
+    constructor(dataManager = null) {
+        this.dataManager = dataManager;
+    }
+
+    /**
+     * Compare two filter files
+     */
+    async diffFiles(fileA, fileB) {
+        const [filterA, filterB] = await Promise.all([Filter.load(fileA), Filter.load(fileB)]);
+        return this.diff(filterA, filterB);
+    }
+
+    /**
+     * Compare two parsed filters
+     * Returns { filter: [messages], changes: [{ kind, rule, from, details, message }] } where kind
+     * is 'added', 'removed', 'moved' or 'changed' and rule references are { index, name }
+     */
+    diff(filterA, filterB) {
+        const filter = [];
+        if (filterA.name !== filterB.name) {
+            filter.push(`name: '${filterA.name}' → '${filterB.name}'`);
+        }
+        if (filterA.description !== filterB.description) {
+            filter.push('description changed');
+        }
+
+        const { pairs, removed, added } = this.matchRules(filterA, filterB);
+        const changes = [];
+
+        for (const entry of removed) {
+            changes.push(this.createChange('removed', entry, null, []));
+        }
+        for (const entry of added) {
+            changes.push(this.createChange('added', entry, null, []));
+        }
+        for (const pair of this.findMovedPairs(filterA, filterB, pairs)) {
+            changes.push(this.createChange('moved', pair.b, pair.a,
+                [`evaluation position ${pair.positionA} → ${pair.positionB}`]));
+        }
+        for (const pair of pairs) {
+            const details = this.diffRule(pair.a.rule, pair.b.rule);
+            if (details.length > 0) {
+                changes.push(this.createChange('changed', pair.b, pair.a, details));
+            }
+        }
+
+        return { filter, changes };
+    }
+
+    /**
+     * Pair rules of both filters as { rule, index } entries
+     */
+    matchRules(filterA, filterB) {
+        const keyed = filter => {
+            const seen = new Map();
+            const named = new Map();
+            const unnamed = [];
+
+            filter.rules.forEach((rule, index) => {
+                const name = rule.nameOverride || '';
+                if (name === '') {
+                    unnamed.push({ rule, index });
+                    return;
+                }
+                const occurrence = (seen.get(name) || 0) + 1;
+                seen.set(name, occurrence);
+                named.set(`${name}#${occurrence}`, { rule, index });
+            });
+
+            return { named, unnamed };
+        };
+
+        const a = keyed(filterA);
+        const b = keyed(filterB);
+        const pairs = [];
+        const removed = [];
+        const added = [];
+
+        for (const [key, entry] of a.named) {
+            if (b.named.has(key)) {
+                pairs.push({ a: entry, b: b.named.get(key) });
+            } else {
+                removed.push(entry);
+            }
+        }
+        for (const [key, entry] of b.named) {
+            if (!a.named.has(key)) {
+                added.push(entry);
+            }
+        }
+
+        const common = Math.min(a.unnamed.length, b.unnamed.length);
+        for (let i = 0; i < common; i++) {
+            pairs.push({ a: a.unnamed[i], b: b.unnamed[i] });
+        }
+        removed.push(...a.unnamed.slice(common));
+        added.push(...b.unnamed.slice(common));
+
+        return { pairs, removed, added };
+    }
+
+    /**
+     * Matched rules whose relative evaluation order changed, with their 1-based evaluation positions
+     * The longest run of pairs that kept their order counts as unmoved; the rest moved
+     */
+    findMovedPairs(filterA, filterB, pairs) {
+        const rank = filter => new Map(filter.getEvaluationOrder().map((entry, position) => [entry.index, position]));
+        const rankA = rank(filterA);
+        const rankB = rank(filterB);
+
+        const ordered = [...pairs].sort((x, y) => rankA.get(x.a.index) - rankA.get(y.a.index));
+        const kept = this.longestIncreasingRun(ordered.map(pair => rankB.get(pair.b.index)));
+
+        return ordered
+            .filter((pair, position) => !kept.has(position))
+            .map(pair => ({ ...pair, positionA: rankA.get(pair.a.index) + 1, positionB: rankB.get(pair.b.index) + 1 }));
+    }
+
+    /**
+     * Positions of a longest increasing subsequence of values
+     */
+    longestIncreasingRun(values) {
+        const lengths = values.map(() => 1);
+        const previous = values.map(() => -1);
+        let best = -1;
+
+        for (let i = 0; i < values.length; i++) {
+            for (let j = 0; j < i; j++) {
+                if (values[j] < values[i] && lengths[j] + 1 > lengths[i]) {
+                    lengths[i] = lengths[j] + 1;
+                    previous[i] = j;
+                }
+            }
+            if (best === -1 || lengths[i] > lengths[best]) {
+                best = i;
+            }
+        }
+
+        const kept = new Set();
+        for (let i = best; i !== -1; i = previous[i]) {
+            kept.add(i);
+        }
+        return kept;
+    }
+
+    /**
+     * Differences between two matched rules as readable strings
+     */
+    diffRule(a, b) {
+        const details = [];
+
+        for (const field of RULE_FIELDS) {
+            if (a[field] !== b[field]) {
+                details.push(`${field} ${a[field]} → ${b[field]}`);
+            }
+        }
+        for (const field of VISUAL_FIELDS) {
+            if (a[field] !== b[field]) {
+                details.push(`${field} ${this.describeVisual(field, a[field])} → ${this.describeVisual(field, b[field])}`);
+            }
+        }
+
+        details.push(...this.diffConditions(a.conditions, b.conditions));
+        return details;
+    }
+
+    /**
+     * Match conditions by i:type (repeated types by occurrence) and compare them
+     */
+    diffConditions(conditionsA, conditionsB) {
+        const byType = conditions => {
+            const groups = new Map();
+            for (const condition of conditions) {
+                groups.set(condition.type, [...(groups.get(condition.type) || []), condition]);
+            }
+            return groups;
+        };
+
+        const groupsA = byType(conditionsA);
+        const groupsB = byType(conditionsB);
+        const types = [...new Set([...groupsA.keys(), ...groupsB.keys()])];
+        const details = [];
+
+        for (const type of types) {
+            const listA = groupsA.get(type) || [];
+            const listB = groupsB.get(type) || [];
+
+            for (let i = 0; i < Math.max(listA.length, listB.length); i++) {
+                if (!listB[i]) {
+                    details.push(`-${type}`);
+                } else if (!listA[i]) {
+                    details.push(`+${type}`);
+                } else {
+                    details.push(...this.diffCondition(listA[i], listB[i]));
+                }
+            }
+        }
+
+        return details;
+    }
+
+    /**
+     * Field differences between two conditions of the same type
+     * List fields become set differences, e.g. +affix 643 (Minion Attack Speed), -affix 36
+     */
+    diffCondition(a, b) {
+        const fields = a.constructor.FIELDS || [];
+        if (fields.length === 0) {
+            return JSON.stringify(a) === JSON.stringify(b) ? [] : [`${a.type} changed`];
+        }
+
+        const details = [];
+        for (const field of fields) {
+            const prop = field.prop;
+
+            if (field.custom && prop === 'uniques') {
+                details.push(...this.diffUniqueRolls(a.uniques, b.uniques));
+            } else if (field.kind === 'list' || field.kind === 'words') {
+                const label = LIST_LABELS[prop] || prop;
+                const setA = new Set(a[prop] || []);
+                const setB = new Set(b[prop] || []);
+                (b[prop] || []).filter(value => !setA.has(value))
+                    .forEach(value => details.push(`+${label} ${this.describeValue(prop, value)}`));
+                (a[prop] || []).filter(value => !setB.has(value))
+                    .forEach(value => details.push(`-${label} ${this.describeValue(prop, value)}`));
+            } else if (a[prop] !== b[prop]) {
+                details.push(`${prop} ${a[prop]} → ${b[prop]}`);
+            }
+        }
+
+        return details;
+    }
+
+    /**
+     * UniqueModifiersCondition entries compared by unique ID
+     */
+    diffUniqueRolls(uniquesA = [], uniquesB = []) {
+        const details = [];
+        const byId = uniques => new Map(uniques.map(unique => [unique.uniqueId, unique]));
+        const mapA = byId(uniquesA);
+        const mapB = byId(uniquesB);
+
+        for (const [uniqueId, unique] of mapB) {
+            if (!mapA.has(uniqueId)) {
+                details.push(`+unique ${this.describeValue('uniqueIds', uniqueId)}`);
+            } else if (JSON.stringify(mapA.get(uniqueId).rolls) !== JSON.stringify(unique.rolls)) {
+                details.push(`~rolls of unique ${this.describeValue('uniqueIds', uniqueId)}`);
+            }
+        }
+        for (const uniqueId of mapA.keys()) {
+            if (!mapB.has(uniqueId)) {
+                details.push(`-unique ${this.describeValue('uniqueIds', uniqueId)}`);
+            }
+        }
+
+        return details;
+    }
+
+    /**
+     * List value with its database name, e.g. 643 (Minion Attack Speed)
+     */
+    describeValue(prop, value) {
+        if (!this.dataManager) {
+            return String(value);
+        }
+
+        let name = null;
+        if (prop === 'affixes') {
+            const affix = this.dataManager.getAffixById(value);
+            name = affix && affix.name;
+        } else if (prop === 'uniqueIds') {
+            const unique = this.dataManager.getUniqueById(value);
+            name = unique && unique.name;
+        }
+
+        return name ? `${value} (${name})` : String(value);
+    }
+
+    /**
+     * Color / SoundId / BeamId with its name from colors-sounds-beams.json
+     */
+    describeVisual(field, value) {
+        const tables = { color: 'colors', soundId: 'sounds', beamId: 'beams' };
+        if (!this.dataManager || !tables[field]) {
+            return String(value);
+        }
+
+        const table = this.dataManager.getVisualEffects()[tables[field]] || {};
+        return table[value] ? `${value} (${table[value]})` : String(value);
+    }
+
+    /**
+     * Create a change referencing the rule in filter B (or A for removed rules)
+     */
+    createChange(kind, entry, previous, details) {
+        const rule = this.ruleReference(entry);
+        const from = previous ? this.ruleReference(previous) : null;
+        let message;
+
+        switch (kind) {
+            case 'added':
+                message = `${this.ruleLabel(rule)} added (${entry.rule.type})`;
+                break;
+            case 'removed':
+                message = `${this.ruleLabel(rule)} removed (${entry.rule.type})`;
+                break;
+            case 'moved':
+                message = `${this.ruleLabel(rule)} reordered (${details.join(', ')})`;
+                break;
+            default:
+                message = `${this.ruleLabel(rule)}: ${details.join(', ')}`;
+        }
+
+        return { kind, rule, from, details, message };
+    }
+
+    /**
+     * Reference to a rule for reports
+     */
+    ruleReference(entry) {
+        return { index: entry.index + 1, name: entry.rule.nameOverride || '' };
+    }
+
+    /**
+     * Rule label used in messages, e.g. Rule 3 'Build Uniques'
+     */
+    ruleLabel(reference) {
+        return reference.name ? `Rule ${reference.index} '${reference.name}'` : `Rule ${reference.index}`;
+    }
+
+    /**
+     * Print a diff summary
+     */
+    printDiff(fileA, fileB, result) {
+        if (result.filter.length === 0 && result.changes.length === 0) {
+            console.log(`✅ ${fileA} and ${fileB} have the same rules`);
+            return;
+        }
+
+        const icons = { added: '➕', removed: '➖', moved: '🔀', changed: '✏️ ' };
+        console.log(`📋 ${fileA} → ${fileB}: ${result.changes.length} rule change(s)`);
+        result.filter.forEach(message => console.log(`   └─ ✏️  Filter ${message}`));
+        result.changes.forEach(change => console.log(`   └─ ${icons[change.kind]} ${change.message}`));
+    }
+}
+
+module.exports = FilterDiff;
@@ -0,0 +1,380 @@
+const { Filter } = require('../model');
+const { COLORS, COLOR_SWATCHES } = require('../data/game-constants');
+
+const FORMATS = ['markdown', 'html'];
+
+// Symbols for condition comparisons
+const COMPARISONS = {
+    MORE_OR_EQUAL: '≥',
+    MORE: '>',
+    EQUAL: '=',
+    LESS_OR_EQUAL: '≤',
+    LESS: '<'
+};
+
+// Long affix / unique lists are cut after this many names
+const MAX_LISTED = 8;
+
+/**
+ * Human-readable filter reports
+ * Renders each rule as a sentence such as "SHOW Unique items with LP ≥ 4 in Purple with
+ * Discovery sound and Legendary beam", with affix, unique, color, sound and beam names
+ * resolved through the DataManager, as Markdown or a standalone HTML page.
+ */
+class FilterExplainer {
+    constructor(dataManager = null) {
+        this.dataManager = dataManager;
+    }
+
+    /**
+     * Explain a filter file
+     */
+    async explainFile(filePath) {
+        const filter = await Filter.load(filePath);
+        return this.explain(filter);
+    }
+
+    /**
+     * Explain a parsed filter
+     * Returns { name, description, rules } with rules in evaluation order as
+     * { index, name, type, enabled, sentence, color: { id, name, swatch } }
+     */
+    explain(filter) {
+        return {
+            name: filter.name,
+            description: filter.description,
+            rules: filter.getEvaluationOrder().map(({ rule, index }) => ({
+                index: index + 1,
+                name: rule.nameOverride || '',
+                type: rule.type,
+                enabled: rule.isEnabled !== false,
+                sentence: this.describeRule(rule),
+                color: {
+                    id: rule.color,
+                    name: this.visualName('colors', rule.color) || COLORS[rule.color] || `Color ${rule.color}`,
+                    swatch: COLOR_SWATCHES[rule.color] || '#FFFFFF'
+                }
+            }))
+        };
+    }
+
+    /**
+     * One rule as a sentence
+     */
+    describeRule(rule) {
+        const conditions = rule.conditions || [];
+        const rarity = conditions.find(condition => condition.type === 'RarityCondition');
+        const subType = conditions.find(condition => condition.type === 'SubTypeCondition');
+
+        const subject = [
+            rarity && rarity.rarity.length > 0 ? this.joinList(rarity.rarity.map(value => this.titleCase(value))) : null,
+            subType && subType.equipmentTypes.length > 0 ?
+                this.joinList(subType.equipmentTypes.map(value => this.titleCase(value))) : null,
+            'items'
+        ].filter(Boolean).join(' ');
+
+        const clauses = conditions
+            .filter(condition => condition !== rarity)
+            .map(condition => this.describeCondition(condition))
+            .filter(Boolean);
+        if (rarity) {
+            clauses.unshift(...this.describeRarityRanges(rarity));
+        }
+
+        let sentence = `${rule.type} ${subject}`;
+        if (clauses.length > 0) {
+            sentence += ` ${clauses.join(', ')}`;
+        }
+        if (rule.levelDependent) {
+            sentence += ` at level ${rule.minLvl}-${rule.maxLvl}`;
+        }
+        if (rule.type !== 'HIDE') {
+            sentence += ` ${this.describeVisuals(rule)}`;
+        }
+        if (rule.isEnabled === false) {
+            sentence += ' (disabled)';
+        }
+
+        return sentence;
+    }
+
+    /**
+     * Clause for a single condition (rarity types and equipment types are part of the subject)
+     */
+    describeCondition(condition) {
+        switch (condition.type) {
+            case 'AffixCondition':
+                return this.describeAffixCondition(condition);
+
+            case 'AffixCountCondition':
+                return this.describeAffixCountCondition(condition);
+
+            case 'SubTypeCondition':
+                return condition.subTypes.length > 0 ? `of base type ${condition.subTypes.join(', ')}` : null;
+
+            case 'UniquesCondition':
+                return `that are ${this.listNames(condition.uniqueIds.map(id => this.uniqueName(id)), 'or')}`;
+
+            case 'UniqueModifiersCondition':
+                return `that are ${this.listNames(condition.uniques.map(unique => this.describeUniqueRolls(unique)), 'or')}`;
+
+            case 'ClassCondition':
+                return `usable by ${this.joinList(condition.req.map(value => this.titleCase(value)), 'or')}`;
+
+            case 'FactionCondition':
+                return `eligible for ${this.joinList(condition.factions.map(value => this.titleCase(value)), 'or')}`;
+
+            case 'KeysCondition':
+                return `flagged ${this.joinList(condition.flags, 'or')}`;
+
+            default:
+                return `matching ${condition.type}`;
+        }
+    }
+
+    /**
+     * LP / WW ranges of a RarityCondition, e.g. "with LP ≥ 4"
+     */
+    describeRarityRanges(condition) {
+        const ranges = [
+            this.describeRange('LP', condition.minLegendaryPotential, condition.maxLegendaryPotential),
+            this.describeRange('WW', condition.minWeaversWill, condition.maxWeaversWill)
+        ].filter(Boolean);
+        return ranges.length > 0 ? [`with ${ranges.join(' and ')}`] : [];
+    }
+
+    /**
+     * "LP ≥ 4", "LP ≤ 1" or "LP 1-3" for a min / max pair (null = no bound)
+     */
+    describeRange(label, min, max) {
+        const hasMin = min !== null && min !== undefined;
+        const hasMax = max !== null && max !== undefined;
+
+        if (hasMin && hasMax) {
+            return min === max ? `${label} = ${min}` : `${label} ${min}-${max}`;
+        }
+        if (hasMin) {
+            return `${label} ≥ ${min}`;
+        }
+        if (hasMax) {
+            return `${label} ≤ ${max}`;
+        }
+        return null;
+    }
+
+    /**
+     * AffixCondition clause, e.g. "with at least 2 of Strength (501) or Minion Damage (26) at tier ≥ 5"
+     */
+    describeAffixCondition(condition) {
+        const names = this.listNames(condition.affixes.map(id => this.affixName(id)), 'or');
+        let clause;
+        if (condition.affixes.length === 0) {
+            clause = 'with any affix';
+        } else if (condition.minOnTheSameItem > 1) {
+            clause = `with at least ${condition.minOnTheSameItem} of ${names}`;
+        } else {
+            clause = condition.affixes.length > 1 ? `with any of ${names}` : `with ${names}`;
+        }
+
+        if (condition.comparsion && condition.comparsion !== 'ANY') {
+            clause += ` at tier ${COMPARISONS[condition.comparsion] || condition.comparsion} ${condition.comparsionValue}`;
+        }
+        if (condition.combinedComparsion && condition.combinedComparsion !== 'ANY') {
+            clause += ` (combined tiers ${COMPARISONS[condition.combinedComparsion] || condition.combinedComparsion} ` +
+                `${condition.combinedComparsionValue})`;
+        }
+
+        return clause;
+    }
+
+    /**
+     * AffixCountCondition clause, e.g. "with prefixes ≥ 2 and suffixes ≥ 1"
+     */
+    describeAffixCountCondition(condition) {
+        const parts = [
+            this.describeRange('prefixes', condition.minPrefixes, condition.maxPrefixes),
+            this.describeRange('suffixes', condition.minSuffixes, condition.maxSuffixes),
+            condition.sealedType && condition.sealedType !== 'Any' ? `sealed affix ${condition.sealedType}` : null
+        ].filter(Boolean);
+        return parts.length > 0 ? `with ${parts.join(' and ')}` : null;
+    }
+
+    /**
+     * Unique with its roll ranges, e.g. "Fractured Crown (roll 2 ≥ 0.8)"
+     */
+    describeUniqueRolls(unique) {
+        const rolls = (unique.rolls || [])
+            .map(roll => this.describeRange(`roll ${roll.rollId}`, roll.minRoll, roll.maxRoll))
+            .filter(Boolean);
+        const name = this.uniqueName(unique.uniqueId);
+        return rolls.length > 0 ? `${name} (${rolls.join(', ')})` : name;
+    }
+
+    /**
+     * "in Purple (emphasized) with Discovery sound and Legendary beam"
+     */
+    describeVisuals(rule) {
+        const color = this.visualName('colors', rule.color) || COLORS[rule.color] || `color ${rule.color}`;
+        const effects = [];
+
+        const sound = this.visualName('sounds', rule.soundId);
+        if (sound && !['Default', 'None'].includes(sound)) {
+            effects.push(`${sound} sound`);
+        }
+        const beam = this.visualName('beams', rule.beamId);
+        if (beam && !['Default', 'None'].includes(beam)) {
+            effects.push(`${beam} beam`);
+        }
+
+        let text = `in ${color}${rule.emphasized ? ' (emphasized)' : ''}`;
+        if (effects.length > 0) {
+            text += ` with ${effects.join(' and ')}`;
+        }
+        return text;
+    }
+
+    /**
+     * Color / sound / beam name from colors-sounds-beams.json
+     */
+    visualName(table, id) {
+        if (!this.dataManager) {
+            return null;
+        }
+        const names = this.dataManager.getVisualEffects()[table] || {};
+        return names[id] || null;
+    }
+
+    /**
+     * Affix name with its ID, e.g. "Minion Melee and Spell Damage (643)"
+     */
+    affixName(id) {
+        const affix = this.dataManager && this.dataManager.getAffixById(id);
+        return affix && affix.name ? `${affix.name} (${id})` : `affix ${id}`;
+    }
+
+    /**
+     * Unique name with its ID, e.g. "Fractured Crown (1)"
+     */
+    uniqueName(id) {
+        const unique = this.dataManager && this.dataManager.getUniqueById(id);
+        return unique && unique.name ? `${unique.name} (${id})` : `unique ${id}`;
+    }
+
+    /**
+     * Join names, cutting long lists after MAX_LISTED entries
+     */
+    listNames(names, conjunction = 'and') {
+        if (names.length > MAX_LISTED) {
+            return `${names.slice(0, MAX_LISTED).join(', ')} ${conjunction} ${names.length - MAX_LISTED} more`;
+        }
+        return this.joinList(names, conjunction);
+    }
+
+    /**
+     * "a, b and c"
+     */
+    joinList(values, conjunction = 'and') {
+        if (values.length <= 1) {
+            return values.join('');
+        }
+        return `${values.slice(0, -1).join(', ')} ${conjunction} ${values[values.length - 1]}`;
+    }
+
+    /**
+     * BODY_ARMOR → Body Armor, UNIQUE → Unique
+     */
+    titleCase(value) {
+        return String(value).toLowerCase().split(/[_\s]+/)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    /**
+     * Render an explanation as 'markdown' or 'html'
+     */
+    format(explanation, format) {
+        switch (format) {
+            case 'markdown':
+                return this.toMarkdown(explanation);
+            case 'html':
+                return this.toHTML(explanation);
+            default:
+                throw new Error(`Unknown report format '${format}' (expected: ${FORMATS.join(', ')})`);
+        }
+    }
+
+    /**
+     * Markdown report: one numbered sentence per rule in evaluation order
+     */
+    toMarkdown(explanation) {
+        const lines = [`# ${explanation.name || 'Loot Filter'}`, ''];
+        if (explanation.description) {
+            lines.push(...explanation.description.split(/\r?\n/).map(line => `> ${line}`), '');
+        }
+
+        lines.push(`Rules are listed in evaluation order; the first SHOW/HIDE match wins (${explanation.rules.length} rules).`, '');
+        explanation.rules.forEach((rule, position) => {
+            const title = rule.name ? `**${rule.name}**` : `**Rule ${rule.index}**`;
+            lines.push(`${position + 1}. ${title}: ${rule.sentence}`);
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Standalone HTML page with a color swatch per rule
+     */
+    toHTML(explanation) {
+        const escape = text => String(text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const title = escape(explanation.name || 'Loot Filter');
+
+        const rows = explanation.rules.map((rule, position) => `      <tr class="${rule.enabled ? '' : 'disabled'}">
+        <td>${position + 1}</td>
+        <td><span class="swatch" style="background:${rule.color.swatch}" title="${escape(rule.color.name)}"></span>${escape(rule.color.name)}</td>
+        <td class="type-${escape(rule.type.toLowerCase())}">${escape(rule.type)}</td>
+        <td>${escape(rule.name || `Rule ${rule.index}`)}</td>
+        <td>${escape(rule.sentence)}</td>
+      </tr>`);
+
+        const description = explanation.description ?
+            `  <p class="description">${escape(explanation.description).replace(/\r?\n/g, '<br>')}</p>\n` : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <style>
+    body { background: #15161a; color: #ddd; font-family: Segoe UI, Helvetica, Arial, sans-serif; margin: 2em; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #333; padding: 6px 10px; text-align: left; vertical-align: top; }
+    th { color: #aaa; font-weight: normal; }
+    .swatch { display: inline-block; width: 14px; height: 14px; margin-right: 6px; border: 1px solid #000; vertical-align: middle; }
+    .type-show { color: #8fd18f; }
+    .type-hide { color: #999; }
+    .type-highlight { color: #f2e14c; }
+    .disabled { opacity: 0.45; }
+    .description { color: #aaa; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+${description}  <p>Rules are listed in evaluation order; the first SHOW/HIDE match wins (${explanation.rules.length} rules).</p>
+  <table>
+    <thead>
+      <tr><th>#</th><th>Color</th><th>Type</th><th>Rule</th><th>Description</th></tr>
+    </thead>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+    }
+}
+
+FilterExplainer.FORMATS = FORMATS;
+
+module.exports = FilterExplainer;
@@ -3,13 +3,26 @@
 const { program } = require('commander');
 const path = require('path');
 const fs = require('fs-extra');
+const { hasMagic } = require('glob');
 
 // Import core components
 const SchemaGenerator = require('../schema/schema-generator');
 const DataManager = require('../data/data-manager');
 const XMLValidator = require('../validation/xml-validator');
-// const FilterAnalyzer = require('../analysis/filter-analyzer');
-// const FilterGenerator = require('../generator/filter-generator');
+const SemanticValidator = require('../validation/semantic-validator');
+const ReportFormatter = require('../validation/report-formatter');
+const FilterGenerator = require('../generator/filter-generator');
+const FilterMerger = require('../generator/filter-merger');
+const RuleOptimizer = require('../generator/rule-optimizer');
+const { getStrictnessLevels, getStrictness } = require('../generator/strictness');
+const { getBuildVariants } = require('../generator/progression');
+const FilterAnalyzer = require('../analysis/filter-analyzer');
+const FilterDiff = require('../analysis/filter-diff');
+const FilterExplainer = require('../analysis/filter-explainer');
+const FilterCoverage = require('../analysis/filter-coverage');
+const ItemBuilder = require('../simulation/item-builder');
+const FilterSimulator = require('../simulation/filter-simulator');
+const ProfileImporter = require('../import/profile-importer');
 
 program
   .name('xml-suite')
@@ -44,8 +57,12 @@ program
   .command('create')
   .description('Create XML filter from intermediate JSON file')
   .requiredOption('-i, --intermediate <file>', 'Intermediate JSON file (created by Claude analysis)')
-  .option('-s, --strictness <level>', 'Filter strictness level', 'strict')
-  .option('-o, --output <file>', 'Output XML filter file')
+  .option('-s, --strictness <level>', `Filter strictness level (${getStrictnessLevels().join(', ')}, all)`, 'strict')
+  .option('-o, --output <file>', 'Output XML filter file (output directory with --strictness all or --variants)')
+  .option('-m, --max-rules <count>', 'Rule budget enforced by the optimizer (max 75)', value => parseInt(value, 10), 75)
+  .option('-r, --report <file>', 'Write the rule optimization report as JSON')
+  .option('--variants', 'Write one filter per build variant, tightened from Starting to Aspirational')
+  .option('-t, --theme <name>', 'Visual theme from themes/ (or a theme JSON file)', 'default')
   .action(async (options) => {
     console.log('⚡ XML Filter Creation');
     console.log('');
@@ -59,16 +76,47 @@ program
       
       const baseName = path.basename(options.intermediate, '.intermediate.json') || 
                       path.basename(options.intermediate, '.json');
-      const outputFile = options.output || `generated/${baseName}-${options.strictness}.xml`;
+      const levels = options.strictness === 'all' ? getStrictnessLevels() : [options.strictness];
+      levels.forEach(getStrictness);
+
+      let variants = [null];
+      if (options.variants) {
+        variants = getBuildVariants(await fs.readJson(options.intermediate));
+        if (variants.length === 0) {
+          console.error('❌ Intermediate file defines no variants (buildDefinition.derived.variants)');
+          process.exit(1);
+        }
+      }
+      const multiple = levels.length > 1 || variants.length > 1;
       
       console.log(`📁 Intermediate file: ${options.intermediate}`);
       console.log(`🎯 Strictness level: ${options.strictness}`);
-      console.log(`📄 Output filter: ${outputFile}`);
+      console.log(`🎨 Theme: ${options.theme}`);
+      if (options.variants) {
+        console.log(`🧬 Variants: ${variants.map(variant => `${variant.name} (${variant.stage})`).join(', ')}`);
+      }
       console.log('');
       
-      // TODO: Implement filter creation from intermediate JSON
-      console.log('❌ XML filter creation not yet implemented');
-      console.log('💡 Will read intermediate JSON and generate XML using native XML processing');
+      const generator = new FilterGenerator(new DataManager());
+      for (const variant of variants) {
+        for (const level of levels) {
+          const suffix = variant ? `${variant.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-${level}` : level;
+          const outputFile = multiple ?
+            path.join(options.output || 'generated', `${baseName}-${suffix}.xml`) :
+            options.output || `generated/${baseName}-${suffix}.xml`;
+          
+          console.log(`📄 Output filter: ${outputFile}`);
+          const filter = await generator.generateFromFile(options.intermediate, outputFile, {
+            strictness: level,
+            variant: variant && variant.name,
+            theme: options.theme,
+            maxRules: options.maxRules,
+            reportPath: options.report && multiple ?
+              options.report.replace(/(\.json)?$/, `-${suffix}.json`) : options.report
+          });
+          new RuleOptimizer(options.maxRules).printReport(filter.optimization);
+        }
+      }
       
     } catch (error) {
       console.error('❌ Filter creation failed:', error.message);
@@ -77,11 +125,25 @@ program
   });
 
 program
-  .command('validate')
-  .description('Validate all XML filters in SampleFilters against XSD schema')
+  .command('validate [paths...]')
+  .description('Validate XML filters (files, directories searched recursively, or glob patterns) against XSD schema')
   .option('-s, --schema <file>', 'XSD schema file', 'schema/filter-schema.xsd')
-  .option('-d, --directory <dir>', 'Directory containing XML filters', 'SampleFilters')
-  .action(async (options) => {
+  .option('-d, --directory <dir>', 'Directory containing XML filters, used when no paths are given', 'SampleFilters')
+  .option('--no-semantic', 'Skip checking affix, unique, color, sound and beam IDs against the database')
+  .option('-f, --format <format>', `Output format (${ReportFormatter.FORMATS.join(', ')})`, 'text')
+  .action(async (paths, options) => {
+    if (!ReportFormatter.FORMATS.includes(options.format)) {
+      console.error(`❌ Unknown format: ${options.format} (expected: ${ReportFormatter.FORMATS.join(', ')})`);
+      process.exit(1);
+    }
+
+    // Keep stdout for the report in machine-readable formats; progress goes to stderr
+    const machineReadable = options.format !== 'text';
+    const writeReport = console.log;
+    if (machineReadable) {
+      console.log = console.error;
+    }
+
     console.log('✅ XML Filter Validation');
     console.log('');
     
@@ -92,21 +154,36 @@ program
         process.exit(1);
       }
       
-      if (!await fs.pathExists(options.directory)) {
-        console.error(`❌ Directory not found: ${options.directory}`);
-        process.exit(1);
+      const inputs = paths.length > 0 ? paths : [options.directory];
+      for (const input of inputs) {
+        if (!hasMagic(input, { windowsPathsNoEscape: true }) && !await fs.pathExists(input)) {
+          console.error(`❌ Path not found: ${input}`);
+          process.exit(1);
+        }
       }
       
       console.log(`📋 Schema file: ${options.schema}`);
-      console.log(`📁 Filter directory: ${options.directory}`);
+      console.log(`📁 Filters: ${inputs.join(', ')}`);
       console.log('');
       
-      const validator = new XMLValidator();
-      const results = await validator.validateDirectory(options.directory, options.schema);
+      let semanticValidator = null;
+      if (options.semantic) {
+        semanticValidator = new SemanticValidator(new DataManager());
+        await semanticValidator.load();
+        console.log('');
+      }
+
+      const validator = new XMLValidator(semanticValidator);
+      const results = await validator.validatePaths(inputs, options.schema);
+
+      if (machineReadable) {
+        writeReport(new ReportFormatter().format(results, options.format));
+      }
       
-      // Exit with error code if validation issues found
-      if (results.errors.length > 0) {
-        process.exit(1);
+      // Exit with error code if validation errors found (warnings do not fail the run);
+      // exitCode lets a piped report finish writing before the process ends
+      if (results.errorCount > 0) {
+        process.exitCode = 1;
       }
       
     } catch (error) {
@@ -116,6 +193,332 @@ program
   });
 
 
+program
+  .command('analyze')
+  .description('Detect duplicate, dead and HIDE-shadowed rules in XML filters')
+  .argument('<files...>', 'Filter XML files to analyze')
+  .action(async (files) => {
+    console.log('🔎 XML Filter Analysis');
+    console.log('');
+
+    try {
+      const analyzer = new FilterAnalyzer();
+
+      for (const file of files) {
+        if (!await fs.pathExists(file)) {
+          console.error(`❌ Filter file not found: ${file}`);
+          process.exit(1);
+        }
+
+        const findings = await analyzer.analyzeFile(file);
+        analyzer.printFindings(path.basename(file), findings);
+      }
+
+    } catch (error) {
+      console.error('❌ Analysis failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+
+program
+  .command('diff')
+  .description('Compare two XML filters rule by rule (added, removed, reordered and changed rules)')
+  .argument('<a>', 'Original filter XML')
+  .argument('<b>', 'New filter XML')
+  .option('--no-names', 'Skip resolving affix, unique and visual names from the database')
+  .option('-f, --format <format>', 'Output format (text, json)', 'text')
+  .action(async (a, b, options) => {
+    if (!['text', 'json'].includes(options.format)) {
+      console.error(`❌ Unknown format: ${options.format} (expected: text, json)`);
+      process.exit(1);
+    }
+
+    // Keep stdout for the report in JSON format; progress goes to stderr
+    const writeReport = console.log;
+    if (options.format === 'json') {
+      console.log = console.error;
+    }
+
+    console.log('🔀 XML Filter Diff');
+    console.log('');
+
+    try {
+      for (const file of [a, b]) {
+        if (!await fs.pathExists(file)) {
+          console.error(`❌ Filter file not found: ${file}`);
+          process.exit(1);
+        }
+      }
+
+      let dataManager = null;
+      if (options.names) {
+        dataManager = new DataManager();
+        await dataManager.loadAll();
+        console.log('');
+      }
+
+      const differ = new FilterDiff(dataManager);
+      const result = await differ.diffFiles(a, b);
+
+      if (options.format === 'json') {
+        writeReport(JSON.stringify(result, null, 2));
+      } else {
+        differ.printDiff(path.basename(a), path.basename(b), result);
+      }
+
+    } catch (error) {
+      console.error('❌ Diff failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+
+program
+  .command('merge')
+  .description('Merge filters into one: earlier files take precedence, duplicate rules are dropped and Order is renumbered')
+  .argument('<filters...>', 'Filter XML files, highest precedence first (e.g. base.xml build.xml)')
+  .requiredOption('-o, --output <file>', 'Output XML filter file')
+  .option('-n, --name <name>', 'Name of the merged filter (default: name of the first filter)')
+  .option('-m, --max-rules <count>', 'Rule limit of the merged filter (max 75)', value => parseInt(value, 10), 75)
+  .action(async (filters, options) => {
+    console.log('🧩 XML Filter Merge');
+    console.log('');
+
+    try {
+      for (const file of filters) {
+        if (!await fs.pathExists(file)) {
+          console.error(`❌ Filter file not found: ${file}`);
+          process.exit(1);
+        }
+      }
+
+      const merger = new FilterMerger(options.maxRules);
+      const { report } = await merger.mergeFiles(filters, options.output, { name: options.name });
+      merger.printReport(report);
+      console.log('');
+
+      if (report.overBy > 0) {
+        console.error(`❌ Merged filter would have ${report.count}/${report.limit} rules; nothing written`);
+        process.exit(1);
+      }
+      console.log(`✅ Merged filter written to ${options.output}`);
+
+    } catch (error) {
+      console.error('❌ Merge failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+
+program
+  .command('explain')
+  .description('Describe every rule of an XML filter in plain sentences (Markdown or HTML)')
+  .argument('<filter>', 'Filter XML file')
+  .option('-f, --format <format>', `Output format (${FilterExplainer.FORMATS.join(', ')})`, 'markdown')
+  .option('-o, --output <file>', 'Output file (default: stdout)')
+  .action(async (filter, options) => {
+    if (!FilterExplainer.FORMATS.includes(options.format)) {
+      console.error(`❌ Unknown format: ${options.format} (expected: ${FilterExplainer.FORMATS.join(', ')})`);
+      process.exit(1);
+    }
+
+    // Keep stdout for the report when no output file is given; progress goes to stderr
+    const writeReport = console.log;
+    if (!options.output) {
+      console.log = console.error;
+    }
+
+    console.log('📖 XML Filter Explain');
+    console.log('');
+
+    try {
+      if (!await fs.pathExists(filter)) {
+        console.error(`❌ Filter file not found: ${filter}`);
+        process.exit(1);
+      }
+
+      const dataManager = new DataManager();
+      await dataManager.loadAll();
+      console.log('');
+
+      const explainer = new FilterExplainer(dataManager);
+      const explanation = await explainer.explainFile(filter);
+      const report = explainer.format(explanation, options.format);
+
+      if (options.output) {
+        await fs.ensureDir(path.dirname(options.output));
+        await fs.writeFile(options.output, report);
+        console.log(`✅ ${explanation.rules.length} rules explained in ${options.output}`);
+      } else {
+        writeReport(report);
+      }
+
+    } catch (error) {
+      console.error('❌ Explain failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+
+program
+  .command('simulate')
+  .description('Run synthetic items through an XML filter and report the matching rule and visuals')
+  .argument('<filter>', 'Filter XML file')
+  .requiredOption('-i, --items <file>', 'Item specs JSON (array or { items: [...] })')
+  .option('-l, --level <level>', 'Character level for level-dependent rules', '100')
+  .option('-f, --format <format>', 'Output format (text, json)', 'text')
+  .action(async (filter, options) => {
+    if (!['text', 'json'].includes(options.format)) {
+      console.error(`❌ Unknown format: ${options.format} (expected: text, json)`);
+      process.exit(1);
+    }
+
+    // Keep stdout for the results in JSON format; progress goes to stderr
+    const writeReport = console.log;
+    if (options.format === 'json') {
+      console.log = console.error;
+    }
+
+    console.log('🎲 XML Filter Simulation');
+    console.log('');
+
+    try {
+      for (const file of [filter, options.items]) {
+        if (!await fs.pathExists(file)) {
+          console.error(`❌ File not found: ${file}`);
+          process.exit(1);
+        }
+      }
+
+      const level = parseInt(options.level, 10);
+      if (!Number.isInteger(level) || level < 1 || level > 100) {
+        console.error(`❌ Invalid level: ${options.level} (expected 1-100)`);
+        process.exit(1);
+      }
+
+      const dataManager = new DataManager();
+      await dataManager.loadAll();
+      console.log('');
+
+      const items = new ItemBuilder(dataManager).buildAll(await fs.readJson(options.items));
+      const simulator = new FilterSimulator(dataManager);
+      const results = await simulator.simulateFile(filter, items, { level });
+
+      if (options.format === 'json') {
+        writeReport(JSON.stringify(results, null, 2));
+      } else {
+        simulator.printResults(path.basename(filter), results);
+      }
+
+    } catch (error) {
+      console.error('❌ Simulation failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+
+program
+  .command('coverage')
+  .description('Run a random loot stream through an XML filter and report hidden/shown shares and rule hits')
+  .argument('<filter>', 'Filter XML file')
+  .option('-n, --count <count>', 'Number of simulated drops', '10000')
+  .option('-s, --seed <seed>', 'Random seed (same seed, same loot stream)', '1')
+  .option('-l, --level <level>', 'Character level for level-dependent rules', '100')
+  .option('-f, --format <format>', 'Output format (text, json)', 'text')
+  .action(async (filter, options) => {
+    if (!['text', 'json'].includes(options.format)) {
+      console.error(`❌ Unknown format: ${options.format} (expected: text, json)`);
+      process.exit(1);
+    }
+
+    // Keep stdout for the report in JSON format; progress goes to stderr
+    const writeReport = console.log;
+    if (options.format === 'json') {
+      console.log = console.error;
+    }
+
+    console.log('📊 XML Filter Coverage');
+    console.log('');
+
+    try {
+      if (!await fs.pathExists(filter)) {
+        console.error(`❌ Filter file not found: ${filter}`);
+        process.exit(1);
+      }
+
+      const count = parseInt(options.count, 10);
+      const seed = parseInt(options.seed, 10);
+      const level = parseInt(options.level, 10);
+      if (!Number.isInteger(count) || count < 1 || !Number.isInteger(seed) ||
+          !Number.isInteger(level) || level < 1 || level > 100) {
+        console.error('❌ --count must be positive, --seed an integer and --level 1-100');
+        process.exit(1);
+      }
+
+      const dataManager = new DataManager();
+      await dataManager.loadAll();
+      console.log('');
+
+      const coverage = new FilterCoverage(dataManager);
+      const report = await coverage.analyzeFile(filter, { count, seed, level });
+
+      if (options.format === 'json') {
+        writeReport(JSON.stringify(report, null, 2));
+      } else {
+        coverage.printCoverage(path.basename(filter), report);
+      }
+
+    } catch (error) {
+      console.error('❌ Coverage failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+
+program
+  .command('import-profile')
+  .description('Import a build planner profile into an intermediate build JSON')
+  .argument('<profile>', 'Planner profile export (*.profile.json)')
+  .option('-o, --output <file>', 'Output intermediate JSON file')
+  .action(async (profile, options) => {
+    console.log('📥 Planner Profile Import');
+    console.log('');
+
+    try {
+      if (!await fs.pathExists(profile)) {
+        console.error(`❌ Profile file not found: ${profile}`);
+        process.exit(1);
+      }
+
+      const baseName = path.basename(profile).replace(/(\.profile)?\.json$/, '');
+      const outputFile = options.output || path.join('generated', 'analysis', `${baseName}.intermediate.json`);
+
+      const importer = new ProfileImporter(new DataManager());
+      const intermediate = await importer.importFile(profile);
+
+      await fs.ensureDir(path.dirname(outputFile));
+      await fs.writeJson(outputFile, intermediate, { spaces: 2 });
+
+      const variants = Object.keys(intermediate.plannerAnalysis.variantBreakdown);
+      const mappings = intermediate.filterConfiguration.affixMappings;
+      const unresolved = importer.unresolved.affixes.size + importer.unresolved.uniques.size;
+
+      console.log(`📁 Profile: ${profile}`);
+      console.log(`🧬 Variants: ${variants.join(', ')}`);
+      console.log(`🎯 Affix mappings: ${Object.keys(mappings).length}`);
+      console.log(`💎 Uniques: ${Object.keys(intermediate.uniqueItemAnalysis || {}).length}`);
+      if (unresolved > 0) {
+        console.log(`⚠️  ${unresolved} ID(s) not found in the database (see generationMetadata.optimizationNotes)`);
+      }
+      console.log(`✅ Intermediate build written to ${outputFile}`);
+
+    } catch (error) {
+      console.error('❌ Profile import failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Interactive menu when no command is specified
 program
   .action(async () => {
@@ -30,6 +30,9 @@ class DataManager {
             
             // Load skill data
             await this.loadSkillData();
+
+            // Load per-unique item data
+            await this.loadUniqueItemData();
             
             // Load indexes
             await this.loadIndexes();
@@ -106,6 +109,15 @@ class DataManager {
         this.cache.set('skills', skills);
     }
 
+    /**
+     * Load per-unique item files (modifiers, implicits, analytics)
+     */
+    async loadUniqueItemData() {
+        const uniqueItemsPath = path.join(this.dataPath, 'UniqueItems');
+        const uniqueItems = await this.loadDirectoryData(uniqueItemsPath);
+        this.cache.set('unique-items', uniqueItems);
+    }
+
     /**
      * Load index files for fast lookups
      */
@@ -359,14 +371,36 @@ class DataManager {
      * Get unique item data by name
      */
     getUniqueByName(itemName) {
-        const uniques = this.get('unique-items-overview.json');
-        if (!uniques || !Array.isArray(uniques)) return null;
+        const overview = this.get('unique-items-overview.json');
+        const uniques = Array.isArray(overview) ? overview : (overview && overview.uniques) || [];
 
         return uniques.find(item => 
             item.name && item.name.toLowerCase() === itemName.toLowerCase()
         ) || null;
     }
 
+    /**
+     * Get unique item data by ID from unique-items-overview.json
+     */
+    getUniqueById(id) {
+        const overview = this.get('unique-items-overview.json');
+        const uniques = Array.isArray(overview) ? overview : (overview && overview.uniques) || [];
+
+        return uniques.find(item => item.id === Number(id)) || null;
+    }
+
+    /**
+     * Get the parsed Data/UniqueItems entry (with its modifiers array) by unique name
+     */
+    getUniqueItemDetails(itemName) {
+        const uniqueItems = this.get('unique-items') || {};
+        const name = itemName.toLowerCase();
+
+        return Object.values(uniqueItems).find(item =>
+            item.name && item.name.toLowerCase() === name
+        ) || null;
+    }
+
     /**
      * Get database statistics
      */
@@ -0,0 +1,168 @@
+/**
+ * Static Last Epoch game constants used when reading and writing loot filters
+ * Values mirror the enums the game writes into filter XML files
+ */
+
+// Rarity names in the order the game writes them inside <rarity>
+const RARITIES = ['NORMAL', 'MAGIC', 'RARE', 'UNIQUE', 'SET', 'LEGENDARY', 'EXALTED'];
+
+// Class names accepted by ClassCondition <req>
+const CLASSES = ['Primalist', 'Mage', 'Sentinel', 'Acolyte', 'Rogue'];
+
+// Rule types accepted by <type>
+const RULE_TYPES = ['SHOW', 'HIDE', 'HIGHLIGHT'];
+
+// Equipment types in the order used by MasterTemplate1.xml "All Item Types"
+// Item types are indexed by equipment type ID (DatabaseBuilder.mapEquipTypeIdToName)
+const EQUIPMENT_TYPES = [
+    'ONE_HANDED_AXE',
+    'ONE_HANDED_MACES',
+    'ONE_HANDED_SCEPTRE',
+    'ONE_HANDED_SWORD',
+    'WAND',
+    'ONE_HANDED_DAGGER',
+    'TWO_HANDED_AXE',
+    'TWO_HANDED_MACE',
+    'TWO_HANDED_SPEAR',
+    'TWO_HANDED_STAFF',
+    'TWO_HANDED_SWORD',
+    'BOW',
+    'CATALYST',
+    'SHIELD',
+    'QUIVER',
+    'HELMET',
+    'BODY_ARMOR',
+    'BELT',
+    'BOOTS',
+    'GLOVES',
+    'AMULET',
+    'RING',
+    'RELIC',
+    'IDOL_1x1_ETERRA',
+    'IDOL_1x1_LAGON',
+    'IDOL_2x1',
+    'IDOL_1x2',
+    'IDOL_3x1',
+    'IDOL_1x3',
+    'IDOL_4x1',
+    'IDOL_1x4',
+    'IDOL_2x2'
+];
+
+// Rule <color> palette (Colors.xml), indexed by color ID
+const COLORS = [
+    'White', 'Grey', 'Lime', 'Yellow', 'Light Orange', 'Orange', 'Light Red', 'Red', 'Pink',
+    'Hot Pink', 'Purple', 'Light Purple', 'Blue', 'Light Blue', 'Cyan', 'Aqua', 'Green', 'Dark Green'
+];
+
+// Approximate in-game label colors for the palette above, indexed by color ID (report swatches)
+const COLOR_SWATCHES = [
+    '#FFFFFF', '#9E9E9E', '#A4E34B', '#F2E14C', '#F5B76B', '#F08A24', '#F07A7A', '#D93030', '#F5A3C7',
+    '#F0489E', '#9B4DDB', '#C79BF2', '#3C6FE0', '#8CC2F5', '#3FD6E0', '#5FE0B8', '#3DBE4A', '#1E7A34'
+];
+
+// Color ID pairs that are hard to tell apart with red/green color blindness (protanopia / deuteranopia)
+const CONFUSABLE_COLOR_PAIRS = [
+    [7, 16],    // Red / Green
+    [7, 17],    // Red / Dark Green
+    [6, 16],    // Light Red / Green
+    [6, 17],    // Light Red / Dark Green
+    [2, 5],     // Lime / Orange
+    [2, 4],     // Lime / Light Orange
+    [2, 3],     // Lime / Yellow
+    [5, 16]     // Orange / Green
+];
+
+// Build planner class indexes (profiles[].class) with their masteries (profiles[].mastery, 0 = no mastery)
+const PLANNER_CLASSES = [
+    { name: 'Primalist', masteries: ['Beastmaster', 'Shaman', 'Druid'] },
+    { name: 'Mage', masteries: ['Sorcerer', 'Spellblade', 'Runemaster'] },
+    { name: 'Sentinel', masteries: ['Void Knight', 'Forge Guard', 'Paladin'] },
+    { name: 'Acolyte', masteries: ['Necromancer', 'Lich', 'Warlock'] },
+    { name: 'Rogue', masteries: ['Bladedancer', 'Marksman', 'Falconer'] }
+];
+
+// Build planner itemType (the game's base type ID) mapped to filter equipment types
+const PLANNER_ITEM_TYPES = {
+    0: 'HELMET',
+    1: 'BODY_ARMOR',
+    2: 'BELT',
+    3: 'BOOTS',
+    4: 'GLOVES',
+    5: 'ONE_HANDED_AXE',
+    6: 'ONE_HANDED_DAGGER',
+    7: 'ONE_HANDED_MACES',
+    8: 'ONE_HANDED_SCEPTRE',
+    9: 'ONE_HANDED_SWORD',
+    10: 'WAND',
+    12: 'TWO_HANDED_AXE',
+    13: 'TWO_HANDED_MACE',
+    14: 'TWO_HANDED_SPEAR',
+    15: 'TWO_HANDED_STAFF',
+    16: 'TWO_HANDED_SWORD',
+    17: 'QUIVER',
+    18: 'SHIELD',
+    19: 'CATALYST',
+    20: 'AMULET',
+    21: 'RING',
+    22: 'RELIC',
+    23: 'BOW',
+    25: 'IDOL_1x1_ETERRA',
+    26: 'IDOL_1x1_LAGON',
+    27: 'IDOL_2x1',
+    28: 'IDOL_1x2',
+    29: 'IDOL_3x1',
+    30: 'IDOL_1x3',
+    31: 'IDOL_4x1',
+    32: 'IDOL_1x4',
+    33: 'IDOL_2x2'
+};
+
+// unique-items-overview.json categories by equipment type (Small Idol is 1x1 Eterra or Lagon, so it has none)
+const UNIQUE_CATEGORY_TYPES = {
+    'Helmet': 'HELMET',
+    'Body Armor': 'BODY_ARMOR',
+    'Belt': 'BELT',
+    'Boots': 'BOOTS',
+    'Gloves': 'GLOVES',
+    'One-Handed Axe': 'ONE_HANDED_AXE',
+    'Dagger': 'ONE_HANDED_DAGGER',
+    'One-Handed Mace': 'ONE_HANDED_MACES',
+    'Sceptre': 'ONE_HANDED_SCEPTRE',
+    'One-Handed Sword': 'ONE_HANDED_SWORD',
+    'Wand': 'WAND',
+    'Two-Handed Axe': 'TWO_HANDED_AXE',
+    'Two-Handed Mace': 'TWO_HANDED_MACE',
+    'Two-Handed Spear': 'TWO_HANDED_SPEAR',
+    'Two-Handed Staff': 'TWO_HANDED_STAFF',
+    'Two-Handed Sword': 'TWO_HANDED_SWORD',
+    'Quiver': 'QUIVER',
+    'Shield': 'SHIELD',
+    'Off-Hand Catalyst': 'CATALYST',
+    'Amulet': 'AMULET',
+    'Ring': 'RING',
+    'Relic': 'RELIC',
+    'Bow': 'BOW',
+    'Large Idol': 'IDOL_1x3',
+    'Huge Idol': 'IDOL_1x4',
+    'Adorned Idol': 'IDOL_2x2'
+};
+
+const IDOL_EQUIPMENT_TYPES = EQUIPMENT_TYPES.filter(type => type.startsWith('IDOL_'));
+
+const ITEM_EQUIPMENT_TYPES = EQUIPMENT_TYPES.filter(type => !type.startsWith('IDOL_'));
+
+module.exports = {
+    RARITIES,
+    CLASSES,
+    RULE_TYPES,
+    EQUIPMENT_TYPES,
+    IDOL_EQUIPMENT_TYPES,
+    ITEM_EQUIPMENT_TYPES,
+    COLORS,
+    COLOR_SWATCHES,
+    CONFUSABLE_COLOR_PAIRS,
+    PLANNER_CLASSES,
+    PLANNER_ITEM_TYPES,
+    UNIQUE_CATEGORY_TYPES
+};
@@ -0,0 +1,846 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CLASSES, EQUIPMENT_TYPES, ITEM_EQUIPMENT_TYPES } = require('../data/game-constants');
+const { getStrictness } = require('./strictness');
+const { getBuildVariants, applyProgressionStage } = require('./progression');
+const { getDefaultVisuals, loadTheme, resolveTheme } = require('./themes');
+const { loadFragment, expandFragment } = require('./fragments');
+const RuleOptimizer = require('./rule-optimizer');
+const {
+    Filter,
+    Rule,
+    AffixCondition,
+    AffixCountCondition,
+    RarityCondition,
+    SubTypeCondition,
+    ClassCondition,
+    UniqueModifiersCondition
+} = require('../model');
+const MAX_RULES = 75;
+
+// Priority buckets used by filterConfiguration.affixMappings, most important first
+const PRIORITY_ORDER = ['critical', 'high', 'medium-high', 'medium', 'low', 'very_low'];
+
+// Generic rule fragments (fragments/) evaluated first in every filter unless filterConfiguration.includes is set
+const DEFAULT_INCLUDES = [
+    { fragment: 'lp-uniques', params: { minLegendaryPotential: 4, tier: 'chase' } },
+    { fragment: 'lp-uniques', params: { minLegendaryPotential: 3, maxLegendaryPotential: 3, tier: 'exceptional' } },
+    { fragment: 'weavers-will-uniques' }
+];
+
+// Roll range in a unique modifier, e.g. "+(70% to 130%) Spell Critical Strike Multiplier"
+const ROLL_RANGE = /\(\+?(-?[\d.]+)%? to \+?(-?[\d.]+)%?\)/;
+
+// Key uniques without rollThresholds get one derived from their priority: key affixes rolled above average
+const DERIVED_ROLL_PRIORITIES = ['critical', 'high'];
+const DERIVED_MIN_ROLL = 0.5;
+
+// Idol sizes used in itemPriorities.idols mapped to SubTypeCondition equipment types
+const IDOL_SIZE_TYPES = {
+    '1x1': ['IDOL_1x1_ETERRA', 'IDOL_1x1_LAGON'],
+    '2x1': ['IDOL_2x1'],
+    '1x2': ['IDOL_1x2'],
+    '3x1': ['IDOL_3x1'],
+    '1x3': ['IDOL_1x3'],
+    '4x1': ['IDOL_4x1'],
+    '1x4': ['IDOL_1x4'],
+    '2x2': ['IDOL_2x2']
+};
+
+// Automatic "N of these affixes" rules: affixMappings priorities combined and the count required on one item
+const AFFIX_COUNT_RULES = [
+    { count: 3, priorities: ['critical', 'high'], visuals: 'affix-triple', priority: 'high' },
+    { count: 2, priorities: ['critical'], visuals: 'affix-double', priority: 'critical' }
+];
+
+// itemPriorities groups compiled into tier-aware rules, with the equipment types they apply to
+const TIER_GROUPS = {
+    weapons: {
+        label: 'Weapon',
+        equipmentTypes: [
+            'ONE_HANDED_AXE', 'ONE_HANDED_MACES', 'ONE_HANDED_SCEPTRE', 'ONE_HANDED_SWORD', 'WAND', 'ONE_HANDED_DAGGER',
+            'TWO_HANDED_AXE', 'TWO_HANDED_MACE', 'TWO_HANDED_SPEAR', 'TWO_HANDED_STAFF', 'TWO_HANDED_SWORD', 'BOW'
+        ]
+    },
+    offhands: { label: 'Off-Hand', equipmentTypes: ['CATALYST', 'SHIELD', 'QUIVER'] },
+    armor: { label: 'Armor', equipmentTypes: ['HELMET', 'BODY_ARMOR', 'GLOVES', 'BOOTS'] },
+    rings: { label: 'Ring', equipmentTypes: ['RING'] },
+    amulets: { label: 'Amulet', equipmentTypes: ['AMULET'] },
+    belts: { label: 'Belt', equipmentTypes: ['BELT'] }
+};
+
+// Rule labels for filterConfiguration.slotAffixes keys (build planner slots)
+const SLOT_LABELS = {
+    weapon: 'Weapon',
+    offhand: 'Off-Hand',
+    head: 'Helmet',
+    body: 'Body Armor',
+    hands: 'Glove',
+    feet: 'Boot',
+    waist: 'Belt',
+    neck: 'Amulet',
+    finger: 'Ring',
+    relic: 'Relic'
+};
+
+/**
+ * Filter generator for Last Epoch loot filters
+ * Compiles intermediate build JSON files into loot filter XML
+ */
+class FilterGenerator {
+    constructor(dataManager = null) {
+        this.dataManager = dataManager;
+        this.visuals = getDefaultVisuals();
+    }
+
+    /**
+     * Read an intermediate JSON file, compile it and write the XML filter
+     */
+    async generateFromFile(intermediatePath, outputPath, options = {}) {
+        const intermediate = await fs.readJson(intermediatePath);
+        if (this.dataManager) {
+            await this.dataManager.loadAll();
+        }
+        if (options.theme) {
+            if (!this.dataManager) {
+                throw new Error('Themes need the database to resolve color, sound and beam names');
+            }
+            options = { ...options, visuals: resolveTheme(await loadTheme(options.theme), this.dataManager) };
+        }
+        const filter = this.compile(intermediate, options);
+        const xml = filter.toXML();
+
+        await fs.ensureDir(path.dirname(outputPath));
+        await fs.writeFile(outputPath, xml, 'utf8');
+
+        if (options.reportPath) {
+            await fs.ensureDir(path.dirname(options.reportPath));
+            await fs.writeJson(options.reportPath, filter.optimization, { spaces: 2 });
+        }
+
+        console.log(`✅ Filter generated: ${outputPath} (${filter.rules.length}/${MAX_RULES} rules)`);
+
+        return filter;
+    }
+
+    /**
+     * Compile an intermediate build definition into a Filter model
+     * With options.variant the strictness settings are tightened for that variant's progression stage
+     * The rule optimizer's report is returned on filter.optimization; callers decide whether to print it
+     */
+    compile(intermediate, options = {}) {
+        const strictness = options.strictness || 'strict';
+        this.visuals = { ...getDefaultVisuals(), ...(options.visuals || {}) };
+
+        if (!intermediate || !intermediate.buildDefinition || !intermediate.filterConfiguration) {
+            throw new Error('Intermediate file must contain buildDefinition and filterConfiguration sections');
+        }
+
+        const variant = options.variant ? this.findVariant(intermediate, options.variant) : null;
+        const settings = variant ?
+            applyProgressionStage(getStrictness(strictness), variant.stage) : getStrictness(strictness);
+
+        const userInput = intermediate.buildDefinition.userInput || {};
+        const config = intermediate.filterConfiguration;
+        const uniqueHandling = config.uniqueHandling || {};
+        const buildName = variant ?
+            `${userInput.name || 'Unnamed Build'} (${variant.name})` : userInput.name || 'Unnamed Build';
+        const { rules: slotRules, affixIds: slotTargeted } =
+            this.buildSlotAffixRules(config.slotAffixes, config.affixMappings || {}, settings);
+
+        // Most important first: the evaluation order, which the filter writes last-first
+        const compiled = [
+            ...this.buildIncludedRules(config.includes, settings),
+            ...this.buildUniqueRollRules(intermediate.uniqueItemAnalysis),
+            ...this.buildTargetUniqueRules(intermediate, settings),
+            ...(uniqueHandling.showLegendary === false ? [] : [this.buildLegendaryRule()]),
+            ...this.buildIdolRules(config.itemPriorities && config.itemPriorities.idols),
+            ...this.buildHiddenRarityRules(settings),
+            ...this.buildClassRules(userInput.class, config.classFiltering),
+            ...(uniqueHandling.showSets ? [] : [this.buildRarityRule('HIDE', ['SET'], 'Set Items', this.visuals['hide-dim'])]),
+            ...this.buildLowPotentialUniqueRules(settings),
+            ...this.buildAffixCountRules(config.affixMappings || {}, config.affixCountRules, settings),
+            ...this.buildTierRules(config.itemPriorities, settings),
+            ...slotRules,
+            ...this.buildAffixRules(config.affixMappings || {}, settings, slotTargeted),
+            ...(settings.hideEverythingElse ? [this.createRule('HIDE', [], 'Everything Else', this.visuals['hide-other'])] : [])
+        ];
+
+        const optimizer = new RuleOptimizer(options.maxRules || MAX_RULES);
+        const { rules, report } = optimizer.optimize(compiled);
+
+        const filter = new Filter({
+            name: `${buildName} - ${strictness}`,
+            filterIcon: 2,
+            filterIconColor: 5,
+            description: `Generated ${strictness} filter for ${buildName} (${rules.length}/${MAX_RULES} rules)`,
+            lastModifiedInVersion: '1.3.0',
+            lootFilterVersion: 3
+        });
+        filter.setEvaluationOrder(rules);
+        filter.optimization = report;
+
+        return filter;
+    }
+
+    /**
+     * Build variant by name, with its progression stage
+     */
+    findVariant(intermediate, name) {
+        const variants = getBuildVariants(intermediate);
+        const variant = variants.find(entry => entry.name.toLowerCase() === name.toLowerCase());
+        if (!variant) {
+            const known = variants.map(entry => entry.name);
+            throw new Error(`Unknown variant: ${name} (expected: ${known.length > 0 ? known.join(', ') : 'no variants defined'})`);
+        }
+        return variant;
+    }
+
+    /**
+     * Rules from the rule fragments in filterConfiguration.includes (DEFAULT_INCLUDES when absent)
+     * Entries are a fragment name or { fragment, params }
+     */
+    buildIncludedRules(includes, settings) {
+        return (includes || DEFAULT_INCLUDES).flatMap(include => {
+            const { fragment, params } = typeof include === 'string' ? { fragment: include } : include;
+            if (!fragment) {
+                throw new Error(`Include without a fragment name: ${JSON.stringify(include)}`);
+            }
+            return expandFragment(loadFragment(fragment), params, { strictness: settings })
+                .map(definition => this.createFragmentRule(definition, fragment));
+        });
+    }
+
+    /**
+     * Unique rules for 2 LP, 1 LP and 0 LP drops shown after the hide rules
+     */
+    buildLowPotentialUniqueRules(settings) {
+        const rules = [];
+
+        if (settings.minUniqueLegendaryPotential <= 2) {
+            rules.push(this.createRule('SHOW', [this.createRarityCondition(['UNIQUE'], { minLegendaryPotential: 2, maxLegendaryPotential: 2 })],
+                '2 LP Uniques', this.visuals['good-unique']));
+        }
+
+        if (settings.minUniqueLegendaryPotential <= 1) {
+            rules.push(this.createRule('SHOW', [this.createRarityCondition(['UNIQUE'], { minLegendaryPotential: 1, maxLegendaryPotential: 1 })],
+                '1 LP Uniques', this.visuals.unique));
+        }
+
+        if (settings.minUniqueLegendaryPotential <= 0) {
+            rules.push(this.buildRarityRule('SHOW', ['UNIQUE'], 'Other Uniques', this.visuals.unique));
+        }
+
+        return rules;
+    }
+
+    /**
+     * Hide rules for the rarities excluded by the strictness level
+     */
+    buildHiddenRarityRules(settings) {
+        return settings.hiddenRarities.map(rarity => {
+            const label = rarity.charAt(0) + rarity.slice(1).toLowerCase();
+            return this.buildRarityRule('HIDE', [rarity], `${label} Items`, this.visuals['hide-dim']);
+        });
+    }
+
+    /**
+     * Build-specific unique items matched by UniqueModifiersCondition
+     */
+    buildTargetUniqueRules(intermediate, settings) {
+        const uniqueIds = this.collectTargetUniqueIds(intermediate);
+        if (uniqueIds.length === 0) {
+            return [];
+        }
+
+        const conditions = [new UniqueModifiersCondition({
+            uniques: uniqueIds.map(uniqueId => ({ uniqueId, rolls: [] }))
+        })];
+
+        if (settings.buildUniqueMinLegendaryPotential !== null) {
+            conditions.push(this.createRarityCondition(['UNIQUE'], {
+                minLegendaryPotential: settings.buildUniqueMinLegendaryPotential
+            }));
+        }
+
+        return [this.createRule('SHOW', conditions, 'Build Uniques', this.visuals['build-core'])];
+    }
+
+    /**
+     * Key uniques with good rolls: uniqueItemAnalysis[name].rollThresholds, or thresholds derived
+     * from the keyAffixes of a critical / high priority unique, become UniqueModifiersCondition rolls with
+     * RollId resolved against the unique's own modifiers in Data/UniqueItems (needs a DataManager)
+     */
+    buildUniqueRollRules(analysis) {
+        const entries = Object.entries(analysis || {})
+            .filter(([, item]) => item && Number.isInteger(item.uniqueID) &&
+                (Array.isArray(item.rollThresholds) ? item.rollThresholds.length > 0 : DERIVED_ROLL_PRIORITIES.includes(item.priority)));
+        if (entries.length === 0) {
+            return [];
+        }
+
+        if (!this.dataManager) {
+            if (entries.some(([, item]) => Array.isArray(item.rollThresholds))) {
+                console.warn('⚠️  rollThresholds need the unique item database - skipping roll threshold rules');
+            }
+            return [];
+        }
+
+        const uniques = [];
+        for (const [name, item] of entries) {
+            const details = this.dataManager.getUniqueItemDetails(name);
+            if (!details) {
+                console.warn(`⚠️  No unique item data for roll thresholds: ${name}`);
+                continue;
+            }
+
+            const modifiers = this.getUniqueModifiers(details);
+            const thresholds = Array.isArray(item.rollThresholds) ?
+                item.rollThresholds : this.deriveRollThresholds(item.keyAffixes, modifiers, DERIVED_MIN_ROLL);
+            const rolls = thresholds
+                .map(threshold => this.resolveRollThreshold(name, modifiers, threshold))
+                .filter(Boolean);
+            if (rolls.length > 0) {
+                uniques.push({ uniqueId: item.uniqueID, rolls });
+            }
+        }
+
+        if (uniques.length === 0) {
+            return [];
+        }
+
+        return [this.createRule('SHOW', [new UniqueModifiersCondition({ uniques })],
+            'Build Uniques (Good Rolls)', this.visuals['good-rolls'])];
+    }
+
+    /**
+     * Modifiers addressed by RollId: the unique's modifiers without its implicits,
+     * which Data/UniqueItems lists first (e.g. Fractured Crown RollId 0 = Spell Critical Strike Multiplier)
+     */
+    getUniqueModifiers(details) {
+        const modifiers = details.modifiers || [];
+        const implicits = details.implicits || [];
+        const leading = implicits.every((implicit, index) => modifiers[index] === implicit);
+
+        return leading ? modifiers.slice(implicits.length) : modifiers.filter(modifier => !implicits.includes(modifier));
+    }
+
+    /**
+     * Thresholds for a minimum roll fraction on the rolled modifiers named by keyAffixes
+     * (affix IDs such as "501 (T7)", or affix names); key affixes without a matching modifier are ignored
+     */
+    deriveRollThresholds(keyAffixes, modifiers, minRoll) {
+        const rollIds = new Set();
+
+        for (const keyAffix of keyAffixes || []) {
+            const name = this.getKeyAffixName(keyAffix);
+            if (!name) {
+                continue;
+            }
+
+            const rollId = modifiers.findIndex(modifier => ROLL_RANGE.test(modifier) &&
+                modifier.toLowerCase().includes(name.toLowerCase()));
+            if (rollId >= 0) {
+                rollIds.add(rollId);
+            }
+        }
+
+        return Array.from(rollIds).sort((a, b) => a - b).map(rollId => ({ rollId, minRoll }));
+    }
+
+    /**
+     * Affix name for a keyAffixes entry: an affix ID (optionally with a tier, "501 (T5-T6)") or a name
+     */
+    getKeyAffixName(keyAffix) {
+        const text = String(keyAffix).replace(/\s*\(T[^)]*\)\s*$/, '').trim();
+        if (!/^\d+$/.test(text)) {
+            return text || null;
+        }
+
+        const affix = this.dataManager.getAffixById(text);
+        return affix ? affix.name : null;
+    }
+
+    /**
+     * Roll threshold { rollId | modifier, minRoll, maxRoll, lessIsBetter } as a UniqueModifierWithRollId
+     * minRoll / maxRoll are roll fractions (0-1); modifier matches part of the modifier text
+     */
+    resolveRollThreshold(name, modifiers, threshold) {
+        const rollId = Number.isInteger(threshold.rollId) ? threshold.rollId :
+            modifiers.findIndex(modifier => threshold.modifier &&
+                modifier.toLowerCase().includes(String(threshold.modifier).toLowerCase()));
+
+        const range = rollId >= 0 && rollId < modifiers.length ?
+            modifiers[rollId].match(ROLL_RANGE) : null;
+        if (!range) {
+            console.warn(`⚠️  ${name}: no rolled modifier for threshold ${threshold.modifier || threshold.rollId}`);
+            return null;
+        }
+
+        return {
+            rollId,
+            // Ranges written high-to-low, e.g. "(47% to 42%) less Damage", roll better when lower
+            lessIsBetter: threshold.lessIsBetter !== undefined ?
+                Boolean(threshold.lessIsBetter) : parseFloat(range[1]) > parseFloat(range[2]),
+            minRoll: threshold.minRoll !== undefined ? threshold.minRoll : null,
+            maxRoll: threshold.maxRoll !== undefined ? threshold.maxRoll : null
+        };
+    }
+
+    /**
+     * Collect unique IDs from uniqueHandling and uniqueItemAnalysis
+     */
+    collectTargetUniqueIds(intermediate) {
+        const uniqueHandling = (intermediate.filterConfiguration.uniqueHandling) || {};
+        const analysis = intermediate.uniqueItemAnalysis || {};
+        const ids = new Set();
+
+        const entries = [
+            ...(uniqueHandling.targetUniques || []),
+            ...(uniqueHandling.variantUniques || [])
+        ];
+
+        for (const entry of entries) {
+            const uniqueId = this.resolveUniqueId(entry, analysis);
+            if (uniqueId !== null) {
+                ids.add(uniqueId);
+            }
+        }
+
+        for (const item of Object.values(analysis)) {
+            if (item && Number.isInteger(item.uniqueID)) {
+                ids.add(item.uniqueID);
+            }
+        }
+
+        return Array.from(ids);
+    }
+
+    /**
+     * Resolve a target unique entry (object or name) to its unique ID
+     */
+    resolveUniqueId(entry, analysis) {
+        if (entry && typeof entry === 'object' && Number.isInteger(entry.uniqueID)) {
+            return entry.uniqueID;
+        }
+
+        const name = typeof entry === 'string' ? entry : entry && entry.name;
+        if (!name) {
+            return null;
+        }
+
+        if (analysis[name] && Number.isInteger(analysis[name].uniqueID)) {
+            return analysis[name].uniqueID;
+        }
+
+        if (this.dataManager) {
+            const lookup = this.dataManager.get('indexes')['id-lookup'].uniques;
+            for (const [id, unique] of Object.entries(lookup)) {
+                if (unique.name && unique.name.toLowerCase() === name.toLowerCase()) {
+                    return parseInt(id);
+                }
+            }
+        }
+
+        console.warn(`⚠️  Could not resolve unique ID for: ${name}`);
+        return null;
+    }
+
+    /**
+     * Legendary item rule
+     */
+    buildLegendaryRule() {
+        return this.buildRarityRule('SHOW', ['LEGENDARY'], 'Legendary Items', this.visuals.legendary);
+    }
+
+    /**
+     * Hide items that can only be used by other classes
+     */
+    buildClassRules(buildClass, classFiltering) {
+        let hidden = classFiltering && Array.isArray(classFiltering.hideClasses) ?
+            classFiltering.hideClasses : null;
+
+        if (!hidden) {
+            if (!buildClass || !CLASSES.includes(buildClass)) {
+                return [];
+            }
+            hidden = CLASSES.filter(className => className !== buildClass);
+        }
+
+        if (hidden.length === 0) {
+            return [];
+        }
+
+        const condition = new ClassCondition({ req: hidden });
+        return [this.createRule('HIDE', [condition], 'Other Classes', this.visuals['hide-other'])];
+    }
+
+    /**
+     * One affix rule per priority bucket of affixMappings shown at this strictness
+     * Affixes already targeted per slot are left out so they only show on the intended bases
+     */
+    buildAffixRules(affixMappings, settings, excluded = new Set()) {
+        const buckets = this.groupAffixesByPriority(affixMappings);
+        const rules = [];
+
+        for (const priority of PRIORITY_ORDER) {
+            if (!settings.affixPriorities.includes(priority)) {
+                continue;
+            }
+
+            const affixIds = (buckets.get(priority) || []).filter(affixId => !excluded.has(affixId));
+            if (affixIds.length === 0) {
+                continue;
+            }
+
+            const visuals = this.visuals[priority] || this.visuals.medium;
+            const label = priority.charAt(0).toUpperCase() + priority.slice(1);
+            const rule = this.createRule('SHOW', [
+                this.createAffixCondition(affixIds, settings.minAffixTier),
+                this.createRarityCondition(settings.affixRarities)
+            ], `${label} Affixes`, visuals);
+
+            rule.priority = priority;
+            rules.push(rule);
+        }
+
+        return rules;
+    }
+
+    /**
+     * "3+ Critical/High" and "2+ Critical" rules: at least N of the build's affixes on one item,
+     * with a combined tier of N x affixCountTier (raised by the variant stage tier).
+     * filterConfiguration.affixCountRules adds custom rules, optionally with an AffixCountCondition.
+     */
+    buildAffixCountRules(affixMappings, customRules, settings) {
+        const buckets = this.groupAffixesByPriority(affixMappings);
+        const tier = Math.max(settings.affixCountTier || 1, settings.minAffixTier || 0);
+        const definitions = [
+            ...AFFIX_COUNT_RULES,
+            ...(Array.isArray(customRules) ? customRules : []).map(entry => ({
+                name: entry.name,
+                count: entry.minOnTheSameItem || 1,
+                priorities: entry.priorities || ['critical'],
+                affixCount: entry.affixCount || null
+            }))
+        ];
+        const rules = [];
+
+        for (const definition of definitions) {
+            const priorities = definition.priorities.filter(priority => settings.affixPriorities.includes(priority));
+            const affixIds = priorities.flatMap(priority => buckets.get(priority) || []);
+            if (priorities.length === 0 || affixIds.length < definition.count) {
+                continue;
+            }
+
+            const conditions = [new AffixCondition({
+                affixes: affixIds,
+                comparsion: 'ANY',
+                comparsionValue: 0,
+                minOnTheSameItem: definition.count,
+                combinedComparsion: 'MORE_OR_EQUAL',
+                combinedComparsionValue: definition.count * tier,
+                advanced: true
+            })];
+            if (definition.affixCount) {
+                conditions.push(new AffixCountCondition(definition.affixCount));
+            }
+            conditions.push(this.createRarityCondition(settings.affixRarities));
+
+            const label = priorities.map(priority => priority.charAt(0).toUpperCase() + priority.slice(1)).join('/');
+            const rule = this.createRule('SHOW', conditions, definition.name || `${definition.count}+ ${label} Affixes`,
+                this.visuals[definition.visuals] || this.visuals[priorities[0]] || this.visuals.medium);
+
+            rule.priority = definition.priority || priorities[priorities.length - 1];
+            rules.push(rule);
+        }
+
+        return rules;
+    }
+
+    /**
+     * Tier-aware rules from itemPriorities: each weapon / off-hand / armor level bracket and each
+     * accessory entry becomes an AffixCondition with comparsion MORE_OR_EQUAL tierReq and
+     * minOnTheSameItem minAffixes, limited to the group's equipment types (and level range)
+     */
+    buildTierRules(itemPriorities, settings) {
+        if (!itemPriorities) {
+            return [];
+        }
+
+        const accessories = itemPriorities.accessories || {};
+        const targets = [
+            ...this.collectBracketTargets('weapons', itemPriorities.weapons),
+            ...this.collectBracketTargets('offhands', itemPriorities.offhands),
+            ...this.collectBracketTargets('armor', itemPriorities.armor),
+            ...['rings', 'amulets', 'belts']
+                .filter(group => accessories[group])
+                .map(group => ({ group, ...accessories[group], affixes: accessories[group].priorityAffixes }))
+        ];
+
+        const rules = [];
+        for (const target of targets) {
+            const affixIds = (target.affixes || []).map(id => parseInt(id)).filter(id => !isNaN(id));
+            const minTier = Math.max(target.tierReq || 0, settings.minAffixTier || 0);
+            if (affixIds.length === 0 || minTier === 0) {
+                continue;
+            }
+
+            const group = TIER_GROUPS[target.group];
+            const subtypes = this.resolveEquipmentTypes((target.subtypes || [])
+                .map(subtype => String(subtype).toUpperCase())
+                .filter(subtype => EQUIPMENT_TYPES.includes(subtype)));
+            const minOnTheSameItem = Math.min(Math.max(target.minAffixes || 1, 1), affixIds.length);
+
+            const levelDependent = Boolean(target.range) && (target.range[0] > 1 || target.range[1] < 100);
+            const label = `T${minTier}+ ${group.label} Affixes` +
+                (minOnTheSameItem > 1 ? ` (${minOnTheSameItem}+)` : '') +
+                (levelDependent ? ` Lv${target.range[0]}-${target.range[1]}` : '');
+            const rule = this.createRule('SHOW', [
+                new SubTypeCondition({ equipmentTypes: subtypes.length > 0 ? subtypes : group.equipmentTypes, subTypes: [] }),
+                this.createAffixCondition(affixIds, minTier, minOnTheSameItem),
+                this.createRarityCondition(settings.affixRarities)
+            ], label, this.visuals.upgrade);
+
+            if (levelDependent) {
+                rule.levelDependent = true;
+                rule.minLvl = target.range[0];
+                rule.maxLvl = target.range[1];
+            }
+
+            rule.priority = 'high';
+            rules.push(rule);
+        }
+
+        return rules;
+    }
+
+    /**
+     * Level brackets of itemPriorities.weapons / offhands / armor as tier targets
+     */
+    collectBracketTargets(group, priorities) {
+        if (!priorities || !Array.isArray(priorities.levelBrackets)) {
+            return [];
+        }
+
+        return priorities.levelBrackets.map(bracket => ({
+            group,
+            range: Array.isArray(bracket.range) && bracket.range.length === 2 ? bracket.range : null,
+            subtypes: bracket.subtypes,
+            tierReq: bracket.tierReq,
+            minAffixes: bracket.minAffixes,
+            affixes: bracket.affixes || bracket.priorityAffixes
+        }));
+    }
+
+    /**
+     * Per-slot rules from filterConfiguration.slotAffixes: AffixCondition + SubTypeCondition
+     * so an affix only lights up on the equipment types the build wants it on.
+     * Styled by the most important affixMappings priority in the slot (medium when unmapped).
+     */
+    buildSlotAffixRules(slotAffixes, affixMappings, settings) {
+        const result = { rules: [], affixIds: new Set() };
+        if (!slotAffixes) {
+            return result;
+        }
+
+        const priorities = new Map();
+        for (const [priority, affixIds] of this.groupAffixesByPriority(affixMappings)) {
+            affixIds.forEach(affixId => priorities.set(affixId, priority));
+        }
+
+        for (const [slot, entry] of Object.entries(slotAffixes)) {
+            const equipmentTypes = this.resolveEquipmentTypes(entry && entry.equipmentTypes);
+            if (equipmentTypes.length === 0) {
+                continue;
+            }
+
+            const affixIds = [];
+            let rulePriority = null;
+            for (const id of entry.affixes || []) {
+                const affixId = parseInt(id);
+                const priority = priorities.get(affixId) || 'medium';
+                if (isNaN(affixId) || affixIds.includes(affixId) || !settings.affixPriorities.includes(priority)) {
+                    continue;
+                }
+
+                affixIds.push(affixId);
+                if (rulePriority === null || PRIORITY_ORDER.indexOf(priority) < PRIORITY_ORDER.indexOf(rulePriority)) {
+                    rulePriority = priority;
+                }
+            }
+
+            if (affixIds.length === 0) {
+                continue;
+            }
+
+            const label = SLOT_LABELS[slot] || slot.charAt(0).toUpperCase() + slot.slice(1);
+            const rule = this.createRule('SHOW', [
+                new SubTypeCondition({ equipmentTypes, subTypes: [] }),
+                this.createAffixCondition(affixIds, settings.minAffixTier),
+                this.createRarityCondition(settings.affixRarities)
+            ], `${label} Affixes`, this.visuals[rulePriority] || this.visuals.medium);
+
+            rule.priority = rulePriority;
+            result.rules.push(rule);
+            affixIds.forEach(affixId => result.affixIds.add(affixId));
+        }
+
+        return result;
+    }
+
+    /**
+     * Equipment type names as written by DatabaseBuilder.mapEquipTypeIdToName
+     * Numeric entries are equipment type IDs; unknown names are skipped with a warning
+     */
+    resolveEquipmentTypes(values = []) {
+        const types = [];
+
+        for (const value of values) {
+            const type = Number.isInteger(value) ? ITEM_EQUIPMENT_TYPES[value] : value;
+            if (!EQUIPMENT_TYPES.includes(type)) {
+                console.warn(`⚠️  Unknown equipment type in slotAffixes: ${value}`);
+                continue;
+            }
+            if (!types.includes(type)) {
+                types.push(type);
+            }
+        }
+
+        return types;
+    }
+
+    /**
+     * Group affix IDs from affixMappings by priority, keeping first-seen order
+     */
+    groupAffixesByPriority(affixMappings) {
+        const buckets = new Map();
+        const seen = new Set();
+
+        for (const priority of PRIORITY_ORDER) {
+            for (const mapping of Object.values(affixMappings)) {
+                if (!mapping || mapping.priority !== priority) {
+                    continue;
+                }
+
+                for (const id of mapping.ids || []) {
+                    const affixId = parseInt(id);
+                    if (isNaN(affixId) || seen.has(affixId)) {
+                        continue;
+                    }
+                    seen.add(affixId);
+
+                    if (!buckets.has(priority)) {
+                        buckets.set(priority, []);
+                    }
+                    buckets.get(priority).push(affixId);
+                }
+            }
+        }
+
+        return buckets;
+    }
+
+    /**
+     * Idol rules from itemPriorities.idols affix patterns
+     */
+    buildIdolRules(idols) {
+        if (!idols) {
+            return [];
+        }
+
+        const rules = [];
+        for (const [groupName, group] of Object.entries(idols)) {
+            if (!group || !Array.isArray(group.affixPattern) || group.affixPattern.length === 0) {
+                continue;
+            }
+
+            const equipmentTypes = [];
+            for (const size of group.sizes || []) {
+                for (const type of IDOL_SIZE_TYPES[size] || []) {
+                    if (!equipmentTypes.includes(type)) {
+                        equipmentTypes.push(type);
+                    }
+                }
+            }
+
+            const affixIds = group.affixPattern.map(id => parseInt(id)).filter(id => !isNaN(id));
+            const label = groupName.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+
+            rules.push(this.createRule('SHOW', [
+                new SubTypeCondition({ equipmentTypes, subTypes: [] }),
+                this.createAffixCondition(affixIds)
+            ], label, this.visuals.idol));
+        }
+
+        return rules;
+    }
+
+    /**
+     * Rule consisting of a single RarityCondition
+     */
+    buildRarityRule(type, rarities, name, visuals) {
+        return this.createRule(type, [this.createRarityCondition(rarities)], name, visuals);
+    }
+
+    /**
+     * Create a rule
+     */
+    createRule(type, conditions, nameOverride, visuals) {
+        return new Rule({
+            type,
+            conditions,
+            color: visuals.color,
+            isEnabled: true,
+            emphasized: visuals.emphasized,
+            nameOverride,
+            soundId: visuals.soundId,
+            beamId: visuals.beamId
+        });
+    }
+
+    /**
+     * Create a rule from an expanded fragment rule; its "visuals" theme tier sets color, sound and beam
+     */
+    createFragmentRule(definition, fragment) {
+        const { visuals: tier, ...values } = definition;
+        const visuals = tier ? this.visuals[tier] : {};
+        if (!visuals) {
+            throw new Error(`Fragment ${fragment} uses unknown theme tier: ${tier}`);
+        }
+        return new Rule({
+            isEnabled: true,
+            color: visuals.color,
+            emphasized: visuals.emphasized,
+            soundId: visuals.soundId,
+            beamId: visuals.beamId,
+            ...values
+        });
+    }
+
+    /**
+     * Create a RarityCondition with optional legendary potential / weaver's will thresholds
+     */
+    createRarityCondition(rarities, thresholds = {}) {
+        return new RarityCondition({ rarity: rarities, ...thresholds });
+    }
+
+    /**
+     * Create an AffixCondition matching any roll of the given affixes, or only rolls of minTier and
+     * above with at least minOnTheSameItem of them on one item (advanced mode)
+     */
+    createAffixCondition(affixIds, minTier = null, minOnTheSameItem = 1) {
+        if (!minTier && minOnTheSameItem <= 1) {
+            return new AffixCondition({ affixes: affixIds });
+        }
+        return new AffixCondition({
+            affixes: affixIds,
+            comparsion: minTier ? 'MORE_OR_EQUAL' : 'ANY',
+            comparsionValue: minTier || 0,
+            minOnTheSameItem,
+            advanced: true
+        });
+    }
+}
+
+module.exports = FilterGenerator;
@@ -0,0 +1,250 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { Filter, Rule } = require('../model');
+
+const MAX_RULES = 75;
+
+// Rule types that end evaluation; an enabled one without conditions shadows every rule evaluated after it
+const TERMINAL_TYPES = ['SHOW', 'HIDE'];
+
+/**
+ * Merges several loot filters (e.g. shared base rules and build-specific rules) into one
+ * Inputs are given in precedence order: rules of earlier filters are evaluated first.
+ * Rules identical to an earlier one (ignoring their name) are dropped, the merged rules are
+ * written last-first as the game evaluates them (Filter#setEvaluationOrder), Order is
+ * renumbered from 0 and nothing is written above the rule limit.
+ * The first filter's header sets the output version; every merged rule is written with the
+ * rule elements of that version (e.g. v5 *_deprecated level fields and <Order>, none in v3).
+ */
+class FilterMerger {
+    constructor(maxRules = MAX_RULES) {
+        if (!Number.isInteger(maxRules) || maxRules < 1 || maxRules > MAX_RULES) {
+            throw new Error(`Invalid rule budget: ${maxRules} (expected: 1-${MAX_RULES})`);
+        }
+        this.maxRules = maxRules;
+    }
+
+    /**
+     * Merge filter files and write the result when it fits the rule budget
+     */
+    async mergeFiles(inputPaths, outputPath, options = {}) {
+        const sources = [];
+        for (const inputPath of inputPaths) {
+            sources.push({ name: path.basename(inputPath), filter: await Filter.load(inputPath) });
+        }
+
+        const result = this.merge(sources, options);
+        if (result.report.overBy === 0) {
+            await fs.ensureDir(path.dirname(outputPath));
+            await result.filter.save(outputPath);
+        }
+        return result;
+    }
+
+    /**
+     * Merge [{ name, filter }] in precedence order; options.name renames the merged filter
+     * Returns { filter, report } where report is
+     * { limit, total, count, overBy, sources, duplicates, shadowed, trim }
+     */
+    merge(sources, options = {}) {
+        if (sources.length === 0) {
+            throw new Error('Nothing to merge: no filters given');
+        }
+
+        const report = {
+            limit: this.maxRules,
+            total: 0,
+            count: 0,
+            overBy: 0,
+            sources: [],
+            duplicates: [],
+            shadowed: [],
+            trim: []
+        };
+        const kept = [];
+        const seen = new Map();
+        const template = this.ruleTemplate(sources[0].filter);
+
+        for (const source of sources) {
+            const summary = { name: source.name, rules: source.filter.rules.length, kept: 0, duplicates: 0 };
+            report.sources.push(summary);
+            report.total += summary.rules;
+
+            for (const { rule, index } of source.filter.getEvaluationOrder()) {
+                const entry = {
+                    rule: this.conformRule(rule, template),
+                    reference: this.ruleReference(source.name, rule, index)
+                };
+                const key = this.ruleKey(entry.rule);
+
+                if (seen.has(key)) {
+                    report.duplicates.push({ ...entry.reference, duplicateOf: seen.get(key).reference });
+                    summary.duplicates++;
+                    continue;
+                }
+
+                seen.set(key, entry);
+                kept.push(entry);
+                summary.kept++;
+            }
+        }
+
+        kept.forEach((entry, position) => {
+            entry.reference.position = position + 1;
+        });
+        report.count = kept.length;
+        report.overBy = Math.max(0, kept.length - this.maxRules);
+        report.shadowed = this.findShadowedRules(kept);
+        if (report.overBy > 0) {
+            report.trim = this.collectTrimCandidates(kept, report.shadowed, report.overBy);
+        }
+
+        const base = sources[0].filter;
+        const filter = base.clone();
+        filter.name = options.name || base.name;
+        filter.setEvaluationOrder(kept.map(entry => entry.rule), template.includes('Order'));
+
+        return { filter, report };
+    }
+
+    /**
+     * Rule element names of the output version, taken from the first rule of the header
+     * filter (known fields only); a filter without rules gets the model's default layout
+     */
+    ruleTemplate(filter) {
+        const [first] = filter.rules;
+        return (first || new Rule()).resolveLayout()
+            .filter(name => Rule.FIELDS.some(field => field.xml === name));
+    }
+
+    /**
+     * Copy of a rule written with the template's element names
+     * Fields the output version does not have are left out, fields the source version did not
+     * have get their defaults and unknown elements follow the known ones
+     */
+    conformRule(rule, template) {
+        const copy = rule.clone();
+        const props = template.map(name => Rule.FIELDS.find(field => field.xml === name).prop);
+        const defaults = Rule.defaults();
+
+        for (const field of Rule.FIELDS) {
+            if (field.alias) {
+                continue;
+            }
+            if (!props.includes(field.prop)) {
+                delete copy[field.prop];
+            } else if (copy[field.prop] === undefined && defaults[field.prop] !== undefined) {
+                copy[field.prop] = defaults[field.prop];
+            }
+        }
+        copy.layout = [...template, ...Object.keys(copy.extra)];
+        return copy;
+    }
+
+    /**
+     * Identity of a rule for de-duplication: everything but its name and Order
+     */
+    ruleKey(rule) {
+        const fields = rule.toJSON();
+        delete fields.nameOverride;
+        delete fields.order;
+        return JSON.stringify(fields);
+    }
+
+    /**
+     * Whether a rule matches every item and ends evaluation
+     */
+    isCatchAll(rule) {
+        return rule.isEnabled !== false && TERMINAL_TYPES.includes(rule.type) &&
+            !rule.levelDependent && (rule.conditions || []).length === 0;
+    }
+
+    /**
+     * Rules evaluated after the first enabled catch-all SHOW / HIDE rule, which can never fire
+     * kept is in evaluation order, so in a game filter that is its last-resort rule
+     */
+    findShadowedRules(kept) {
+        const catchAll = kept.findIndex(entry => this.isCatchAll(entry.rule));
+        if (catchAll === -1) {
+            return [];
+        }
+
+        const by = kept[catchAll].reference;
+        return kept.slice(catchAll + 1).map(entry => ({ ...entry.reference, by }));
+    }
+
+    /**
+     * overBy rules to remove: disabled and shadowed rules first (no effect on the result),
+     * then the last rules in evaluation order, which come from the lowest-precedence filters
+     */
+    collectTrimCandidates(kept, shadowed, overBy) {
+        const trim = [];
+        const chosen = new Set();
+        const add = (reference, reason) => {
+            if (trim.length < overBy && !chosen.has(reference.position)) {
+                chosen.add(reference.position);
+                trim.push({ ...reference, reason });
+            }
+        };
+
+        kept.filter(entry => entry.rule.isEnabled === false)
+            .forEach(entry => add(entry.reference, 'disabled'));
+        shadowed.slice().reverse()
+            .forEach(reference => add(reference, `never fires after ${this.ruleLabel(reference.by)}`));
+        kept.slice().reverse()
+            .forEach(entry => add(entry.reference, 'lowest precedence'));
+
+        return trim.sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Reference to a source rule for reports (index = document position in its filter, 1-based)
+     */
+    ruleReference(source, rule, index) {
+        return { source, index: index + 1, name: rule.nameOverride || '', type: rule.type };
+    }
+
+    /**
+     * Rule label used in messages, e.g. base.xml rule 3 'Exalted Items'
+     */
+    ruleLabel(reference) {
+        const label = `${reference.source} rule ${reference.index}`;
+        return reference.name ? `${label} '${reference.name}'` : label;
+    }
+
+    /**
+     * Print a merge report
+     */
+    printReport(report) {
+        console.log('📥 Inputs (highest precedence first):');
+        report.sources.forEach(source => {
+            const duplicates = source.duplicates > 0 ? `, ${source.duplicates} duplicate(s) dropped` : '';
+            console.log(`   └─ ${source.name}: ${source.kept}/${source.rules} rules kept${duplicates}`);
+        });
+
+        if (report.duplicates.length > 0) {
+            console.log('');
+            console.log(`♻️  ${report.duplicates.length} duplicate rule(s) removed:`);
+            report.duplicates.forEach(duplicate =>
+                console.log(`   └─ ${this.ruleLabel(duplicate)} (same as ${this.ruleLabel(duplicate.duplicateOf)})`));
+        }
+
+        if (report.shadowed.length > 0) {
+            console.log('');
+            console.log(`⚠️  ${report.shadowed.length} rule(s) never fire after ${this.ruleLabel(report.shadowed[0].by)}:`);
+            report.shadowed.forEach(rule => console.log(`   └─ ${this.ruleLabel(rule)}`));
+        }
+
+        console.log('');
+        if (report.overBy === 0) {
+            console.log(`📏 Merged filter: ${report.count}/${report.limit} rules`);
+            return;
+        }
+
+        console.log(`📏 Merged filter: ${report.count}/${report.limit} rules, ${report.overBy} over the limit`);
+        console.log(`✂️  Trim at least ${report.overBy} rule(s), for example:`);
+        report.trim.forEach(rule => console.log(`   └─ ${this.ruleLabel(rule)} - ${rule.reason}`));
+    }
+}
+
+module.exports = FilterMerger;
@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const FRAGMENTS_DIR = path.join(__dirname, '../../fragments');
+
+// "{name}" placeholders; "{strictness.setting}" reads the strictness level's settings
+const PLACEHOLDER = /\{([\w.-]+)\}/g;
+
+/**
+ * Reusable rule fragments for generated filters
+ * A fragment (fragments/<name>.json) declares parameters with defaults and rules written
+ * like Rule / Condition objects, where "{parameter}" placeholders are filled in per include.
+ * A rule's "visuals" names the theme tier that styles it.
+ */
+
+/**
+ * Names of the fragments shipped in fragments/
+ */
+function getFragmentNames() {
+    return fs.readdirSync(FRAGMENTS_DIR)
+        .filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json')).sort();
+}
+
+/**
+ * Load a fragment by name (fragments/<name>.json) or path
+ * Read synchronously so compiling stays synchronous; fragments are re-read on every build
+ */
+function loadFragment(fragment) {
+    const isPath = fragment.endsWith('.json') || fragment.includes('/') || fragment.includes('\\');
+    const fragmentPath = isPath ? path.resolve(fragment) : path.join(FRAGMENTS_DIR, `${fragment}.json`);
+
+    if (!fs.pathExistsSync(fragmentPath)) {
+        throw new Error(`Unknown fragment: ${fragment} (expected: ${getFragmentNames().join(', ')} or a fragment JSON file)`);
+    }
+
+    const data = fs.readJsonSync(fragmentPath);
+    if (!data || !Array.isArray(data.rules)) {
+        throw new Error(`Fragment ${fragment} has no rules section`);
+    }
+    return data;
+}
+
+/**
+ * Rule definitions of a fragment with its parameters filled in
+ * params override the declared defaults; context.strictness is the strictness level's settings
+ */
+function expandFragment(fragment, params = {}, context = {}) {
+    const declared = fragment.parameters || {};
+    const label = fragment.name || 'fragment';
+
+    const unknown = Object.keys(params).filter(name => !(name in declared));
+    if (unknown.length > 0) {
+        throw new Error(`Fragment ${label} has no parameter ${unknown.join(', ')} ` +
+            `(expected: ${Object.keys(declared).join(', ') || 'none'})`);
+    }
+
+    const values = {};
+    for (const [name, parameter] of Object.entries(declared)) {
+        const value = name in params ? params[name] : parameter.default;
+        if (value === undefined) {
+            throw new Error(`Fragment ${label} needs parameter ${name}`);
+        }
+        values[name] = substitute(value, key => lookup(key, {}, context, label));
+    }
+
+    return fragment.rules.map(rule => substitute(rule, key => lookup(key, values, context, label)));
+}
+
+/**
+ * Value of a placeholder
+ */
+function lookup(key, values, context, label) {
+    if (key in values) {
+        return values[key];
+    }
+    const [scope, setting] = key.split('.');
+    if (scope === 'strictness' && context.strictness && setting in context.strictness) {
+        return context.strictness[setting];
+    }
+    throw new Error(`Fragment ${label} uses unknown placeholder {${key}}`);
+}
+
+/**
+ * Fill in placeholders: a string that is a single placeholder takes the value as is (numbers,
+ * lists, null), placeholders inside text are interpolated and fields that end up null are omitted
+ */
+function substitute(value, resolve) {
+    if (typeof value === 'string') {
+        const single = value.match(/^\{([\w.-]+)\}$/);
+        if (single) {
+            return resolve(single[1]);
+        }
+        return value.replace(PLACEHOLDER, (match, key) => String(resolve(key)));
+    }
+    if (Array.isArray(value)) {
+        return value.map(entry => substitute(entry, resolve));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, entry] of Object.entries(value)) {
+            const resolved = substitute(entry, resolve);
+            if (resolved !== null && resolved !== undefined) {
+                result[key] = resolved;
+            }
+        }
+        return result;
+    }
+    return value;
+}
+
+module.exports = {
+    getFragmentNames,
+    loadFragment,
+    expandFragment
+};
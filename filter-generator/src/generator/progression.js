@@ -0,0 +1,95 @@
+/**
+ * Progression stages for variant filters
+ * Build variants (Starting → Endgame → Aspirational) are mapped to a stage by name and
+ * level description; each stage raises the affix tier threshold and the unique legendary
+ * potential requirements on top of the chosen strictness level
+ */
+const PROGRESSION_STAGES = [
+    {
+        name: 'starting',
+        pattern: /start|level(l)?ing|early|campaign|budget/i,
+        minAffixTier: null,
+        minUniqueLegendaryPotential: 0,
+        buildUniqueMinLegendaryPotential: null
+    },
+    {
+        name: 'endgame',
+        pattern: /endgame|standard|mid-?game/i,
+        minAffixTier: 5,
+        minUniqueLegendaryPotential: 1,
+        buildUniqueMinLegendaryPotential: null
+    },
+    {
+        name: 'aspirational',
+        pattern: /aspiration|min-?max|perfect|bis\b|best in slot|mirror/i,
+        minAffixTier: 6,
+        minUniqueLegendaryPotential: 2,
+        buildUniqueMinLegendaryPotential: 1
+    }
+];
+
+// Variants that match no stage (e.g. "Boss DPS Variant") are endgame specializations
+const DEFAULT_STAGE = 'endgame';
+
+/**
+ * Progression stage for a variant ({ name, level, focus } or a variant name)
+ * Later stages are checked first so "Min-maxed endgame" counts as aspirational
+ */
+function getProgressionStage(variant) {
+    const text = typeof variant === 'string' ? variant :
+        [variant.name, variant.level, variant.focus].filter(Boolean).join(' ');
+
+    for (let index = PROGRESSION_STAGES.length - 1; index >= 0; index--) {
+        if (PROGRESSION_STAGES[index].pattern.test(text)) {
+            return PROGRESSION_STAGES[index];
+        }
+    }
+
+    return PROGRESSION_STAGES.find(stage => stage.name === DEFAULT_STAGE);
+}
+
+/**
+ * Variants of an intermediate build, ordered by progression stage
+ * Reads buildDefinition.derived.variants, falling back to plannerAnalysis.variantBreakdown
+ */
+function getBuildVariants(intermediate) {
+    const derived = (intermediate.buildDefinition && intermediate.buildDefinition.derived) || {};
+    let variants = Array.isArray(derived.variants) ? derived.variants.filter(variant => variant && variant.name) : [];
+
+    if (variants.length === 0 && intermediate.plannerAnalysis && intermediate.plannerAnalysis.variantBreakdown) {
+        variants = Object.keys(intermediate.plannerAnalysis.variantBreakdown).map(name => ({ name }));
+    }
+
+    const rank = variant => PROGRESSION_STAGES.indexOf(getProgressionStage(variant));
+    return variants
+        .map((variant, index) => ({ variant, index }))
+        .sort((a, b) => rank(a.variant) - rank(b.variant) || a.index - b.index)
+        .map(({ variant }) => ({ ...variant, stage: getProgressionStage(variant).name }));
+}
+
+/**
+ * Strictness settings tightened for a progression stage (never loosened)
+ */
+function applyProgressionStage(settings, stageName) {
+    const stage = PROGRESSION_STAGES.find(entry => entry.name === stageName);
+    if (!stage) {
+        throw new Error(`Unknown progression stage: ${stageName} ` +
+            `(expected: ${PROGRESSION_STAGES.map(entry => entry.name).join(', ')})`);
+    }
+
+    const max = (a, b) => (a === null || a === undefined ? b : b === null || b === undefined ? a : Math.max(a, b));
+
+    return {
+        ...settings,
+        minAffixTier: max(settings.minAffixTier, stage.minAffixTier),
+        minUniqueLegendaryPotential: max(settings.minUniqueLegendaryPotential, stage.minUniqueLegendaryPotential),
+        buildUniqueMinLegendaryPotential: max(settings.buildUniqueMinLegendaryPotential, stage.buildUniqueMinLegendaryPotential)
+    };
+}
+
+module.exports = {
+    PROGRESSION_STAGES,
+    getProgressionStage,
+    getBuildVariants,
+    applyProgressionStage
+};
@@ -0,0 +1,274 @@
+const MAX_RULES = 75;
+
+// Priority buckets from filterConfiguration.affixMappings, dropped lowest first (critical is never dropped)
+const DROP_ORDER = ['very_low', 'low', 'medium', 'medium-high', 'high'];
+
+// Condition list fields that can be unioned when merging rules
+const LIST_FIELDS = {
+    AffixCondition: ['affixes'],
+    SubTypeCondition: ['equipmentTypes', 'subTypes']
+};
+
+/**
+ * Rule optimizer for generated loot filters
+ * Keeps compiled filters within the rule budget by merging rules with identical
+ * visual output and, as a last resort, dropping the lowest-priority affix rules
+ */
+class RuleOptimizer {
+    constructor(budget = MAX_RULES) {
+        if (!Number.isInteger(budget) || budget < 1 || budget > MAX_RULES) {
+            throw new Error(`Invalid rule budget: ${budget} (expected: 1-${MAX_RULES})`);
+        }
+        this.budget = budget;
+    }
+
+    /**
+     * Optimize a rule list so that it fits the budget
+     */
+    optimize(rules) {
+        const report = {
+            budget: this.budget,
+            originalCount: rules.length,
+            finalCount: rules.length,
+            merged: [],
+            dropped: []
+        };
+
+        let optimized = rules.slice();
+
+        if (optimized.length > this.budget) {
+            optimized = this.mergeRules(optimized, report);
+        }
+
+        if (optimized.length > this.budget) {
+            optimized = this.dropRules(optimized, report);
+        }
+
+        report.finalCount = optimized.length;
+
+        if (optimized.length > this.budget) {
+            throw new Error(`Unable to fit filter into rule budget: ${optimized.length}/${this.budget} rules ` +
+                'after merging and dropping all optional affix rules');
+        }
+
+        return { rules: optimized, report };
+    }
+
+    /**
+     * Merge rules with identical visuals whose conditions only differ in one affix or subtype list
+     */
+    mergeRules(rules, report) {
+        const result = rules.slice();
+
+        for (let i = 0; i < result.length && result.length > this.budget; i++) {
+            for (let j = i + 1; j < result.length && result.length > this.budget; j++) {
+                const listField = this.findMergeableField(result[i], result[j]);
+                if (!listField || !this.canMoveUp(result, i, j)) {
+                    continue;
+                }
+
+                const merged = this.unionRules(result[i], result[j], listField);
+                report.merged.push({
+                    into: merged.nameOverride,
+                    rules: [result[i].nameOverride, result[j].nameOverride],
+                    reason: `Identical visuals (color ${merged.color}, sound ${merged.soundId}, beam ${merged.beamId}); ` +
+                        `unioned ${listField.conditionType}.${listField.field}`
+                });
+
+                result[i] = merged;
+                result.splice(j, 1);
+                j = i;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the single condition list that differs between two rules, if they can be merged
+     */
+    findMergeableField(a, b) {
+        if (this.visualKey(a) !== this.visualKey(b) || a.conditions.length !== b.conditions.length) {
+            return null;
+        }
+
+        let difference = null;
+
+        for (let index = 0; index < a.conditions.length; index++) {
+            const left = a.conditions[index];
+            const right = b.conditions[index];
+
+            if (left.type !== right.type) {
+                return null;
+            }
+
+            const listFields = LIST_FIELDS[left.type] || [];
+            if (this.conditionKey(left, listFields) !== this.conditionKey(right, listFields)) {
+                return null;
+            }
+            if (left.type === 'AffixCondition' && !this.canUnionAffixes(left)) {
+                return null;
+            }
+
+            for (const field of listFields) {
+                if (this.sameList(left[field], right[field])) {
+                    continue;
+                }
+                if (difference) {
+                    return null;
+                }
+                difference = { index, conditionType: left.type, field };
+            }
+        }
+
+        return difference;
+    }
+
+    /**
+     * Whether unioning an AffixCondition's affix list keeps its meaning
+     * "2 of {A,B}" + "2 of {C,D}" is not "2 of {A,B,C,D}", so per-item counts and combined tiers block it
+     */
+    canUnionAffixes(condition) {
+        return (condition.minOnTheSameItem === undefined || condition.minOnTheSameItem <= 1) &&
+            (condition.combinedComparsion === undefined || condition.combinedComparsion === 'ANY');
+    }
+
+    /**
+     * Moving rule j up to position i must not change how any item is shown or hidden:
+     * every rule in between has the same type and visuals or cannot match the same items
+     */
+    canMoveUp(rules, i, j) {
+        for (let k = i + 1; k < j; k++) {
+            if (this.visualKey(rules[k]) !== this.visualKey(rules[j]) && !this.areDisjoint(rules[k], rules[j])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Whether two rules can never match the same item: disjoint rarities, equipment types or level ranges
+     */
+    areDisjoint(a, b) {
+        const condition = (rule, type) => rule.conditions.find(entry => entry.type === type) || {};
+        const rarities = rule => condition(rule, 'RarityCondition').rarity;
+        const equipmentTypes = rule => condition(rule, 'SubTypeCondition').equipmentTypes;
+        const disjointLists = (left, right) => Array.isArray(left) && Array.isArray(right) &&
+            left.length > 0 && right.length > 0 && !left.some(value => right.includes(value));
+        const disjointLevels = a.levelDependent && b.levelDependent && (a.maxLvl < b.minLvl || b.maxLvl < a.minLvl);
+
+        return disjointLists(rarities(a), rarities(b)) ||
+            disjointLists(equipmentTypes(a), equipmentTypes(b)) || Boolean(disjointLevels);
+    }
+
+    /**
+     * Create a merged copy of two rules with the differing list unioned
+     */
+    unionRules(a, b, listField) {
+        const merged = a.clone();
+        const condition = merged.conditions[listField.index];
+        const extra = b.conditions[listField.index][listField.field];
+
+        for (const value of extra) {
+            if (!condition[listField.field].includes(value)) {
+                condition[listField.field].push(value);
+            }
+        }
+
+        merged.nameOverride = [a.nameOverride, b.nameOverride].filter(Boolean).join(' / ');
+        merged.priority = this.higherPriority(a.priority, b.priority);
+
+        return merged;
+    }
+
+    /**
+     * Drop affix rules with the lowest affixMappings priority until the budget is met
+     */
+    dropRules(rules, report) {
+        const result = rules.slice();
+
+        for (const priority of DROP_ORDER) {
+            for (let index = result.length - 1; index >= 0 && result.length > this.budget; index--) {
+                if (result[index].priority !== priority) {
+                    continue;
+                }
+
+                report.dropped.push({
+                    rule: result[index].nameOverride,
+                    priority,
+                    reason: `Lowest remaining affix priority (${priority}) while over budget`
+                });
+                result.splice(index, 1);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Key describing the visual output of a rule
+     */
+    visualKey(rule) {
+        return [rule.type, rule.color, rule.soundId, rule.beamId, rule.emphasized].join('|');
+    }
+
+    /**
+     * Key describing a condition without its mergeable list fields
+     */
+    conditionKey(condition, listFields) {
+        const stripped = {};
+        for (const [key, value] of Object.entries(condition)) {
+            if (!listFields.includes(key)) {
+                stripped[key] = value;
+            }
+        }
+        return JSON.stringify(stripped);
+    }
+
+    /**
+     * Compare two lists ignoring order
+     */
+    sameList(a = [], b = []) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        const set = new Set(a);
+        return b.every(value => set.has(value));
+    }
+
+    /**
+     * Pick the more important of two affixMappings priorities
+     */
+    higherPriority(a, b) {
+        // A merged rule is only droppable when every source rule was droppable
+        if (!a || !b) {
+            return undefined;
+        }
+        const ranking = [...DROP_ORDER, 'critical'];
+        return ranking.indexOf(a) >= ranking.indexOf(b) ? a : b;
+    }
+
+    /**
+     * Print an optimization report
+     */
+    printReport(report) {
+        if (report.merged.length === 0 && report.dropped.length === 0) {
+            return;
+        }
+
+        console.log('');
+        console.log(`🧮 Rule Optimization: ${report.originalCount} → ${report.finalCount} rules (budget ${report.budget})`);
+
+        report.merged.forEach(entry => {
+            console.log(`   🔗 Merged ${entry.rules.map(name => `'${name}'`).join(' + ')}`);
+            console.log(`      └─ ${entry.reason}`);
+        });
+
+        report.dropped.forEach(entry => {
+            console.log(`   🗑️  Dropped '${entry.rule}'`);
+            console.log(`      └─ ${entry.reason}`);
+        });
+    }
+}
+
+module.exports = RuleOptimizer;
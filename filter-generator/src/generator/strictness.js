@@ -0,0 +1,72 @@
+/**
+ * Strictness levels for generated filters
+ * Each level controls which affix priority buckets are shown, the legendary
+ * potential / weaver's will thresholds on unique rules and which rarities are hidden.
+ * affixCountTier is the average tier each affix of a "2+ / 3+ affixes" rule must reach.
+ */
+const STRICTNESS_LEVELS = {
+    regular: {
+        affixPriorities: ['critical', 'high', 'medium-high', 'medium', 'low'],
+        affixRarities: ['MAGIC', 'RARE', 'EXALTED'],
+        affixCountTier: 3,
+        minUniqueLegendaryPotential: 0,
+        minWeaversWill: 10,
+        buildUniqueMinLegendaryPotential: null,
+        hiddenRarities: ['NORMAL'],
+        hideEverythingElse: false
+    },
+    strict: {
+        affixPriorities: ['critical', 'high', 'medium-high', 'medium'],
+        affixRarities: ['MAGIC', 'RARE', 'EXALTED'],
+        affixCountTier: 4,
+        minUniqueLegendaryPotential: 1,
+        minWeaversWill: 15,
+        buildUniqueMinLegendaryPotential: null,
+        hiddenRarities: ['NORMAL'],
+        hideEverythingElse: true
+    },
+    'very-strict': {
+        affixPriorities: ['critical', 'high', 'medium-high'],
+        affixRarities: ['RARE', 'EXALTED'],
+        affixCountTier: 5,
+        minUniqueLegendaryPotential: 2,
+        minWeaversWill: 20,
+        buildUniqueMinLegendaryPotential: null,
+        hiddenRarities: ['NORMAL', 'MAGIC'],
+        hideEverythingElse: true
+    },
+    'uber-strict': {
+        affixPriorities: ['critical'],
+        affixRarities: ['EXALTED'],
+        affixCountTier: 6,
+        minUniqueLegendaryPotential: 3,
+        minWeaversWill: 25,
+        buildUniqueMinLegendaryPotential: 1,
+        hiddenRarities: ['NORMAL', 'MAGIC', 'RARE'],
+        hideEverythingElse: true
+    }
+};
+
+/**
+ * Names of all strictness levels, least strict first
+ */
+function getStrictnessLevels() {
+    return Object.keys(STRICTNESS_LEVELS);
+}
+
+/**
+ * Get the settings for a strictness level
+ */
+function getStrictness(level) {
+    const settings = STRICTNESS_LEVELS[level];
+    if (!settings) {
+        throw new Error(`Unknown strictness level: ${level} (expected: ${getStrictnessLevels().join(', ')}, all)`);
+    }
+    return settings;
+}
+
+module.exports = {
+    STRICTNESS_LEVELS,
+    getStrictnessLevels,
+    getStrictness
+};
@@ -0,0 +1,112 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const THEMES_DIR = path.join(__dirname, '../../themes');
+const DEFAULT_THEME = 'default';
+const VISUAL_EFFECTS_FILE = path.join(__dirname, '../../Data/colors-sounds-beams.json');
+
+let defaultVisuals = null;
+
+/**
+ * Visual themes for generated filters
+ * A theme (themes/<name>.json) maps semantic tiers such as chase, build-core, upgrade,
+ * currency and hide-dim to color / sound / beam names from colors-sounds-beams.json.
+ * Tiers a theme leaves out are taken from the default theme.
+ */
+
+/**
+ * Names of the themes shipped in themes/
+ */
+async function getThemeNames() {
+    const files = await fs.readdir(THEMES_DIR);
+    return files.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json')).sort();
+}
+
+/**
+ * Load a theme by name (themes/<name>.json) or path, merged over the default theme
+ */
+async function loadTheme(theme = DEFAULT_THEME) {
+    const isPath = theme.endsWith('.json') || theme.includes('/') || theme.includes('\\');
+    const themePath = isPath ? path.resolve(theme) : path.join(THEMES_DIR, `${theme}.json`);
+
+    if (!await fs.pathExists(themePath)) {
+        const known = await getThemeNames();
+        throw new Error(`Unknown theme: ${theme} (expected: ${known.join(', ')} or a theme JSON file)`);
+    }
+
+    const data = await fs.readJson(themePath);
+    if (!data || typeof data.tiers !== 'object') {
+        throw new Error(`Theme ${theme} has no tiers section`);
+    }
+
+    if (!isPath && theme === DEFAULT_THEME) {
+        return data;
+    }
+
+    const base = await loadTheme(DEFAULT_THEME);
+    return { ...data, tiers: { ...base.tiers, ...data.tiers } };
+}
+
+/**
+ * Resolve theme tiers to rule visuals ({ color, emphasized, soundId, beamId }) through the database
+ * Unknown color / sound / beam names are errors rather than silently falling back
+ */
+function resolveTheme(theme, dataManager) {
+    return resolveTiers(theme, dataManager.getVisualEffects());
+}
+
+/**
+ * Rule visuals of the default theme, resolved once from themes/default.json and
+ * Data/colors-sounds-beams.json so generators without a DataManager share them
+ */
+function getDefaultVisuals() {
+    if (!defaultVisuals) {
+        const theme = fs.readJsonSync(path.join(THEMES_DIR, `${DEFAULT_THEME}.json`));
+        defaultVisuals = resolveTiers(theme, fs.readJsonSync(VISUAL_EFFECTS_FILE));
+    }
+    return defaultVisuals;
+}
+
+/**
+ * Resolve theme tiers against the colors / sounds / beams tables of colors-sounds-beams.json
+ */
+function resolveTiers(theme, effects) {
+    const lookups = [
+        { key: 'color', table: effects.colors },
+        { key: 'sound', table: effects.sounds },
+        { key: 'beam', table: effects.beams }
+    ];
+    const visuals = {};
+
+    for (const [tier, style] of Object.entries(theme.tiers)) {
+        const ids = {};
+        for (const { key, table } of lookups) {
+            if (key === 'color' && !style.color) {
+                throw new Error(`Theme ${theme.name || ''} tier '${tier}': missing color`);
+            }
+            const name = style[key] || 'None';
+            const entry = Object.entries(table || {}).find(([, value]) => value.toLowerCase() === String(name).toLowerCase());
+            if (!entry) {
+                throw new Error(`Theme ${theme.name || ''} tier '${tier}': unknown ${key} '${name}'`);
+            }
+            ids[key] = parseInt(entry[0], 10);
+        }
+
+        visuals[tier] = {
+            color: ids.color,
+            emphasized: Boolean(style.emphasized),
+            soundId: ids.sound,
+            beamId: ids.beam
+        };
+    }
+
+    return visuals;
+}
+
+module.exports = {
+    DEFAULT_THEME,
+    getDefaultVisuals,
+    getThemeNames,
+    loadTheme,
+    resolveTheme
+};
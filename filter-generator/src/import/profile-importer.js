@@ -0,0 +1,856 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CLASSES, PLANNER_CLASSES, PLANNER_ITEM_TYPES } = require('../data/game-constants');
+
+// Planner equipment slots grouped the way filterConfiguration.itemPriorities groups them
+const SLOT_GROUPS = {
+    weapons: ['weapon'],
+    offhands: ['offhand'],
+    armor: ['head', 'body', 'hands', 'feet'],
+    rings: ['finger1', 'finger2'],
+    amulets: ['neck'],
+    belts: ['waist']
+};
+
+// Idol equipment types mapped to itemPriorities.idols groups and the sizes the generator understands
+const IDOL_GROUPS = {
+    IDOL_1x1_ETERRA: { group: 'smallIdols', size: '1x1' },
+    IDOL_1x1_LAGON: { group: 'smallIdols', size: '1x1' },
+    IDOL_2x1: { group: 'humbleIdols', size: '2x1' },
+    IDOL_1x2: { group: 'stoutIdols', size: '1x2' },
+    IDOL_3x1: { group: 'grandIdols', size: '3x1' },
+    IDOL_1x3: { group: 'largeIdols', size: '1x3' },
+    IDOL_4x1: { group: 'ornateIdols', size: '4x1' },
+    IDOL_1x4: { group: 'hugeIdols', size: '1x4' },
+    IDOL_2x2: { group: 'adornedIdols', size: '2x2' }
+};
+
+// Planner slots in filterConfiguration.slotAffixes order; both ring slots share one entry
+const SLOT_ORDER = ['weapon', 'offhand', 'head', 'body', 'hands', 'feet', 'waist', 'neck', 'finger', 'relic'];
+
+const PRIORITY_RANK = { critical: 0, high: 1, medium: 2 };
+
+const DAMAGE_TYPES = ['physical', 'fire', 'cold', 'lightning', 'void', 'necrotic', 'poison'];
+
+// Keywords in affix names that identify a defense layer
+const DEFENSES = {
+    armor: /\barmou?r\b/i,
+    dodge: /\bdodge\b/i,
+    ward: /\bward\b/i,
+    block: /\bblock\b/i
+};
+
+/**
+ * Build planner profile importer
+ * Decodes *.profile.json exports (stringified `data` with profiles[].items and idols)
+ * and turns them into an intermediate build definition: one variant per planner
+ * profile, affix IDs resolved through the database and ranked by how consistently
+ * the variants use them.
+ */
+class ProfileImporter {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.unresolved = { affixes: new Set(), uniques: new Set(), itemTypes: new Set() };
+    }
+
+    /**
+     * Read a planner profile file and return the intermediate build JSON
+     */
+    async importFile(profilePath) {
+        await this.dataManager.loadAll();
+        const raw = await fs.readJson(profilePath);
+        return this.import(raw, path.basename(profilePath));
+    }
+
+    /**
+     * Convert a parsed planner export into the intermediate build JSON
+     */
+    import(raw, sourceName = 'planner profile') {
+        this.unresolved = { affixes: new Set(), uniques: new Set(), itemTypes: new Set() };
+        const { meta, metadata, data } = this.decodeProfile(raw);
+
+        if (!Array.isArray(data.profiles) || data.profiles.length === 0) {
+            throw new Error('Planner profile contains no profiles');
+        }
+
+        const variants = data.profiles.map((profile, index) => this.readVariant(profile, index, data.items || {}));
+        const active = variants[data.activeProfile] || variants[0];
+        const affixes = this.collectAffixes(variants);
+        const uniques = this.collectUniques(variants);
+        const affixMappings = this.buildAffixMappings(affixes, variants.length);
+
+        const intermediate = {
+            buildDefinition: this.buildDefinition(meta, metadata, variants, active, uniques, affixMappings, sourceName),
+            plannerAnalysis: {
+                profileMetadata: this.buildProfileMetadata(meta, variants),
+                variantBreakdown: this.buildVariantBreakdown(variants)
+            }
+        };
+
+        if (uniques.length > 0) {
+            intermediate.uniqueItemAnalysis = this.buildUniqueItemAnalysis(uniques, variants.length);
+        }
+
+        intermediate.filterConfiguration = {
+            affixMappings,
+            slotAffixes: this.buildSlotAffixes(variants),
+            itemPriorities: this.buildItemPriorities(variants),
+            uniqueHandling: this.buildUniqueHandling(uniques, variants.length),
+            classFiltering: this.buildClassFiltering(active.className)
+        };
+        intermediate.generationMetadata = this.buildGenerationMetadata(intermediate, variants);
+
+        return intermediate;
+    }
+
+    /**
+     * Split a planner export into its top-level metadata and the decoded `data` payload
+     */
+    decodeProfile(raw) {
+        const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+        try {
+            const data = raw.data !== undefined ? parse(raw.data) : raw;
+            const metadata = raw.metadata ? parse(raw.metadata) : {};
+            return { meta: raw, metadata: metadata || {}, data: data || {} };
+        } catch (error) {
+            throw new Error(`Invalid planner profile data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read one planner profile (variant): class, skills, equipment slots and idols
+     */
+    readVariant(profile, index, items) {
+        const classInfo = PLANNER_CLASSES[profile.class] || null;
+        const variant = {
+            name: profile.name || `Profile ${index + 1}`,
+            className: classInfo ? classInfo.name : null,
+            mastery: classInfo && profile.mastery > 0 ? classInfo.masteries[profile.mastery - 1] || null : null,
+            level: profile.level || 100,
+            skills: (profile.activeSkills || []).filter(Boolean),
+            equipment: [],
+            idols: []
+        };
+
+        for (const [slot, reference] of Object.entries(profile.items || {})) {
+            const item = this.resolveItem(reference, items);
+            if (item) {
+                variant.equipment.push(this.readItem(item, slot));
+            }
+        }
+
+        for (const reference of profile.idols || []) {
+            const item = this.resolveItem(reference, items);
+            if (item) {
+                variant.idols.push(this.readItem(item, 'idol'));
+            }
+        }
+
+        return variant;
+    }
+
+    /**
+     * Slots hold either an item or the key of a shared entry in data.items
+     */
+    resolveItem(reference, items) {
+        if (reference === null || reference === undefined) {
+            return null;
+        }
+        const item = typeof reference === 'number' ? items[reference] : reference;
+        return item && typeof item === 'object' ? item : null;
+    }
+
+    /**
+     * Planner item with its equipment type, unique and affixes resolved
+     */
+    readItem(item, slot) {
+        const equipmentType = PLANNER_ITEM_TYPES[item.itemType] || null;
+        if (!equipmentType) {
+            this.unresolved.itemTypes.add(item.itemType);
+        }
+
+        const affixes = [...(item.affixes || [])];
+        if (item.sealedAffix) {
+            affixes.push({ ...item.sealedAffix, sealed: true });
+        }
+
+        return {
+            slot,
+            equipmentType,
+            subType: Number.isInteger(item.subType) ? item.subType : null,
+            unique: Number.isInteger(item.uniqueID) ? this.resolveUnique(item.uniqueID) : null,
+            affixes: affixes
+                .filter(affix => affix && Number.isInteger(affix.id))
+                .map(affix => ({ id: affix.id, tier: affix.tier || 0, sealed: Boolean(affix.sealed) }))
+        };
+    }
+
+    /**
+     * Unique item from unique-items-overview.json
+     */
+    resolveUnique(uniqueId) {
+        const unique = this.dataManager.getUniqueById(uniqueId);
+        if (!unique) {
+            this.unresolved.uniques.add(uniqueId);
+            return { id: uniqueId, name: `Unique ${uniqueId}`, category: '', baseType: '' };
+        }
+        return { id: uniqueId, name: unique.name, category: unique.category || '', baseType: unique.baseType || '' };
+    }
+
+    /**
+     * Affix name and affixMappings key from id-lookup.json
+     */
+    describeAffix(affixId) {
+        const affix = this.dataManager.getAffixById(affixId);
+        if (!affix || !affix.name) {
+            this.unresolved.affixes.add(affixId);
+            return { name: `Affix ${affixId}`, key: `affix_${affixId}`, resolved: false };
+        }
+        return { name: affix.name, key: this.toStatKey(affix.name), resolved: true };
+    }
+
+    /**
+     * Stat name as used by affixMappings keys, e.g. "Minion Melee and Bow Damage" -> minion_melee_and_bow_damage
+     */
+    toStatKey(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Usage statistics per affix ID across all variants, in first-seen order
+     */
+    collectAffixes(variants) {
+        const affixes = new Map();
+
+        for (const variant of variants) {
+            for (const item of [...variant.equipment, ...variant.idols]) {
+                for (const affix of item.affixes) {
+                    if (!affixes.has(affix.id)) {
+                        affixes.set(affix.id, {
+                            id: affix.id,
+                            ...this.describeAffix(affix.id),
+                            variants: new Set(),
+                            slots: new Set(),
+                            maxTier: 0,
+                            occurrences: 0,
+                            idolOnly: true
+                        });
+                    }
+
+                    const stats = affixes.get(affix.id);
+                    stats.variants.add(variant.name);
+                    stats.slots.add(item.slot);
+                    stats.maxTier = Math.max(stats.maxTier, affix.tier);
+                    stats.occurrences++;
+                    stats.idolOnly = stats.idolOnly && item.slot === 'idol';
+                }
+            }
+        }
+
+        return affixes;
+    }
+
+    /**
+     * Unique items across variants with the variants and slots that use them
+     */
+    collectUniques(variants) {
+        const uniques = new Map();
+
+        for (const variant of variants) {
+            for (const item of variant.equipment) {
+                if (!item.unique) {
+                    continue;
+                }
+
+                if (!uniques.has(item.unique.id)) {
+                    uniques.set(item.unique.id, {
+                        ...item.unique,
+                        variants: new Set(),
+                        slots: new Set(),
+                        affixes: new Map(),
+                        minAffixes: Infinity
+                    });
+                }
+
+                const unique = uniques.get(item.unique.id);
+                unique.variants.add(variant.name);
+                unique.slots.add(item.slot);
+                unique.minAffixes = Math.min(unique.minAffixes, item.affixes.length);
+                for (const affix of item.affixes) {
+                    unique.affixes.set(affix.id, Math.max(unique.affixes.get(affix.id) || 0, affix.tier));
+                }
+            }
+        }
+
+        return Array.from(uniques.values());
+    }
+
+    /**
+     * Affix priority from how consistently the variants use it
+     * Item affixes count as strong at T7 or on 3+ slots, idol-only affixes on 3+ idols
+     */
+    getAffixPriority(stats, variantCount) {
+        const everywhere = stats.variants.size === variantCount;
+        const strong = stats.idolOnly ? stats.occurrences >= 3 : stats.maxTier >= 7 || stats.slots.size >= 3;
+
+        if (everywhere && strong) {
+            return 'critical';
+        }
+        if (everywhere || strong || stats.variants.size * 2 >= variantCount) {
+            return 'high';
+        }
+        return 'medium';
+    }
+
+    /**
+     * filterConfiguration.affixMappings keyed by stat name, most important first
+     */
+    buildAffixMappings(affixes, variantCount) {
+        const mappings = {};
+        const entries = Array.from(affixes.values())
+            .map(stats => ({ stats, priority: this.getAffixPriority(stats, variantCount) }))
+            .sort((a, b) => PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]);
+
+        for (const { stats, priority } of entries) {
+            const slots = stats.idolOnly ? 'idols' : Array.from(stats.slots).join(', ');
+            const description = `${stats.resolved ? stats.name : `Affix ID ${stats.id} (not in id-lookup.json)`} - ` +
+                `${slots}, up to T${stats.maxTier}, in ${stats.variants.size}/${variantCount} variants`;
+
+            if (mappings[stats.key]) {
+                // Several IDs with the same stat name share one mapping
+                mappings[stats.key].ids.push(String(stats.id));
+                continue;
+            }
+
+            mappings[stats.key] = { ids: [String(stats.id)], priority, description };
+        }
+
+        return mappings;
+    }
+
+    /**
+     * buildDefinition with userInput and the analysis derived from the planner data
+     */
+    buildDefinition(meta, metadata, variants, active, uniques, affixMappings, sourceName) {
+        const skills = [];
+        for (const skill of [meta.mainset, ...(metadata.skills || []), ...variants.flatMap(variant => variant.skills)]) {
+            if (skill && !skills.includes(skill)) {
+                skills.push(skill);
+            }
+        }
+
+        const core = uniques.filter(unique => unique.variants.size === variants.length);
+        const optional = uniques.filter(unique => unique.variants.size < variants.length);
+        const statsByPriority = priority => Object.entries(affixMappings)
+            .filter(([, mapping]) => mapping.priority === priority)
+            .map(([key]) => key);
+        const affixNames = Object.values(affixMappings)
+            .filter(mapping => mapping.priority !== 'medium')
+            .map(mapping => mapping.description.split(' - ')[0]);
+
+        const weaponTypes = this.collectEquipmentTypes(variants, [...SLOT_GROUPS.weapons, ...SLOT_GROUPS.offhands]);
+        const buildType = this.deriveBuildType(skills, affixNames, weaponTypes);
+        const defense = this.deriveDefense(affixNames);
+
+        const userInput = {
+            name: meta.name || active.name,
+            class: active.className || '',
+            mastery: active.mastery || '',
+            primarySkill: skills[0] || '',
+            secondarySkills: skills.slice(1),
+            uniqueItems: core.map(unique => unique.name)
+        };
+        if (optional.length > 0) {
+            userInput.optionalUniqueItems = optional.map(unique => unique.name);
+        }
+        if (defense) {
+            userInput.defense = defense;
+        }
+        userInput.source = `${sourceName} (Build Planner Data)`;
+        userInput.description = `Imported from build planner profile with ${variants.length} variant(s): ` +
+            variants.map(variant => variant.name).join(', ');
+
+        return {
+            userInput,
+            derived: {
+                buildType,
+                buildClassification: this.toStatKey(`${active.mastery || active.className || 'planner'} ${buildType}`),
+                variants: variants.map(variant => ({
+                    name: variant.name,
+                    level: `Level ${variant.level}`,
+                    focus: this.describeAffixFocus(variant)
+                })),
+                damageTypes: this.deriveDamageTypes(affixNames),
+                scalingStats: {
+                    critical: statsByPriority('critical'),
+                    high: statsByPriority('high'),
+                    medium: statsByPriority('medium'),
+                    low: [],
+                    ignored: []
+                },
+                defenseStrategy: {
+                    primary: defense || 'armor',
+                    stats: Object.keys(affixMappings).filter(key => Object.values(DEFENSES).some(pattern =>
+                        pattern.test(key.replace(/_/g, ' '))) || /health|resist/.test(key)),
+                    secondary: [],
+                    reasoning: defense ?
+                        `Planner affixes favour ${defense}` :
+                        'No armor, dodge, ward or block affixes in the planner data; armor assumed'
+                },
+                weaponTypes: {
+                    preferred: weaponTypes.map(type => type.toLowerCase()),
+                    compatible: [],
+                    avoided: [],
+                    reasoning: 'Weapon and off-hand base types used by the planner variants'
+                },
+                resourceManagement: {
+                    mana: this.deriveResourcePriority(affixNames, /\bmana\b/i, 'mana'),
+                    health: this.deriveResourcePriority(affixNames, /\bhealth\b/i, 'health')
+                }
+            }
+        };
+    }
+
+    /**
+     * Short description of a variant's affix tiers, e.g. "18 affixes: 6x T7, 5x T6, 7x T5"
+     */
+    describeAffixFocus(variant) {
+        const tiers = new Map();
+        const affixes = variant.equipment.flatMap(item => item.affixes);
+        for (const affix of affixes) {
+            tiers.set(affix.tier, (tiers.get(affix.tier) || 0) + 1);
+        }
+
+        const breakdown = Array.from(tiers.entries())
+            .sort((a, b) => b[0] - a[0])
+            .map(([tier, count]) => `${count}x T${tier}`);
+        const uniqueCount = variant.equipment.filter(item => item.unique).length;
+
+        return `${affixes.length} affixes${breakdown.length > 0 ? `: ${breakdown.join(', ')}` : ''}; ${uniqueCount} unique item(s)`;
+    }
+
+    /**
+     * Equipment types of the given slots across variants, first-seen order
+     */
+    collectEquipmentTypes(variants, slots) {
+        const types = [];
+        for (const variant of variants) {
+            for (const item of variant.equipment) {
+                if (slots.includes(item.slot) && item.equipmentType && !types.includes(item.equipmentType)) {
+                    types.push(item.equipmentType);
+                }
+            }
+        }
+        return types;
+    }
+
+    /**
+     * derived.buildType: minion or summon skills and affixes first, then a bow, spell or melee focus
+     */
+    deriveBuildType(skills, affixNames, weaponTypes) {
+        const text = [...skills, ...affixNames].join(' ');
+        if (/minion|summon/i.test(text)) return 'minion';
+        if (weaponTypes.includes('BOW')) return 'bow';
+        if (/spell/i.test(text)) return 'spell';
+        if (/melee/i.test(text)) return 'melee';
+        return 'hybrid';
+    }
+
+    /**
+     * Defense layer (DEFENSES key) named by the most affixes, or null when none is
+     */
+    deriveDefense(affixNames) {
+        let best = null;
+        let bestCount = 0;
+        for (const [defense, pattern] of Object.entries(DEFENSES)) {
+            const count = affixNames.filter(name => pattern.test(name)).length;
+            if (count > bestCount) {
+                best = defense;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * damageTypes: the first DAMAGE_TYPES entry named by an affix is primary, the rest secondary
+     */
+    deriveDamageTypes(affixNames) {
+        const found = DAMAGE_TYPES.filter(type => affixNames.some(name => name.toLowerCase().includes(type)));
+        return {
+            primary: found.slice(0, 1),
+            secondary: found.slice(1),
+            notes: found.length > 0 ?
+                'Damage types named by the critical and high priority planner affixes' :
+                'No damage type named by the critical and high priority planner affixes'
+        };
+    }
+
+    /**
+     * Resource priority from the number of affixes matching pattern: 2+ high, 1 medium, none low
+     */
+    deriveResourcePriority(affixNames, pattern, resource) {
+        const count = affixNames.filter(name => pattern.test(name)).length;
+        return {
+            priority: count >= 2 ? 'high' : count === 1 ? 'medium' : 'low',
+            reasoning: `${count} critical/high priority planner affix(es) mention ${resource}`
+        };
+    }
+
+    /**
+     * plannerAnalysis.profileMetadata from the export header
+     */
+    buildProfileMetadata(meta, variants) {
+        const metadata = {
+            author: meta.user && meta.user.username,
+            buildId: meta.id,
+            season: meta.season,
+            category: meta.category,
+            level: Math.max(...variants.map(variant => variant.level)),
+            publicProfile: meta.public === undefined ? undefined : Boolean(meta.public),
+            lastAccessed: Number.isInteger(meta.accessed) ?
+                new Date(meta.accessed * 1000).toISOString().slice(0, 10) : meta.date
+        };
+
+        for (const key of Object.keys(metadata)) {
+            if (metadata[key] === undefined || metadata[key] === null) {
+                delete metadata[key];
+            }
+        }
+        return metadata;
+    }
+
+    /**
+     * plannerAnalysis.variantBreakdown: one entry per planner profile
+     */
+    buildVariantBreakdown(variants) {
+        const breakdown = {};
+
+        for (const variant of variants) {
+            const equipment = {};
+            for (const item of variant.equipment) {
+                equipment[item.slot] = {
+                    equipmentType: item.equipmentType,
+                    subType: item.subType,
+                    unique: item.unique ? item.unique.name : null,
+                    uniqueID: item.unique ? item.unique.id : null,
+                    affixes: item.affixes.map(affix => this.describeTieredAffix(affix))
+                };
+            }
+
+            breakdown[variant.name] = {
+                class: variant.className,
+                mastery: variant.mastery,
+                level: variant.level,
+                skills: variant.skills,
+                uniqueItems: variant.equipment.filter(item => item.unique).map(item => item.unique.name),
+                affixFocus: this.describeAffixFocus(variant),
+                equipment,
+                idols: this.summarizeIdols(variant.idols)
+            };
+        }
+
+        return breakdown;
+    }
+
+    /**
+     * Affix reference for reports, e.g. "64 Minion Melee and Bow Damage (T7)"
+     */
+    describeTieredAffix(affix) {
+        const { name } = this.describeAffix(affix.id);
+        return `${affix.id} ${name} (T${affix.tier}${affix.sealed ? ', sealed' : ''})`;
+    }
+
+    /**
+     * Identical idols collapsed into { equipmentType, count, affixes }
+     */
+    summarizeIdols(idols) {
+        const summary = new Map();
+        for (const idol of idols) {
+            const affixes = idol.affixes.map(affix => this.describeTieredAffix(affix));
+            const key = `${idol.equipmentType}|${affixes.join('|')}`;
+            if (!summary.has(key)) {
+                summary.set(key, { equipmentType: idol.equipmentType, count: 0, affixes });
+            }
+            summary.get(key).count++;
+        }
+        return Array.from(summary.values());
+    }
+
+    /**
+     * uniqueItemAnalysis keyed by unique name
+     */
+    buildUniqueItemAnalysis(uniques, variantCount) {
+        const analysis = {};
+
+        for (const unique of uniques) {
+            analysis[unique.name] = {
+                uniqueID: unique.id,
+                category: unique.category,
+                baseType: unique.baseType,
+                priority: unique.variants.size === variantCount ? 'critical' : 'medium',
+                keyEffects: [],
+                buildSynergies: Array.from(unique.variants),
+                keyAffixes: Array.from(unique.affixes.entries())
+                    .map(([id, tier]) => `${id} (T${tier})`),
+                filterImplications: {
+                    legendaryPotential: `${unique.minAffixes}LP (planned affixes on the legendary version)`
+                }
+            };
+        }
+
+        return analysis;
+    }
+
+    /**
+     * itemPriorities from the affixes planned per slot group and from the idols
+     */
+    buildItemPriorities(variants) {
+        const progressive = variants.length > 1;
+        const armor = this.summarizeSlots(variants, SLOT_GROUPS.armor);
+
+        return {
+            weapons: this.toWeaponPriority(variants, SLOT_GROUPS.weapons, 'Weapon affixes across planner variants'),
+            offhands: this.toWeaponPriority(variants, SLOT_GROUPS.offhands, 'Off-hand affixes across planner variants'),
+            armor: {
+                required: armor.affixes.length > 0,
+                progressive,
+                levelBrackets: armor.affixes.length === 0 ? [] : [{
+                    range: [1, 100],
+                    minAffixes: armor.minAffixes,
+                    tierReq: armor.tierReq,
+                    priorityAffixes: armor.affixes,
+                    reasoning: 'Helmet, body armor, gloves and boots affixes across planner variants'
+                }]
+            },
+            accessories: {
+                rings: this.toAccessoryPriority(this.summarizeSlots(variants, SLOT_GROUPS.rings)),
+                amulets: this.toAccessoryPriority(this.summarizeSlots(variants, SLOT_GROUPS.amulets)),
+                belts: this.toAccessoryPriority(this.summarizeSlots(variants, SLOT_GROUPS.belts))
+            },
+            idols: this.buildIdolPriorities(variants)
+        };
+    }
+
+    /**
+     * filterConfiguration.slotAffixes: equipment types and affix IDs wanted per planner slot
+     */
+    buildSlotAffixes(variants) {
+        const slots = {};
+
+        for (const variant of variants) {
+            for (const item of variant.equipment) {
+                const slot = item.slot.replace(/\d+$/, '');
+                if (!item.equipmentType || item.affixes.length === 0) {
+                    continue;
+                }
+
+                if (!slots[slot]) {
+                    slots[slot] = { equipmentTypes: [], affixes: [] };
+                }
+                if (!slots[slot].equipmentTypes.includes(item.equipmentType)) {
+                    slots[slot].equipmentTypes.push(item.equipmentType);
+                }
+                for (const affix of item.affixes) {
+                    if (!slots[slot].affixes.includes(String(affix.id))) {
+                        slots[slot].affixes.push(String(affix.id));
+                    }
+                }
+            }
+        }
+
+        const ordered = {};
+        const known = Object.keys(slots).filter(slot => SLOT_ORDER.includes(slot))
+            .sort((a, b) => SLOT_ORDER.indexOf(a) - SLOT_ORDER.indexOf(b));
+        for (const slot of [...known, ...Object.keys(slots).filter(slot => !SLOT_ORDER.includes(slot))]) {
+            ordered[slot] = slots[slot];
+        }
+        return ordered;
+    }
+
+    /**
+     * Affix IDs (most used first), highest tier and fewest affixes of the rare items in a slot group
+     * minAffixes is capped at 2 since it becomes minOnTheSameItem of a tier rule
+     */
+    summarizeSlots(variants, slots) {
+        const counts = new Map();
+        let tierReq = 0;
+        let minAffixes = Infinity;
+
+        for (const variant of variants) {
+            for (const item of variant.equipment) {
+                if (!slots.includes(item.slot)) {
+                    continue;
+                }
+                if (!item.unique) {
+                    minAffixes = Math.min(minAffixes, item.affixes.length);
+                }
+                for (const affix of item.affixes) {
+                    counts.set(affix.id, (counts.get(affix.id) || 0) + 1);
+                    tierReq = Math.max(tierReq, affix.tier);
+                }
+            }
+        }
+
+        return {
+            affixes: Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).map(([id]) => String(id)),
+            tierReq,
+            minAffixes: minAffixes === Infinity ? 1 : Math.min(minAffixes, 2)
+        };
+    }
+
+    /**
+     * Weapon / off-hand priority: one full-range bracket limited to the planned base types
+     */
+    toWeaponPriority(variants, slots, reasoning) {
+        const summary = this.summarizeSlots(variants, slots);
+        return {
+            required: summary.affixes.length > 0,
+            progressive: variants.length > 1,
+            levelBrackets: summary.affixes.length === 0 ? [] : [{
+                range: [1, 100],
+                subtypes: this.collectEquipmentTypes(variants, slots).map(type => type.toLowerCase()),
+                tierReq: summary.tierReq,
+                affixes: summary.affixes,
+                reasoning
+            }]
+        };
+    }
+
+    /**
+     * Ring / amulet / relic priority from a summarizeSlots summary
+     */
+    toAccessoryPriority(summary) {
+        return {
+            minAffixes: summary.minAffixes,
+            tierReq: summary.tierReq,
+            priorityAffixes: summary.affixes
+        };
+    }
+
+    /**
+     * itemPriorities.idols: one group per idol size with its affix pattern
+     */
+    buildIdolPriorities(variants) {
+        const groups = {};
+
+        for (const variant of variants) {
+            for (const idol of variant.idols) {
+                const mapping = IDOL_GROUPS[idol.equipmentType];
+                if (!mapping) {
+                    continue;
+                }
+
+                if (!groups[mapping.group]) {
+                    groups[mapping.group] = { sizes: [], affixPattern: [], tierReq: 0, reasoning: '' };
+                }
+                const group = groups[mapping.group];
+                if (!group.sizes.includes(mapping.size)) {
+                    group.sizes.push(mapping.size);
+                }
+                for (const affix of idol.affixes) {
+                    if (!group.affixPattern.includes(String(affix.id))) {
+                        group.affixPattern.push(String(affix.id));
+                    }
+                    group.tierReq = Math.max(group.tierReq, affix.tier);
+                }
+            }
+        }
+
+        for (const group of Object.values(groups)) {
+            group.reasoning = `Idol affixes planned on ${group.sizes.join('/')} idols`;
+        }
+
+        return groups;
+    }
+
+    /**
+     * uniqueHandling: uniques in every variant are targets, the rest are variant uniques
+     */
+    buildUniqueHandling(uniques, variantCount) {
+        const targets = uniques.filter(unique => unique.variants.size === variantCount);
+        const others = uniques.filter(unique => unique.variants.size < variantCount);
+
+        return {
+            targetUniques: targets.map(unique => ({
+                name: unique.name,
+                uniqueID: unique.id,
+                minLP: unique.minAffixes,
+                priority: 'critical'
+            })),
+            variantUniques: others.map(unique => ({
+                name: unique.name,
+                uniqueID: unique.id,
+                context: `${Array.from(unique.variants).join(', ')} (${Array.from(unique.slots).join(', ')})`
+            })),
+            minLegendaryPotential: targets.length > 0 ? Math.min(...targets.map(unique => unique.minAffixes)) : 0,
+            showCocooned: true,
+            showSets: false,
+            showLegendary: true
+        };
+    }
+
+    /**
+     * classFiltering: hide items restricted to the other classes
+     */
+    buildClassFiltering(className) {
+        if (!className) {
+            return { hideClasses: [], reasoning: 'Planner class unknown - no classes hidden' };
+        }
+        return {
+            hideClasses: CLASSES.filter(name => name !== className),
+            reasoning: `${className} build - hide items restricted to other classes`
+        };
+    }
+
+    /**
+     * generationMetadata with the rule counts the generator will produce for this build
+     */
+    buildGenerationMetadata(intermediate, variants) {
+        const config = intermediate.filterConfiguration;
+        const priorities = new Set(Object.values(config.affixMappings).map(mapping => mapping.priority));
+        const uniqueHandling = config.uniqueHandling;
+        const hasUniques = uniqueHandling.targetUniques.length + uniqueHandling.variantUniques.length > 0;
+
+        const slots = Object.keys(config.slotAffixes);
+        const countSlots = names => slots.filter(slot => names.includes(slot)).length;
+
+        const ruleBreakdown = {
+            weapons: countSlots(['weapon', 'offhand']),
+            armor: countSlots(['head', 'body', 'hands', 'feet']),
+            accessories: countSlots(['waist', 'neck', 'finger', 'relic']),
+            idols: Object.keys(config.itemPriorities.idols).length,
+            uniques: hasUniques ? 1 : 0,
+            class_filtering: config.classFiltering.hideClasses.length > 0 ? 1 : 0,
+            general_items: priorities.size
+        };
+        const estimatedRules = Object.values(ruleBreakdown).reduce((total, count) => total + count, 0);
+
+        const patterns = ['planner_import', 'affix_id_precision'];
+        if (variants.length > 1) patterns.push('multi_variant_progression');
+        if (hasUniques) patterns.push('specific_unique_targeting');
+        if (ruleBreakdown.idols > 0) patterns.push('specialized_idol_patterns');
+
+        const optimizationNotes = ['Affix IDs, tiers and unique IDs taken directly from the planner profile'];
+        if (this.unresolved.affixes.size > 0) {
+            optimizationNotes.push(`Affix IDs not in id-lookup.json: ${Array.from(this.unresolved.affixes).join(', ')}`);
+        }
+        if (this.unresolved.uniques.size > 0) {
+            optimizationNotes.push(`Unique IDs not in unique-items-overview.json: ${Array.from(this.unresolved.uniques).join(', ')}`);
+        }
+        if (this.unresolved.itemTypes.size > 0) {
+            optimizationNotes.push(`Unknown planner item types: ${Array.from(this.unresolved.itemTypes).join(', ')}`);
+        }
+
+        return {
+            estimatedRules,
+            complexity: variants.length >= 4 || estimatedRules >= 25 ? 'high' : variants.length > 1 ? 'medium' : 'low',
+            patterns,
+            ruleBreakdown,
+            optimizationNotes
+        };
+    }
+}
+
+module.exports = ProfileImporter;
@@ -0,0 +1,32 @@
+const Condition = require('./condition');
+
+/**
+ * Matches items carrying any / all of the listed affix IDs
+ * `comparsion` and `combinedComparsion` keep the game's spelling
+ */
+class AffixCondition extends Condition {
+    static defaults() {
+        return {
+            affixes: [],
+            comparsion: 'ANY',
+            comparsionValue: 0,
+            minOnTheSameItem: 1,
+            combinedComparsion: 'ANY',
+            combinedComparsionValue: 1,
+            advanced: false
+        };
+    }
+}
+
+AffixCondition.TYPE = 'AffixCondition';
+AffixCondition.FIELDS = [
+    { xml: 'affixes', prop: 'affixes', kind: 'list', itemKind: 'int', itemElement: 'int' },
+    { xml: 'comparsion', prop: 'comparsion', kind: 'string' },
+    { xml: 'comparsionValue', prop: 'comparsionValue', kind: 'int' },
+    { xml: 'minOnTheSameItem', prop: 'minOnTheSameItem', kind: 'int' },
+    { xml: 'combinedComparsion', prop: 'combinedComparsion', kind: 'string' },
+    { xml: 'combinedComparsionValue', prop: 'combinedComparsionValue', kind: 'int' },
+    { xml: 'advanced', prop: 'advanced', kind: 'bool' }
+];
+
+module.exports = AffixCondition;
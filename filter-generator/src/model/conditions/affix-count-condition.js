@@ -0,0 +1,27 @@
+const Condition = require('./condition');
+
+/**
+ * Matches items by their number of prefixes and suffixes (null = no bound)
+ */
+class AffixCountCondition extends Condition {
+    static defaults() {
+        return {
+            minPrefixes: null,
+            maxPrefixes: null,
+            minSuffixes: null,
+            maxSuffixes: null,
+            sealedType: 'Any'
+        };
+    }
+}
+
+AffixCountCondition.TYPE = 'AffixCountCondition';
+AffixCountCondition.FIELDS = [
+    { xml: 'minPrefixes', prop: 'minPrefixes', kind: 'int' },
+    { xml: 'maxPrefixes', prop: 'maxPrefixes', kind: 'int' },
+    { xml: 'minSuffixes', prop: 'minSuffixes', kind: 'int' },
+    { xml: 'maxSuffixes', prop: 'maxSuffixes', kind: 'int' },
+    { xml: 'sealedType', prop: 'sealedType', kind: 'string' }
+];
+
+module.exports = AffixCountCondition;
@@ -0,0 +1,19 @@
+const Condition = require('./condition');
+
+/**
+ * Matches items by class requirement (`Any` or a list of class names)
+ */
+class ClassCondition extends Condition {
+    static defaults() {
+        return {
+            req: []
+        };
+    }
+}
+
+ClassCondition.TYPE = 'ClassCondition';
+ClassCondition.FIELDS = [
+    { xml: 'req', prop: 'req', kind: 'words' }
+];
+
+module.exports = ClassCondition;
@@ -0,0 +1,45 @@
+const { XmlElement } = require('../xml-codec');
+
+/**
+ * Base class for rule conditions
+ * Subclasses set TYPE to the i:type written on the <Condition> element.
+ * Conditions with an unknown i:type are kept as plain Condition instances whose
+ * children are preserved verbatim.
+ */
+class Condition extends XmlElement {
+    constructor(values = {}) {
+        super(values);
+        Object.defineProperty(this, 'rawType', { value: null, writable: true, enumerable: false });
+    }
+
+    /**
+     * The i:type of this condition
+     */
+    get type() {
+        return this.constructor.TYPE || this.rawType;
+    }
+
+    toJSON() {
+        return { type: this.type, ...super.toJSON() };
+    }
+
+    clone() {
+        const copy = super.clone();
+        Object.defineProperty(copy, 'rawType', { value: this.rawType, writable: true, enumerable: false });
+        return copy;
+    }
+
+    /**
+     * Write this condition as a <Condition> child of parent
+     */
+    writeTo(parent) {
+        const element = parent.ele('Condition', { 'i:type': this.type });
+        this.writeFields(element);
+        return element;
+    }
+}
+
+Condition.TYPE = null;
+Condition.FIELDS = [];
+
+module.exports = Condition;
@@ -0,0 +1,19 @@
+const Condition = require('./condition');
+
+/**
+ * Matches items eligible for the listed factions
+ */
+class FactionCondition extends Condition {
+    static defaults() {
+        return {
+            factions: []
+        };
+    }
+}
+
+FactionCondition.TYPE = 'FactionCondition';
+FactionCondition.FIELDS = [
+    { xml: 'EligibleFactions', prop: 'factions', kind: 'list', itemKind: 'string', itemElement: 'FactionID' }
+];
+
+module.exports = FactionCondition;
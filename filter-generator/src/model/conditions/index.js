@@ -0,0 +1,56 @@
+const Condition = require('./condition');
+const AffixCondition = require('./affix-condition');
+const AffixCountCondition = require('./affix-count-condition');
+const RarityCondition = require('./rarity-condition');
+const SubTypeCondition = require('./sub-type-condition');
+const UniqueModifiersCondition = require('./unique-modifiers-condition');
+const UniquesCondition = require('./uniques-condition');
+const ClassCondition = require('./class-condition');
+const FactionCondition = require('./faction-condition');
+const KeysCondition = require('./keys-condition');
+const { XSI_NAMESPACE } = require('../xml-codec');
+
+// Condition classes keyed by the i:type attribute written by the game
+const CONDITION_TYPES = {
+    AffixCondition,
+    AffixCountCondition,
+    RarityCondition,
+    SubTypeCondition,
+    UniqueModifiersCondition,
+    UniquesCondition,
+    ClassCondition,
+    FactionCondition,
+    KeysCondition
+};
+
+/**
+ * Create a condition from a <Condition> DOM element
+ */
+function parseCondition(node) {
+    const type = node.getAttributeNS(XSI_NAMESPACE, 'type');
+    const ConditionClass = CONDITION_TYPES[type] || Condition;
+
+    const condition = new ConditionClass();
+    condition.rawType = type;
+    condition.readFields(node);
+    return condition;
+}
+
+/**
+ * Create a condition from a plain description such as { type: 'RarityCondition', rarity: [...] }
+ */
+function createCondition(description) {
+    const ConditionClass = CONDITION_TYPES[description.type];
+    if (!ConditionClass) {
+        throw new Error(`Unsupported condition type: ${description.type}`);
+    }
+    return new ConditionClass(description);
+}
+
+module.exports = {
+    CONDITION_TYPES,
+    parseCondition,
+    createCondition,
+    ...CONDITION_TYPES,
+    Condition
+};
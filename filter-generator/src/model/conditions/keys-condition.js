@@ -0,0 +1,19 @@
+const Condition = require('./condition');
+
+/**
+ * Matches non-equippable items such as keys by filter flags
+ */
+class KeysCondition extends Condition {
+    static defaults() {
+        return {
+            flags: []
+        };
+    }
+}
+
+KeysCondition.TYPE = 'KeysCondition';
+KeysCondition.FIELDS = [
+    { xml: 'NonEquippableItemFilterFlags', prop: 'flags', kind: 'words' }
+];
+
+module.exports = KeysCondition;
@@ -0,0 +1,27 @@
+const Condition = require('./condition');
+
+/**
+ * Matches items by rarity with optional legendary potential / weaver's will ranges
+ */
+class RarityCondition extends Condition {
+    static defaults() {
+        return {
+            rarity: [],
+            minLegendaryPotential: null,
+            maxLegendaryPotential: null,
+            minWeaversWill: null,
+            maxWeaversWill: null
+        };
+    }
+}
+
+RarityCondition.TYPE = 'RarityCondition';
+RarityCondition.FIELDS = [
+    { xml: 'rarity', prop: 'rarity', kind: 'words' },
+    { xml: 'minLegendaryPotential', prop: 'minLegendaryPotential', kind: 'int' },
+    { xml: 'maxLegendaryPotential', prop: 'maxLegendaryPotential', kind: 'int' },
+    { xml: 'minWeaversWill', prop: 'minWeaversWill', kind: 'int' },
+    { xml: 'maxWeaversWill', prop: 'maxWeaversWill', kind: 'int' }
+];
+
+module.exports = RarityCondition;
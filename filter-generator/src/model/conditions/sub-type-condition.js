@@ -0,0 +1,22 @@
+const Condition = require('./condition');
+
+/**
+ * Matches items by equipment type and optional base-type (subtype) IDs
+ * The XML <type> element is exposed as `equipmentTypes`
+ */
+class SubTypeCondition extends Condition {
+    static defaults() {
+        return {
+            equipmentTypes: [],
+            subTypes: []
+        };
+    }
+}
+
+SubTypeCondition.TYPE = 'SubTypeCondition';
+SubTypeCondition.FIELDS = [
+    { xml: 'type', prop: 'equipmentTypes', kind: 'list', itemKind: 'string', itemElement: 'EquipmentType' },
+    { xml: 'subTypes', prop: 'subTypes', kind: 'list', itemKind: 'int', itemElement: 'int' }
+];
+
+module.exports = SubTypeCondition;
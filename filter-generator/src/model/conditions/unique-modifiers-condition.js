@@ -0,0 +1,93 @@
+const Condition = require('./condition');
+const { childElements, isNil } = require('../xml-codec');
+
+/**
+ * Matches unique items by ID with optional per-modifier roll ranges
+ * Each entry is { uniqueId, rolls: [{ rollId, lessIsBetter, minRoll, maxRoll }] }
+ * where rollId is the index into the unique's modifiers list
+ */
+class UniqueModifiersCondition extends Condition {
+    static defaults() {
+        return {
+            uniques: []
+        };
+    }
+
+    readCustomField(field, node) {
+        if (!this.uniques) {
+            this.uniques = [];
+        }
+
+        const unique = { uniqueId: null, rolls: [] };
+        for (const child of childElements(node)) {
+            if (child.nodeName === 'UniqueId') {
+                unique.uniqueId = parseInt(child.textContent.trim(), 10);
+            } else if (child.nodeName === 'Rolls') {
+                unique.rolls = childElements(child).map(roll => this.readRoll(roll));
+            }
+        }
+        this.uniques.push(unique);
+    }
+
+    /**
+     * Read a <UniqueModifierWithRollId> element
+     */
+    readRoll(node) {
+        const roll = { rollId: null, lessIsBetter: false, minRoll: null, maxRoll: null };
+
+        for (const child of childElements(node)) {
+            if (child.nodeName === 'RollId') {
+                roll.rollId = parseInt(child.textContent.trim(), 10);
+            } else if (child.nodeName === 'Modifier') {
+                for (const entry of childElements(child)) {
+                    const text = entry.textContent.trim();
+                    if (entry.nodeName === 'LessIsBetter') {
+                        roll.lessIsBetter = text.toLowerCase() === 'true';
+                    } else if (entry.nodeName === 'MinRoll') {
+                        roll.minRoll = isNil(entry) ? null : parseFloat(text);
+                    } else if (entry.nodeName === 'MaxRoll') {
+                        roll.maxRoll = isNil(entry) ? null : parseFloat(text);
+                    }
+                }
+            }
+        }
+
+        return roll;
+    }
+
+    writeCustomField(field, element, uniques) {
+        for (const unique of uniques) {
+            const uniqueElement = element.ele('Uniques');
+            uniqueElement.ele('UniqueId').txt(String(unique.uniqueId));
+
+            const rolls = uniqueElement.ele('Rolls');
+            for (const roll of unique.rolls || []) {
+                const rollElement = rolls.ele('UniqueModifierWithRollId');
+                rollElement.ele('RollId').txt(String(roll.rollId));
+
+                const modifier = rollElement.ele('Modifier');
+                modifier.ele('LessIsBetter').txt(String(Boolean(roll.lessIsBetter)));
+                this.writeRoll(modifier, 'MinRoll', roll.minRoll);
+                this.writeRoll(modifier, 'MaxRoll', roll.maxRoll);
+            }
+        }
+    }
+
+    /**
+     * Write a roll bound, nil when unset
+     */
+    writeRoll(parent, name, value) {
+        if (value === null || value === undefined) {
+            parent.ele(name, { 'i:nil': 'true' });
+        } else {
+            parent.ele(name).txt(String(value));
+        }
+    }
+}
+
+UniqueModifiersCondition.TYPE = 'UniqueModifiersCondition';
+UniqueModifiersCondition.FIELDS = [
+    { xml: 'Uniques', prop: 'uniques', custom: true, repeated: true }
+];
+
+module.exports = UniqueModifiersCondition;
@@ -0,0 +1,19 @@
+const Condition = require('./condition');
+
+/**
+ * Matches specific unique items by unique ID
+ */
+class UniquesCondition extends Condition {
+    static defaults() {
+        return {
+            uniqueIds: []
+        };
+    }
+}
+
+UniquesCondition.TYPE = 'UniquesCondition';
+UniquesCondition.FIELDS = [
+    { xml: 'uniqueIds', prop: 'uniqueIds', kind: 'list', itemKind: 'int', itemElement: 'unsignedShort' }
+];
+
+module.exports = UniquesCondition;
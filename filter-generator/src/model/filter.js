@@ -0,0 +1,142 @@
+const fs = require('fs-extra');
+const { create } = require('xmlbuilder2');
+const { XSI_NAMESPACE, XmlElement, childElements } = require('./xml-codec');
+const Rule = require('./rule');
+
+/**
+ * In-memory Last Epoch loot filter
+ * Filter.parse() and toXML() round-trip game, sample and template filters: element
+ * order, deprecated fields, i:nil values and unknown elements are preserved.
+ */
+class Filter extends XmlElement {
+    constructor(values = {}) {
+        super(values);
+        this.rules = (this.rules || []).map(rule => rule instanceof Rule ? rule : new Rule(rule));
+        Object.defineProperty(this, 'bom', { value: '', writable: true, enumerable: false });
+        Object.defineProperty(this, 'declaration', { value: true, writable: true, enumerable: false });
+        Object.defineProperty(this, 'rootAttributes', {
+            value: { 'xmlns:i': XSI_NAMESPACE }, writable: true, enumerable: false
+        });
+    }
+
+    static defaults() {
+        return {
+            name: '',
+            filterIcon: 0,
+            filterIconColor: 0,
+            description: '',
+            lastModifiedInVersion: '1.3.0',
+            lootFilterVersion: 3,
+            rules: []
+        };
+    }
+
+    /**
+     * Parse filter XML (leading byte order marks are kept for toXML)
+     */
+    static parse(xmlString) {
+        const bom = xmlString.match(/^\uFEFF*/)[0];
+        const xml = xmlString.slice(bom.length);
+        const root = create(xml).root().node;
+
+        if (root.nodeName !== 'ItemFilter') {
+            throw new Error(`Not a loot filter: root element is <${root.nodeName}>, expected <ItemFilter>`);
+        }
+
+        const filter = new Filter();
+        filter.bom = bom;
+        filter.declaration = /^\s*<\?xml/.test(xml);
+        filter.rootAttributes = {};
+        for (const attribute of Array.from(root.attributes)) {
+            filter.rootAttributes[attribute.name] = attribute.value;
+        }
+        filter.readFields(root);
+
+        return filter;
+    }
+
+    /**
+     * Read and parse a filter file
+     */
+    static async load(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        return Filter.parse(content);
+    }
+
+    /**
+     * Rules in evaluation order as { rule, index } entries (index = document position)
+     * The game checks rules bottom-up: the last rule in the file is the top of the in-game
+     * list and is checked first. Newer filters carry <Order>, 0 for that rule and counting up
+     * towards the first one; when every rule has one, lower Order is evaluated first
+     */
+    getEvaluationOrder() {
+        const entries = this.rules.map((rule, index) => ({ rule, index })).reverse();
+        if (entries.length > 0 && entries.every(entry => Number.isInteger(entry.rule.order))) {
+            entries.sort((a, b) => a.rule.order - b.rule.order || b.index - a.index);
+        }
+        return entries;
+    }
+
+    /**
+     * Replace the rules with a list in evaluation order (first = checked first)
+     * The list is written last-first, as the game reads it; with numberOrder each rule's
+     * Order is set to its evaluation position
+     */
+    setEvaluationOrder(rules, numberOrder = false) {
+        if (numberOrder) {
+            rules.forEach((rule, position) => {
+                rule.order = position;
+            });
+        }
+        this.rules = rules.slice().reverse();
+    }
+
+    readCustomField(field, node) {
+        this.rules = childElements(node).map(element => Rule.fromElement(element));
+    }
+
+    writeCustomField(field, element, rules) {
+        const rulesElement = element.ele('rules');
+        rules.forEach(rule => rule.writeTo(rulesElement));
+    }
+
+    clone() {
+        const copy = super.clone();
+        Object.defineProperty(copy, 'bom', { value: this.bom, writable: true, enumerable: false });
+        Object.defineProperty(copy, 'declaration', { value: this.declaration, writable: true, enumerable: false });
+        Object.defineProperty(copy, 'rootAttributes', {
+            value: { ...this.rootAttributes }, writable: true, enumerable: false
+        });
+        return copy;
+    }
+
+    /**
+     * Serialize to Last Epoch filter XML
+     */
+    toXML() {
+        const doc = this.declaration ? create({ version: '1.0', encoding: 'utf-8' }) : create();
+        const root = doc.ele('ItemFilter', this.rootAttributes);
+        this.writeFields(root);
+
+        return this.bom + doc.end({ prettyPrint: true, indent: '  ', headless: !this.declaration });
+    }
+
+    /**
+     * Write the filter to disk
+     */
+    async save(filePath) {
+        await fs.writeFile(filePath, this.toXML(), 'utf8');
+    }
+}
+
+Filter.FIELDS = [
+    { xml: 'name', prop: 'name', kind: 'string' },
+    { xml: 'filterIcon', prop: 'filterIcon', kind: 'int' },
+    { xml: 'filterIconColor', prop: 'filterIconColor', kind: 'int' },
+    { xml: 'description', prop: 'description', kind: 'string' },
+    { xml: 'lastModifiedInVersion', prop: 'lastModifiedInVersion', kind: 'string' },
+    { xml: 'lootFilterVersion', prop: 'lootFilterVersion', kind: 'int' },
+    { xml: 'rules', prop: 'rules', custom: true }
+];
+
+module.exports = Filter;
@@ -0,0 +1,13 @@
+/**
+ * Shared loot filter object model
+ * Filter / Rule / Condition classes that parse and serialize Last Epoch filter XML
+ */
+const Filter = require('./filter');
+const Rule = require('./rule');
+const conditions = require('./conditions');
+
+module.exports = {
+    Filter,
+    Rule,
+    ...conditions
+};
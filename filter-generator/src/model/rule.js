@@ -0,0 +1,86 @@
+const { XmlElement, childElements } = require('./xml-codec');
+const { Condition, parseCondition, createCondition } = require('./conditions');
+
+/**
+ * A single loot filter rule
+ * Older filters write levelDependent / minLvl / maxLvl, newer ones the *_deprecated
+ * variants plus <Order>; both map onto the same properties and are written back
+ * under the name they were read with.
+ */
+class Rule extends XmlElement {
+    constructor(values = {}) {
+        super(values);
+        this.conditions = (this.conditions || []).map(condition =>
+            condition instanceof Condition ? condition : createCondition(condition));
+    }
+
+    static defaults() {
+        return {
+            type: 'SHOW',
+            conditions: [],
+            color: 0,
+            isEnabled: true,
+            levelDependent: false,
+            minLvl: 0,
+            maxLvl: 0,
+            emphasized: false,
+            nameOverride: '',
+            soundId: 0,
+            beamId: 0
+        };
+    }
+
+    /**
+     * Create a rule from a <Rule> DOM element
+     */
+    static fromElement(node) {
+        const rule = new Rule();
+        rule.readFields(node);
+        return rule;
+    }
+
+    /**
+     * First condition of the given i:type, if any
+     */
+    getCondition(type) {
+        return (this.conditions || []).find(condition => condition.type === type) || null;
+    }
+
+    readCustomField(field, node) {
+        this.conditions = childElements(node).map(parseCondition);
+    }
+
+    writeCustomField(field, element, conditions) {
+        const conditionsElement = element.ele('conditions');
+        conditions.forEach(condition => condition.writeTo(conditionsElement));
+    }
+
+    /**
+     * Write this rule as a <Rule> child of parent
+     */
+    writeTo(parent) {
+        const element = parent.ele('Rule');
+        this.writeFields(element);
+        return element;
+    }
+}
+
+Rule.FIELDS = [
+    { xml: 'type', prop: 'type', kind: 'string' },
+    { xml: 'conditions', prop: 'conditions', custom: true },
+    { xml: 'color', prop: 'color', kind: 'int' },
+    { xml: 'isEnabled', prop: 'isEnabled', kind: 'bool' },
+    { xml: 'levelDependent', prop: 'levelDependent', kind: 'bool' },
+    { xml: 'levelDependent_deprecated', prop: 'levelDependent', kind: 'bool', alias: true },
+    { xml: 'minLvl', prop: 'minLvl', kind: 'int' },
+    { xml: 'minLvl_deprecated', prop: 'minLvl', kind: 'int', alias: true },
+    { xml: 'maxLvl', prop: 'maxLvl', kind: 'int' },
+    { xml: 'maxLvl_deprecated', prop: 'maxLvl', kind: 'int', alias: true },
+    { xml: 'emphasized', prop: 'emphasized', kind: 'bool' },
+    { xml: 'nameOverride', prop: 'nameOverride', kind: 'string' },
+    { xml: 'SoundId', prop: 'soundId', kind: 'int' },
+    { xml: 'BeamId', prop: 'beamId', kind: 'int' },
+    { xml: 'Order', prop: 'order', kind: 'int' }
+];
+
+module.exports = Rule;
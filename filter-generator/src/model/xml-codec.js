@@ -0,0 +1,300 @@
+/**
+ * Low-level helpers shared by the filter model classes
+ * Decodes DOM nodes produced by xmlbuilder2 and encodes values back to elements
+ */
+
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+const ELEMENT_NODE = 1;
+
+/**
+ * Child elements of a DOM node, skipping text and comment nodes
+ */
+function childElements(node) {
+    return Array.from(node.childNodes).filter(child => child.nodeType === ELEMENT_NODE);
+}
+
+/**
+ * Whether an element carries i:nil="true"
+ */
+function isNil(node) {
+    return node.getAttributeNS(XSI_NAMESPACE, 'nil') === 'true';
+}
+
+/**
+ * Decode an element into a JS value according to its field kind
+ */
+function decodeValue(node, field) {
+    if (field.kind === 'list') {
+        return childElements(node).map(child => decodeScalar(child.textContent, field.itemKind));
+    }
+
+    if (isNil(node)) {
+        return null;
+    }
+
+    const text = node.textContent;
+
+    if (field.kind === 'words') {
+        return text.trim() === '' ? [] : text.trim().split(/\s+/);
+    }
+
+    return decodeScalar(text, field.kind);
+}
+
+/**
+ * Decode a text value into a scalar of the given kind
+ * Strings keep their whitespace: the game shows e.g. a nameOverride with its trailing space
+ */
+function decodeScalar(text, kind) {
+    const value = text.trim();
+
+    switch (kind) {
+        case 'int':
+            return value === '' ? null : parseInt(value, 10);
+        case 'decimal':
+            return value === '' ? null : parseFloat(value);
+        case 'bool':
+            return value.toLowerCase() === 'true';
+        default:
+            return text;
+    }
+}
+
+/**
+ * Encode a JS value as a child element of parent according to its field kind
+ */
+function encodeValue(parent, name, value, field) {
+    if (value === null) {
+        parent.ele(name, { 'i:nil': 'true' });
+        return;
+    }
+
+    if (field.kind === 'list') {
+        const list = parent.ele(name);
+        value.forEach(item => list.ele(field.itemElement).txt(String(item)));
+        return;
+    }
+
+    const text = field.kind === 'words' ? value.join(' ') : String(value);
+    const element = parent.ele(name);
+    if (text !== '') {
+        element.txt(text);
+    }
+}
+
+/**
+ * Capture an element the model does not know about so it can be written back unchanged
+ */
+function readRaw(node) {
+    const attributes = {};
+    for (const attribute of Array.from(node.attributes)) {
+        attributes[attribute.name] = attribute.value;
+    }
+
+    const children = childElements(node).map(readRaw);
+
+    return {
+        name: node.nodeName,
+        attributes,
+        text: children.length === 0 ? node.textContent.trim() : '',
+        children
+    };
+}
+
+/**
+ * Write an element captured by readRaw
+ */
+function writeRaw(parent, raw) {
+    const element = parent.ele(raw.name, raw.attributes);
+    if (raw.children.length > 0) {
+        raw.children.forEach(child => writeRaw(element, child));
+    } else if (raw.text !== '') {
+        element.txt(raw.text);
+    }
+}
+
+/**
+ * Deep copy of model values (arrays, plain objects and model elements)
+ */
+function cloneValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(cloneValue);
+    }
+    if (value && typeof value === 'object') {
+        if (typeof value.clone === 'function') {
+            return value.clone();
+        }
+        const copy = {};
+        for (const [key, entry] of Object.entries(value)) {
+            copy[key] = cloneValue(entry);
+        }
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Base class for model objects backed by an ordered list of XML fields
+ *
+ * Subclasses declare static FIELDS entries of the form
+ * { xml, prop, kind, itemKind, itemElement, alias, custom, repeated }. Aliases map a
+ * second element name (e.g. minLvl_deprecated) onto the same property; custom
+ * fields are handled by readCustomField / writeCustomField. `layout` keeps the element
+ * names in source order so parsed documents are written back in the same shape.
+ */
+class XmlElement {
+    constructor(values = {}) {
+        Object.defineProperty(this, 'layout', { value: null, writable: true, enumerable: false });
+        Object.defineProperty(this, 'extra', { value: {}, writable: true, enumerable: false });
+
+        const defaults = this.constructor.defaults ? this.constructor.defaults() : {};
+        for (const field of this.constructor.FIELDS) {
+            if (field.alias) {
+                continue;
+            }
+            if (values[field.prop] !== undefined) {
+                this[field.prop] = values[field.prop];
+            } else if (defaults[field.prop] !== undefined) {
+                this[field.prop] = defaults[field.prop];
+            }
+        }
+    }
+
+    /**
+     * Populate fields from a DOM element
+     */
+    readFields(node) {
+        this.layout = [];
+        const known = new Map(this.constructor.FIELDS.map(field => [field.xml, field]));
+
+        // Fields absent from the source document stay undefined
+        for (const field of this.constructor.FIELDS) {
+            if (!field.alias) {
+                delete this[field.prop];
+            }
+        }
+
+        for (const child of childElements(node)) {
+            const name = child.nodeName;
+            const field = known.get(name);
+
+            // Repeated elements are written together from a single layout entry
+            if (!(field && field.repeated && this.layout.includes(name))) {
+                this.layout.push(name);
+            }
+
+            if (field && field.custom) {
+                this.readCustomField(field, child);
+            } else if (field) {
+                this[field.prop] = decodeValue(child, field);
+            } else {
+                this.extra[name] = this.extra[name] || [];
+                this.extra[name].push(readRaw(child));
+            }
+        }
+    }
+
+    /**
+     * Element names to write, in order
+     */
+    resolveLayout() {
+        const fields = this.constructor.FIELDS;
+        const names = this.layout ? this.layout.slice() : [];
+        let insertAt = 0;
+
+        for (const field of fields) {
+            const present = names.findIndex(name => {
+                const known = fields.find(entry => entry.xml === name);
+                return known && known.prop === field.prop;
+            });
+
+            if (present !== -1) {
+                insertAt = Math.max(insertAt, present + 1);
+                continue;
+            }
+
+            if (!field.alias && this[field.prop] !== undefined) {
+                names.splice(insertAt, 0, field.xml);
+                insertAt++;
+            }
+        }
+
+        return names;
+    }
+
+    /**
+     * Write fields as children of a builder element
+     */
+    writeFields(element) {
+        const fields = this.constructor.FIELDS;
+        const written = {};
+
+        for (const name of this.resolveLayout()) {
+            const field = fields.find(entry => entry.xml === name);
+
+            if (!field) {
+                const raw = (this.extra[name] || [])[written[name] || 0];
+                written[name] = (written[name] || 0) + 1;
+                if (raw) {
+                    writeRaw(element, raw);
+                }
+                continue;
+            }
+
+            const value = this[field.prop];
+            if (value === undefined) {
+                continue;
+            }
+
+            if (field.custom) {
+                this.writeCustomField(field, element, value);
+            } else {
+                encodeValue(element, name, value, field);
+            }
+        }
+    }
+
+    /**
+     * Plain object with the field values of this element
+     */
+    toJSON() {
+        const json = {};
+        for (const field of this.constructor.FIELDS) {
+            if (!field.alias && this[field.prop] !== undefined) {
+                json[field.prop] = this[field.prop];
+            }
+        }
+        return json;
+    }
+
+    /**
+     * Deep copy including source layout and unknown elements
+     */
+    clone() {
+        const copy = Object.create(Object.getPrototypeOf(this));
+        Object.defineProperty(copy, 'layout', {
+            value: this.layout ? this.layout.slice() : null, writable: true, enumerable: false
+        });
+        Object.defineProperty(copy, 'extra', {
+            value: cloneValue(this.extra), writable: true, enumerable: false
+        });
+
+        for (const [key, value] of Object.entries(this)) {
+            copy[key] = cloneValue(value);
+        }
+
+        return copy;
+    }
+}
+
+module.exports = {
+    XSI_NAMESPACE,
+    XmlElement,
+    childElements,
+    isNil,
+    decodeValue,
+    encodeValue,
+    readRaw,
+    writeRaw,
+    cloneValue
+};
@@ -1,27 +1,29 @@
 const fs = require('fs-extra');
 const path = require('path');
-const xml2js = require('xml2js');
+const { create } = require('xmlbuilder2');
+const { XSI_NAMESPACE, childElements, isNil } = require('../model/xml-codec');
+
+// Simple values are turned into enumerations when they are identifier-like and
+// repeat often enough across the samples to be a closed set
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_ENUM_VALUES = 40;
+const MIN_ENUM_REPEAT = 3;
+const MAX_TRACKED_VALUES = 500;
 
 /**
  * XSD Schema Generator for Last Epoch loot filter XML files
  * Analyzes existing XML filters to extract schema patterns and generate XSD
+ *
+ * Element types are keyed by their position in the document (ItemFilter/rules/Rule/...),
+ * and Condition elements get one derived complex type per i:type. Children are
+ * counted per parent instance to find optional and repeated elements, and their
+ * order is merged across all samples.
  */
 class SchemaGenerator {
     constructor() {
-        this.parser = new xml2js.Parser({
-            explicitArray: false,
-            ignoreAttrs: false,
-            attrkey: '@',
-            charkey: '#text',
-            normalizeTags: false,
-            explicitRoot: true
-        });
-        
         this.schema = {
-            elements: new Map(),
-            attributes: new Map(),
             types: new Map(),
-            patterns: new Set()
+            files: 0
         };
     }
 
@@ -30,12 +32,12 @@ class SchemaGenerator {
      */
     async generateSchema(sourcePattern, outputPath) {
         console.log('🔍 Analyzing XML filters for schema generation...');
-        
+
         try {
             // Find all XML files matching the pattern
             const xmlFiles = await this.findXMLFiles(sourcePattern);
             console.log(`📁 Found ${xmlFiles.length} XML filter files`);
-            
+
             if (xmlFiles.length === 0) {
                 throw new Error('No XML files found matching the pattern');
             }
@@ -47,18 +49,18 @@ class SchemaGenerator {
 
             // Generate XSD schema
             const xsdContent = this.generateXSDContent();
-            
+
             // Ensure output directory exists
             await fs.ensureDir(path.dirname(outputPath));
-            
+
             // Write XSD file
             await fs.writeFile(outputPath, xsdContent, 'utf8');
-            
+
             console.log(`✅ XSD schema generated: ${outputPath}`);
             this.printSchemaStatistics();
-            
+
             return outputPath;
-            
+
         } catch (error) {
             console.error('❌ Schema generation failed:', error.message);
             throw error;
@@ -70,28 +72,28 @@ class SchemaGenerator {
      */
     async findXMLFiles(sourcePattern) {
         const { glob } = require('glob');
-        
+
         try {
-            const files = await glob(sourcePattern, { 
+            const files = await glob(sourcePattern, {
                 cwd: process.cwd(),
-                absolute: true 
+                absolute: true
             });
-            
+
             // Filter for XML files only
-            return files.filter(file => file.toLowerCase().endsWith('.xml'));
-            
+            return files.filter(file => file.toLowerCase().endsWith('.xml')).sort();
+
         } catch (error) {
             // Fallback: try direct directory search if glob fails
-            const dirPath = sourcePattern.includes('*') ? 
+            const dirPath = sourcePattern.includes('*') ?
                 path.dirname(sourcePattern) : sourcePattern;
-                
+
             if (await fs.pathExists(dirPath)) {
                 const files = await fs.readdir(dirPath);
                 return files
                     .filter(file => file.toLowerCase().endsWith('.xml'))
                     .map(file => path.join(dirPath, file));
             }
-            
+
             throw error;
         }
     }
@@ -102,137 +104,313 @@ class SchemaGenerator {
     async analyzeXMLFile(xmlFilePath) {
         try {
             const xmlContent = await fs.readFile(xmlFilePath, 'utf8');
-            const parsed = await this.parser.parseStringPromise(xmlContent);
-            
+            const root = create(xmlContent.replace(/^\uFEFF+/, '')).root().node;
+
             console.log(`📄 Analyzing: ${path.basename(xmlFilePath)}`);
-            
-            // Analyze the parsed XML structure
-            this.analyzeElement('ItemFilter', parsed.ItemFilter || parsed);
-            
+
+            this.analyzeElement(root, root.localName);
+            this.schema.files++;
+
         } catch (error) {
             console.warn(`⚠️  Failed to analyze ${xmlFilePath}: ${error.message}`);
         }
     }
 
     /**
-     * Recursively analyze XML elements to build schema
+     * Get or create the type record for a type key
      */
-    analyzeElement(elementName, element, parentPath = '') {
-        const currentPath = parentPath ? `${parentPath}/${elementName}` : elementName;
-        
-        if (!this.schema.elements.has(elementName)) {
-            this.schema.elements.set(elementName, {
-                name: elementName,
-                type: this.determineElementType(element),
-                children: new Set(),
-                attributes: new Set(),
-                textContent: false,
-                optional: false,
-                multiple: false
+    getTypeInfo(key, elementName, parentKey = null) {
+        if (!this.schema.types.has(key)) {
+            this.schema.types.set(key, {
+                key,
+                elementName,
+                parentKey,
+                base: null,
+                derived: new Set(),
+                occurrences: 0,
+                contentInstances: 0,
+                nilCount: 0,
+                complex: false,
+                children: new Map(),
+                order: [],
+                orderConflicts: new Set(),
+                attributes: new Map(),
+                values: new Map(),
+                valueKinds: new Set(),
+                emptyCount: 0,
+                valueOverflow: false
             });
         }
-        
-        const elementInfo = this.schema.elements.get(elementName);
-        
-        if (typeof element === 'object' && element !== null) {
-            // Check for attributes
-            if (element['@']) {
-                Object.keys(element['@']).forEach(attr => {
-                    elementInfo.attributes.add(attr);
-                    this.recordAttribute(elementName, attr, element['@'][attr]);
-                });
-            }
-            
-            // Check for text content
-            if (element['#text']) {
-                elementInfo.textContent = true;
-                this.recordTextPattern(elementName, element['#text']);
-            }
-            
-            // Process child elements
-            Object.keys(element).forEach(key => {
-                if (key !== '@' && key !== '#text') {
-                    elementInfo.children.add(key);
-                    
-                    const childElement = element[key];
-                    
-                    // Handle arrays (multiple occurrences)
-                    if (Array.isArray(childElement)) {
-                        this.markAsMultiple(key);
-                        childElement.forEach(child => 
-                            this.analyzeElement(key, child, currentPath)
-                        );
-                    } else {
-                        this.analyzeElement(key, childElement, currentPath);
-                    }
-                }
-            });
-        } else if (element !== null && element !== undefined) {
-            // Simple text content
-            elementInfo.textContent = true;
-            this.recordTextPattern(elementName, element);
-        }
+        return this.schema.types.get(key);
     }
 
     /**
-     * Determine the data type of an element
+     * Record one occurrence of an element under the given type key
      */
-    determineElementType(element) {
-        if (typeof element === 'boolean') return 'boolean';
-        if (typeof element === 'number') return 'integer';
-        if (typeof element === 'string') {
-            if (/^\d+$/.test(element)) return 'integer';
-            if (/^(true|false)$/i.test(element)) return 'boolean';
-            if (/^\d+\.\d+$/.test(element)) return 'decimal';
-            return 'string';
-        }
-        return 'complexType';
+    analyzeElement(node, key, parentKey = null) {
+        const info = this.getTypeInfo(key, node.localName, parentKey);
+        info.occurrences++;
+
+        if (isNil(node)) {
+            info.nilCount++;
+            return;
+        }
+
+        // i:type selects a derived type; its content is recorded there instead
+        const xsiType = node.getAttributeNS(XSI_NAMESPACE, 'type');
+        if (xsiType) {
+            info.derived.add(xsiType);
+            const derived = this.getTypeInfo(xsiType, node.localName, parentKey);
+            derived.base = key;
+            this.analyzeContent(node, derived);
+            return;
+        }
+
+        this.analyzeContent(node, info);
     }
 
     /**
-     * Record attribute information
+     * Record attributes, text and children of one element instance
      */
-    recordAttribute(elementName, attributeName, value) {
-        const key = `${elementName}@${attributeName}`;
-        
-        if (!this.schema.attributes.has(key)) {
-            this.schema.attributes.set(key, {
-                element: elementName,
-                name: attributeName,
-                type: this.determineElementType(value),
-                values: new Set()
-            });
+    analyzeContent(node, info) {
+        info.contentInstances++;
+
+        for (const attribute of Array.from(node.attributes)) {
+            // Namespace declarations and i:type / i:nil are handled by the schema itself
+            if (attribute.prefix === 'xmlns' || attribute.name === 'xmlns' || attribute.namespaceURI === XSI_NAMESPACE) {
+                continue;
+            }
+            const entry = info.attributes.get(attribute.name) || { count: 0, values: new Set() };
+            entry.count++;
+            entry.values.add(attribute.value);
+            info.attributes.set(attribute.name, entry);
+        }
+
+        const children = childElements(node);
+        if (children.length === 0) {
+            this.recordValue(info, node.textContent.trim());
+            return;
+        }
+
+        info.complex = true;
+        const counts = new Map();
+        const sequence = [];
+
+        for (const child of children) {
+            const name = child.localName;
+            if (!counts.has(name)) {
+                sequence.push(name);
+            }
+            counts.set(name, (counts.get(name) || 0) + 1);
+
+            if (!info.children.has(name)) {
+                info.children.set(name, { name, typeKey: `${info.key}/${name}`, instances: 0, maxOccurs: 0 });
+            }
+            this.analyzeElement(child, info.children.get(name).typeKey, info.key);
+        }
+
+        for (const [name, count] of counts) {
+            const entry = info.children.get(name);
+            entry.instances++;
+            entry.maxOccurs = Math.max(entry.maxOccurs, count);
         }
-        
-        this.schema.attributes.get(key).values.add(value);
+
+        this.mergeOrder(info, sequence);
     }
 
     /**
-     * Record text content patterns
+     * Record a text value for type and enumeration inference
      */
-    recordTextPattern(elementName, textContent) {
-        const pattern = this.classifyTextPattern(textContent);
-        this.schema.patterns.add(`${elementName}:${pattern}`);
+    recordValue(info, text) {
+        if (text === '') {
+            info.emptyCount++;
+            return;
+        }
+        info.valueKinds.add(this.classifyTextPattern(text));
+        if (!info.values.has(text) && info.values.size >= MAX_TRACKED_VALUES) {
+            info.valueOverflow = true;
+            return;
+        }
+        info.values.set(text, (info.values.get(text) || 0) + 1);
     }
 
     /**
      * Classify text content into patterns
      */
     classifyTextPattern(text) {
-        if (/^\d+$/.test(text)) return 'integer';
-        if (/^(true|false)$/i.test(text)) return 'boolean';
-        if (/^\d+\.\d+$/.test(text)) return 'decimal';
-        if (text.length === 0) return 'empty';
+        if (/^-?\d+$/.test(text)) return 'integer';
+        if (/^(true|false)$/.test(text)) return 'boolean';
+        if (/^-?\d+\.\d+$/.test(text)) return 'decimal';
         return 'string';
     }
 
     /**
-     * Mark an element as potentially occurring multiple times
+     * Merge the child order of one instance into the observed order
+     * New names are placed right after the element that preceded them
+     */
+    mergeOrder(info, sequence) {
+        let position = -1;
+
+        for (const name of sequence) {
+            const index = info.order.indexOf(name);
+            if (index === -1) {
+                info.order.splice(position + 1, 0, name);
+                position++;
+            } else if (index > position) {
+                position = index;
+            } else {
+                info.orderConflicts.add(name);
+            }
+        }
+    }
+
+    /**
+     * Whether a type needs a complex type definition
+     */
+    isComplex(info) {
+        return info.complex || info.attributes.size > 0 || info.derived.size > 0 || info.base !== null;
+    }
+
+    /**
+     * Infer the built-in XSD type of a simple element from its values
+     */
+    inferBuiltinType(info) {
+        const kinds = info.valueKinds;
+        if (kinds.size === 0 || info.emptyCount > 0) {
+            return 'xs:string';
+        }
+        if (kinds.size === 1 && kinds.has('integer')) return 'xs:int';
+        if (kinds.size === 1 && kinds.has('boolean')) return 'xs:boolean';
+        if ([...kinds].every(kind => kind === 'integer' || kind === 'decimal')) return 'xs:decimal';
+        return 'xs:string';
+    }
+
+    /**
+     * Infer an enumeration (or a space-separated list of one) from the recorded values
+     * Returns { values, list } or null when the values look like free text
+     */
+    inferEnumeration(info) {
+        if (info.valueOverflow || info.values.size === 0 || this.inferBuiltinType(info) !== 'xs:string') {
+            return null;
+        }
+
+        const tokens = new Map();
+        let list = false;
+        let total = 0;
+
+        for (const [value, count] of info.values) {
+            const parts = value.split(/\s+/);
+            if (parts.length > 1) {
+                list = true;
+            }
+            for (const part of parts) {
+                if (!IDENTIFIER.test(part)) {
+                    return null;
+                }
+                tokens.set(part, (tokens.get(part) || 0) + count);
+                total += count;
+            }
+        }
+
+        // Single enumeration values cannot be empty; empty lists are fine
+        if (info.emptyCount > 0 && !list) {
+            return null;
+        }
+
+        // Lists of identifiers repeat as whole values too, unlike free-text names
+        if (list && info.values.size * MIN_ENUM_REPEAT > this.countValues(info)) {
+            return null;
+        }
+
+        if (tokens.size > MAX_ENUM_VALUES || tokens.size * MIN_ENUM_REPEAT > total) {
+            return null;
+        }
+
+        return { values: [...tokens.keys()].sort(), list };
+    }
+
+    /**
+     * Number of recorded non-empty values
+     */
+    countValues(info) {
+        let total = 0;
+        for (const count of info.values.values()) {
+            total += count;
+        }
+        return total;
+    }
+
+    /**
+     * Assign XSD names to complex types and enumerations
+     * Names are the element name plus a suffix, qualified by the parent type on collisions
      */
-    markAsMultiple(elementName) {
-        if (this.schema.elements.has(elementName)) {
-            this.schema.elements.get(elementName).multiple = true;
+    assignTypeNames() {
+        const complexNames = new Map();
+        const enumNames = new Map();
+        const enumerations = new Map();
+
+        for (const info of this.schema.types.values()) {
+            if (this.isComplex(info)) {
+                if (!info.base) {
+                    complexNames.set(info.key, `${info.elementName}Type`);
+                }
+                continue;
+            }
+            const enumeration = this.inferEnumeration(info);
+            if (enumeration) {
+                enumerations.set(info.key, enumeration);
+                enumNames.set(info.key, `${this.capitalize(info.elementName)}Enum`);
+            }
+        }
+
+        // Derived condition types are named after their i:type
+        for (const info of this.schema.types.values()) {
+            if (info.base) {
+                complexNames.set(info.key, info.key);
+            }
         }
+
+        // Element names shared with a simple element elsewhere are qualified too (Rule/type vs SubTypeCondition/type)
+        const elementNames = new Map();
+        for (const info of this.schema.types.values()) {
+            if (!info.base) {
+                elementNames.set(info.elementName, (elementNames.get(info.elementName) || 0) + 1);
+            }
+        }
+        this.qualifyDuplicates(complexNames, name => name.replace(/Type$/, ''), 'Type',
+            key => elementNames.get(this.schema.types.get(key).elementName) > 1);
+        this.qualifyDuplicates(enumNames, name => name.replace(/Enum$/, ''), 'Enum');
+
+        return { complexNames, enumNames, enumerations };
+    }
+
+    /**
+     * Prefix names that are used by more than one type key with the parent type name
+     */
+    qualifyDuplicates(names, stem, suffix, isShared = () => false) {
+        const counts = new Map();
+        for (const name of names.values()) {
+            counts.set(name, (counts.get(name) || 0) + 1);
+        }
+
+        for (const [key, name] of names) {
+            if (counts.get(name) > 1 || isShared(key)) {
+                const parent = this.schema.types.get(this.schema.types.get(key).parentKey);
+                const parentName = parent ? (parent.base ? parent.key : parent.elementName) : '';
+                names.set(key, `${this.capitalize(parentName)}${this.capitalize(stem(name))}${suffix}`);
+            }
+        }
+    }
+
+    /**
+     * Name of the xs:list type wrapping an enumeration, e.g. RarityEnum -> RarityList
+     */
+    listTypeName(enumName) {
+        return enumName.replace(/Enum$/, 'List');
+    }
+
+    capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
     }
 
     /**
@@ -240,130 +418,190 @@ class SchemaGenerator {
      */
     generateXSDContent() {
         const xsd = [];
-        
+        const names = this.assignTypeNames();
+        this.typeNames = names;
+
         // XSD header
         xsd.push('<?xml version="1.0" encoding="UTF-8"?>');
         xsd.push('<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"');
-        xsd.push('           xmlns:i="http://www.w3.org/2001/XMLSchema-instance"');
         xsd.push('           elementFormDefault="qualified">');
         xsd.push('');
         xsd.push('  <!-- Generated XSD for Last Epoch Loot Filter XML Files -->');
-        xsd.push(`  <!-- Generated on: ${new Date().toISOString()} -->`);
+        xsd.push(`  <!-- Generated on: ${new Date().toISOString()} from ${this.schema.files} filter(s) -->`);
         xsd.push('');
 
         // Root element
-        xsd.push('  <xs:element name="ItemFilter" type="ItemFilterType"/>');
+        const roots = [...this.schema.types.values()].filter(info => !info.parentKey && !info.base);
+        for (const root of roots) {
+            xsd.push(`  <xs:element name="${root.elementName}" type="${names.complexNames.get(root.key)}"/>`);
+        }
         xsd.push('');
 
-        // Generate complex types
-        const processedTypes = new Set();
-        
-        for (const [elementName, elementInfo] of this.schema.elements) {
-            if (!processedTypes.has(elementName)) {
-                xsd.push(...this.generateComplexType(elementName, elementInfo));
+        // Complex types in document order, each derived type right after its base
+        for (const info of this.schema.types.values()) {
+            if (!this.isComplex(info) || info.base) {
+                continue;
+            }
+            xsd.push(...this.generateComplexType(info, names));
+            xsd.push('');
+
+            for (const derivedKey of info.derived) {
+                xsd.push(...this.generateComplexType(this.schema.types.get(derivedKey), names));
                 xsd.push('');
-                processedTypes.add(elementName);
             }
         }
 
+        // Enumerations and lists
+        for (const [key, enumeration] of names.enumerations) {
+            xsd.push(...this.generateSimpleType(names.enumNames.get(key), enumeration));
+            xsd.push('');
+        }
+
         // XSD footer
         xsd.push('</xs:schema>');
-        
+
         return xsd.join('\n');
     }
 
     /**
      * Generate XSD complex type definition
      */
-    generateComplexType(elementName, elementInfo) {
+    generateComplexType(info, names) {
         const lines = [];
-        const typeName = `${elementName}Type`;
-        
+        const typeName = names.complexNames.get(info.key);
+        const indent = info.base ? '        ' : '    ';
+
         lines.push(`  <xs:complexType name="${typeName}">`);
-        
-        if (elementInfo.children.size > 0) {
-            lines.push('    <xs:sequence>');
-            
-            for (const childName of elementInfo.children) {
-                const childInfo = this.schema.elements.get(childName);
-                const minOccurs = childInfo && childInfo.optional ? '0' : '1';
-                const maxOccurs = childInfo && childInfo.multiple ? 'unbounded' : '1';
-                
-                if (childInfo && childInfo.type === 'complexType') {
-                    lines.push(`      <xs:element name="${childName}" type="${childName}Type" minOccurs="${minOccurs}" maxOccurs="${maxOccurs}"/>`);
-                } else {
-                    const type = this.mapToXSDType(childInfo ? childInfo.type : 'string');
-                    lines.push(`      <xs:element name="${childName}" type="${type}" minOccurs="${minOccurs}" maxOccurs="${maxOccurs}"/>`);
-                }
-            }
-            
-            lines.push('    </xs:sequence>');
-        } else if (elementInfo.textContent) {
+        if (info.base) {
+            lines.push('    <xs:complexContent>');
+            lines.push(`      <xs:extension base="${names.complexNames.get(info.base)}">`);
+        }
+
+        if (!info.complex && info.values.size > 0 && !info.base) {
+            // Text with attributes
             lines.push('    <xs:simpleContent>');
-            const baseType = this.mapToXSDType(elementInfo.type);
-            lines.push(`      <xs:extension base="${baseType}">`);
-            
-            // Add attributes if any
-            for (const attrName of elementInfo.attributes) {
-                lines.push(`        <xs:attribute name="${attrName}" type="xs:string"/>`);
-            }
-            
+            lines.push(`      <xs:extension base="${this.inferBuiltinType(info)}">`);
+            lines.push(...this.generateAttributes(info, '        '));
             lines.push('      </xs:extension>');
             lines.push('    </xs:simpleContent>');
+            lines.push('  </xs:complexType>');
+            return lines;
         }
-        
-        // Add attributes for complex types without text content
-        if (!elementInfo.textContent && elementInfo.attributes.size > 0) {
-            for (const attrName of elementInfo.attributes) {
-                lines.push(`    <xs:attribute name="${attrName}" type="xs:string"/>`);
+
+        if (info.order.length > 0) {
+            lines.push(`${indent}<xs:sequence>`);
+            for (const childName of info.order) {
+                lines.push(`${indent}  ${this.generateChildElement(info, info.children.get(childName), names)}`);
             }
+            lines.push(`${indent}</xs:sequence>`);
+        }
+
+        lines.push(...this.generateAttributes(info, indent));
+
+        if (info.base) {
+            lines.push('      </xs:extension>');
+            lines.push('    </xs:complexContent>');
         }
-        
         lines.push('  </xs:complexType>');
-        
+
         return lines;
     }
 
     /**
-     * Map internal types to XSD types
+     * Element declaration for a child within a sequence
      */
-    mapToXSDType(internalType) {
-        const typeMap = {
-            'string': 'xs:string',
-            'integer': 'xs:int',
-            'boolean': 'xs:boolean',
-            'decimal': 'xs:decimal',
-            'complexType': 'xs:string' // fallback
-        };
-        
-        return typeMap[internalType] || 'xs:string';
+    generateChildElement(parent, child, names) {
+        const childInfo = this.schema.types.get(child.typeKey);
+        let type;
+
+        if (this.isComplex(childInfo)) {
+            type = names.complexNames.get(childInfo.key);
+        } else if (names.enumerations.has(childInfo.key)) {
+            const enumName = names.enumNames.get(childInfo.key);
+            type = names.enumerations.get(childInfo.key).list ? this.listTypeName(enumName) : enumName;
+        } else {
+            type = this.inferBuiltinType(childInfo);
+        }
+
+        const minOccurs = child.instances < parent.contentInstances ? '0' : '1';
+        const maxOccurs = child.maxOccurs > 1 ? 'unbounded' : '1';
+        const nillable = childInfo.nilCount > 0 ? ' nillable="true"' : '';
+
+        return `<xs:element name="${child.name}" type="${type}" minOccurs="${minOccurs}" maxOccurs="${maxOccurs}"${nillable}/>`;
+    }
+
+    /**
+     * Attribute declarations; attributes present on every instance are required
+     */
+    generateAttributes(info, indent) {
+        const lines = [];
+        for (const [name, attribute] of info.attributes) {
+            const use = attribute.count === info.contentInstances ? 'required' : 'optional';
+            lines.push(`${indent}<xs:attribute name="${name}" type="xs:string" use="${use}"/>`);
+        }
+        return lines;
+    }
+
+    /**
+     * Generate an enumeration simple type, or a list of one for space-separated values
+     */
+    generateSimpleType(typeName, enumeration) {
+        const lines = [];
+
+        if (enumeration.list) {
+            lines.push(`  <xs:simpleType name="${this.listTypeName(typeName)}">`);
+            lines.push(`    <xs:list itemType="${typeName}"/>`);
+            lines.push('  </xs:simpleType>');
+            lines.push('');
+        }
+
+        lines.push(`  <xs:simpleType name="${typeName}">`);
+        lines.push('    <xs:restriction base="xs:string">');
+        for (const value of enumeration.values) {
+            lines.push(`      <xs:enumeration value="${value}"/>`);
+        }
+        lines.push('    </xs:restriction>');
+        lines.push('  </xs:simpleType>');
+
+        return lines;
     }
 
     /**
      * Print schema generation statistics
      */
     printSchemaStatistics() {
+        const types = [...this.schema.types.values()];
+        const complexTypes = types.filter(info => this.isComplex(info));
+        const derivedTypes = types.filter(info => info.base);
+        const optionalChildren = complexTypes.reduce((total, info) =>
+            total + [...info.children.values()].filter(child => child.instances < info.contentInstances).length, 0);
+        const enumerations = this.typeNames ? this.typeNames.enumerations.size : 0;
+
         console.log('');
         console.log('📊 Schema Generation Statistics:');
-        console.log(`   Elements discovered: ${this.schema.elements.size}`);
-        console.log(`   Attributes discovered: ${this.schema.attributes.size}`);
-        console.log(`   Text patterns: ${this.schema.patterns.size}`);
-        
+        console.log(`   Filters analyzed: ${this.schema.files}`);
+        console.log(`   Complex types: ${complexTypes.length} (${derivedTypes.length} condition types)`);
+        console.log(`   Optional children: ${optionalChildren}`);
+        console.log(`   Enumerations: ${enumerations}`);
+
         console.log('');
         console.log('🏗️  Element Structure:');
-        for (const [elementName, elementInfo] of this.schema.elements) {
-            const childCount = elementInfo.children.size;
-            const attrCount = elementInfo.attributes.size;
+        for (const info of complexTypes) {
+            const name = this.typeNames ? this.typeNames.complexNames.get(info.key) : info.key;
             const flags = [];
-            
-            if (elementInfo.multiple) flags.push('multiple');
-            if (elementInfo.textContent) flags.push('text');
-            if (elementInfo.optional) flags.push('optional');
-            
+
+            if (info.derived.size > 0) flags.push(`${info.derived.size} derived`);
+            if (info.base) flags.push('i:type');
+            if (info.nilCount > 0) flags.push('nillable');
+
             const flagStr = flags.length > 0 ? ` (${flags.join(', ')})` : '';
-            console.log(`   ${elementName}: ${childCount} children, ${attrCount} attributes${flagStr}`);
+            console.log(`   ${name}: ${info.children.size} children, ${info.attributes.size} attributes${flagStr}`);
+
+            if (info.orderConflicts.size > 0) {
+                console.warn(`   └─ ⚠️  Inconsistent child order in samples: ${[...info.orderConflicts].join(', ')}`);
+            }
         }
     }
 }
 
-module.exports = SchemaGenerator;
\ No newline at end of file
+module.exports = SchemaGenerator;
@@ -0,0 +1,259 @@
+const { Filter } = require('../model');
+
+// Rule types that end evaluation for an item; HIGHLIGHT rules let evaluation continue
+const TERMINAL_TYPES = ['SHOW', 'HIDE'];
+
+// Character level used for level-dependent rules when none is given
+const DEFAULT_LEVEL = 100;
+
+/**
+ * Runs synthetic items (see ItemBuilder) through a filter's rules in game order
+ * (Filter#getEvaluationOrder: the last rule in the file first, or lowest Order first).
+ * The first SHOW / HIDE match decides visibility; a HIGHLIGHT match evaluated before it
+ * supplies the visuals of a shown item. Items no rule matches are shown with default
+ * visuals, as in the game. Legendary potential and Weaver's Will ranges only apply to
+ * UNIQUE items: other rarities have neither, so the game ignores the ranges for them.
+ */
+class FilterSimulator {
+    constructor(dataManager = null) {
+        this.dataManager = dataManager;
+        this.affixSets = new WeakMap();
+    }
+
+    /**
+     * Simulate items against a filter file
+     */
+    async simulateFile(filePath, items, options = {}) {
+        const filter = await Filter.load(filePath);
+        return this.simulate(filter, items, options);
+    }
+
+    /**
+     * Simulate items against a parsed filter
+     * Returns one result per item:
+     * { item, visible, rule, highlight, color, emphasized, soundId, beamId, colorName, soundName, beamName }
+     * where rule / highlight are { index, name, type } references (index = document position, 1-based)
+     */
+    simulate(filter, items, options = {}) {
+        const level = options.level || DEFAULT_LEVEL;
+        const order = filter.getEvaluationOrder().filter(entry => entry.rule.isEnabled !== false);
+        return items.map(item => this.evaluate(order, item, level));
+    }
+
+    /**
+     * Evaluate one item against enabled rules in evaluation order
+     */
+    evaluate(order, item, level) {
+        let highlight = null;
+
+        for (const entry of order) {
+            if (!this.matchesRule(entry.rule, item, level)) {
+                continue;
+            }
+
+            if (!TERMINAL_TYPES.includes(entry.rule.type)) {
+                highlight = highlight || entry;
+                continue;
+            }
+
+            const visible = entry.rule.type === 'SHOW';
+            return this.createResult(item, visible, entry, highlight);
+        }
+
+        return this.createResult(item, true, null, highlight);
+    }
+
+    /**
+     * Whether an item passes a rule's level range and all of its conditions (AND)
+     */
+    matchesRule(rule, item, level) {
+        if (rule.levelDependent && (level < rule.minLvl || level > rule.maxLvl)) {
+            return false;
+        }
+        return (rule.conditions || []).every(condition => this.matchesCondition(condition, item));
+    }
+
+    /**
+     * Whether an item satisfies a single condition
+     */
+    matchesCondition(condition, item) {
+        switch (condition.type) {
+            case 'RarityCondition':
+                return condition.rarity.includes(item.rarity) &&
+                    (item.rarity !== 'UNIQUE' ||
+                        this.inRange(item.legendaryPotential, condition.minLegendaryPotential, condition.maxLegendaryPotential) &&
+                        this.inRange(item.weaversWill, condition.minWeaversWill, condition.maxWeaversWill));
+
+            case 'SubTypeCondition':
+                return (condition.equipmentTypes.length === 0 || condition.equipmentTypes.includes(item.equipmentType)) &&
+                    (condition.subTypes.length === 0 || condition.subTypes.includes(item.subType));
+
+            case 'AffixCondition':
+                return this.matchesAffixCondition(condition, item);
+
+            case 'AffixCountCondition':
+                return this.matchesAffixCountCondition(condition, item);
+
+            case 'UniquesCondition':
+                return item.uniqueId !== null && condition.uniqueIds.includes(item.uniqueId);
+
+            case 'UniqueModifiersCondition':
+                return condition.uniques.some(unique => unique.uniqueId === item.uniqueId &&
+                    (unique.rolls || []).every(roll => this.inRange(this.getRoll(item, roll.rollId), roll.minRoll, roll.maxRoll)));
+
+            case 'ClassCondition':
+                return condition.req.includes('Any') ||
+                    (item.classRequirement !== null && condition.req.includes(item.classRequirement));
+
+            case 'FactionCondition':
+                return item.factions.some(faction => condition.factions.includes(faction));
+
+            case 'KeysCondition':
+                return item.flags.some(flag => condition.flags.includes(flag));
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * AffixCondition: enough listed affixes (at the required tier) and the combined tier total
+     * An empty affix list stands for any affix
+     */
+    matchesAffixCondition(condition, item) {
+        if (!this.affixSets.has(condition)) {
+            this.affixSets.set(condition, new Set(condition.affixes));
+        }
+        const listed = this.affixSets.get(condition);
+        const matched = item.affixes.filter(affix =>
+            (listed.size === 0 || listed.has(affix.id)) &&
+            this.compare(affix.tier, condition.comparsion, condition.comparsionValue));
+
+        if (matched.length === 0 || matched.length < condition.minOnTheSameItem) {
+            return false;
+        }
+
+        const combined = matched.reduce((sum, affix) => sum + affix.tier, 0);
+        return this.compare(combined, condition.combinedComparsion, condition.combinedComparsionValue);
+    }
+
+    /**
+     * AffixCountCondition: prefix / suffix counts within their bounds
+     */
+    matchesAffixCountCondition(condition, item) {
+        const prefixes = item.affixes.filter(affix => affix.kind === 'prefix').length;
+        const suffixes = item.affixes.filter(affix => affix.kind === 'suffix').length;
+
+        return this.inRange(prefixes, condition.minPrefixes, condition.maxPrefixes) &&
+            this.inRange(suffixes, condition.minSuffixes, condition.maxSuffixes) &&
+            (!condition.sealedType || condition.sealedType === 'Any' || condition.sealedType === item.sealedType);
+    }
+
+    /**
+     * Roll fraction (0-1) of a unique modifier; rolls are an array or an object keyed by RollId
+     */
+    getRoll(item, rollId) {
+        const value = item.rolls ? item.rolls[rollId] : undefined;
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Compare a value with a condition comparison ('ANY' always passes)
+     */
+    compare(value, comparison, target) {
+        switch (comparison) {
+            case 'EQUAL':
+                return value === target;
+            case 'MORE':
+                return value > target;
+            case 'MORE_OR_EQUAL':
+                return value >= target;
+            case 'LESS':
+                return value < target;
+            case 'LESS_OR_EQUAL':
+                return value <= target;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Whether value lies in [min, max] (null = unbounded); a missing value only passes open ranges
+     */
+    inRange(value, min, max) {
+        const hasMin = min !== null && min !== undefined;
+        const hasMax = max !== null && max !== undefined;
+        if (value === null || value === undefined) {
+            return !hasMin && !hasMax;
+        }
+        return (!hasMin || value >= min) && (!hasMax || value <= max);
+    }
+
+    /**
+     * Simulation result for an item
+     */
+    createResult(item, visible, entry, highlight) {
+        const styled = highlight || entry;
+        const rule = styled && visible ? styled.rule : null;
+        const result = {
+            item: item.name,
+            visible,
+            rule: entry ? this.ruleReference(entry) : null,
+            highlight: highlight ? this.ruleReference(highlight) : null,
+            color: rule ? rule.color : 0,
+            emphasized: rule ? Boolean(rule.emphasized) : false,
+            soundId: rule ? rule.soundId : 0,
+            beamId: rule ? rule.beamId : 0
+        };
+
+        if (this.dataManager) {
+            const effects = this.dataManager.getVisualEffects();
+            result.colorName = (effects.colors || {})[result.color] || null;
+            result.soundName = (effects.sounds || {})[result.soundId] || null;
+            result.beamName = (effects.beams || {})[result.beamId] || null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Reference to a rule for reports
+     */
+    ruleReference(entry) {
+        return { index: entry.index + 1, name: entry.rule.nameOverride || '', type: entry.rule.type };
+    }
+
+    /**
+     * Rule label used in messages, e.g. Rule 3 'Build Uniques'
+     */
+    ruleLabel(reference) {
+        return reference.name ? `Rule ${reference.index} '${reference.name}'` : `Rule ${reference.index}`;
+    }
+
+    /**
+     * Print one line per simulated item
+     */
+    printResults(fileName, results) {
+        const shown = results.filter(result => result.visible).length;
+        console.log(`🎲 ${fileName}: ${shown}/${results.length} item(s) shown`);
+
+        results.forEach(result => {
+            const matched = result.rule ? this.ruleLabel(result.rule) : 'no rule (default)';
+            if (!result.visible) {
+                console.log(`   └─ 🙈 ${result.item}: hidden by ${matched}`);
+                return;
+            }
+
+            const visuals = [
+                result.colorName || `color ${result.color}`,
+                result.emphasized ? 'emphasized' : null,
+                result.soundName ? `${result.soundName} sound` : `sound ${result.soundId}`,
+                result.beamName ? `${result.beamName} beam` : `beam ${result.beamId}`
+            ].filter(Boolean).join(', ');
+            const highlight = result.highlight ? ` (highlighted by ${this.ruleLabel(result.highlight)})` : '';
+            console.log(`   └─ 👁️  ${result.item}: shown by ${matched}${highlight} - ${visuals}`);
+        });
+    }
+}
+
+module.exports = FilterSimulator;
@@ -0,0 +1,163 @@
+const { RARITIES, CLASSES, EQUIPMENT_TYPES, UNIQUE_CATEGORY_TYPES } = require('../data/game-constants');
+
+/**
+ * Builds synthetic items for the filter simulator from the game database
+ * An item spec names what it needs and everything else is filled in:
+ *
+ *   { "rarity": "RARE", "type": "HELMET", "affixes": [{ "id": 501, "tier": 6 }, "Minion Damage"] }
+ *   { "unique": "Fractured Crown", "legendaryPotential": 2, "rolls": [0.9, 0.4] }
+ *
+ * Affixes are given as IDs, names or { id | name, tier, kind } objects; uniques by
+ * `uniqueId` or `unique` name, which also sets the rarity, equipment type and class
+ * requirement. Unknown names and IDs are errors rather than silently ignored.
+ */
+class ItemBuilder {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.affixKinds = null;
+    }
+
+    /**
+     * Build items from an array of specs (or { items: [...] } as read from items.json)
+     */
+    buildAll(specs) {
+        const list = Array.isArray(specs) ? specs : (specs && specs.items) || [];
+        return list.map((spec, index) => {
+            try {
+                return this.build(spec);
+            } catch (error) {
+                throw new Error(`Item ${index + 1}${spec && spec.name ? ` '${spec.name}'` : ''}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Build one synthetic item
+     */
+    build(spec = {}) {
+        const unique = this.resolveUnique(spec);
+        const rarity = String(spec.rarity || (unique ? 'UNIQUE' : 'RARE')).toUpperCase();
+        if (!RARITIES.includes(rarity)) {
+            throw new Error(`Unknown rarity '${spec.rarity}' (expected: ${RARITIES.join(', ')})`);
+        }
+
+        const equipmentType = this.resolveEquipmentType(spec, unique);
+        const classRequirement = spec.classRequirement !== undefined ?
+            spec.classRequirement : (unique && unique.classRequirement) || null;
+        if (classRequirement && !CLASSES.includes(classRequirement)) {
+            throw new Error(`Unknown class requirement '${classRequirement}' (expected: ${CLASSES.join(', ')})`);
+        }
+
+        const affixes = (spec.affixes || []).map(entry => this.resolveAffix(entry));
+
+        return {
+            name: spec.name || (unique ? unique.name : this.describeItem(rarity, equipmentType)),
+            rarity,
+            equipmentType,
+            subType: spec.subType !== undefined ? spec.subType : null,
+            affixes,
+            sealedType: spec.sealedType || null,
+            uniqueId: unique ? unique.id : null,
+            rolls: spec.rolls || [],
+            legendaryPotential: spec.legendaryPotential || 0,
+            weaversWill: spec.weaversWill || 0,
+            classRequirement,
+            factions: spec.factions || [],
+            flags: spec.flags || []
+        };
+    }
+
+    /**
+     * Default item name, e.g. Rare Body Armor
+     */
+    describeItem(rarity, equipmentType) {
+        return [rarity, equipmentType].filter(Boolean)
+            .map(value => value.toLowerCase().split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '))
+            .join(' ');
+    }
+
+    /**
+     * Unique overview entry from `uniqueId` or `unique` (name), if any
+     */
+    resolveUnique(spec) {
+        if (spec.uniqueId === undefined && !spec.unique) {
+            return null;
+        }
+
+        const unique = spec.uniqueId !== undefined ?
+            this.dataManager.getUniqueById(spec.uniqueId) : this.dataManager.getUniqueByName(spec.unique);
+        if (!unique) {
+            throw new Error(`Unknown unique '${spec.uniqueId !== undefined ? spec.uniqueId : spec.unique}'`);
+        }
+        return unique;
+    }
+
+    /**
+     * Equipment type from `type` / `equipmentType`, or the unique's category
+     */
+    resolveEquipmentType(spec, unique) {
+        const type = spec.type || spec.equipmentType;
+        if (type) {
+            const normalized = String(type).toUpperCase().replace(/[\s-]+/g, '_').replace(/^IDOL_(\d)X(\d)/, 'IDOL_$1x$2');
+            if (!EQUIPMENT_TYPES.includes(normalized)) {
+                throw new Error(`Unknown equipment type '${type}'`);
+            }
+            return normalized;
+        }
+
+        return unique ? UNIQUE_CATEGORY_TYPES[unique.category] || null : null;
+    }
+
+    /**
+     * Affix { id, name, tier, kind } from an ID, a name or an object
+     */
+    resolveAffix(entry) {
+        const spec = typeof entry === 'object' && entry !== null ? entry : { [typeof entry === 'number' ? 'id' : 'name']: entry };
+        let id = spec.id;
+        let data;
+
+        if (id !== undefined) {
+            data = this.dataManager.getAffixById(id);
+            if (!data) {
+                throw new Error(`Unknown affix ID ${id}`);
+            }
+        } else {
+            data = this.dataManager.getAffixByName(String(spec.name));
+            if (!data) {
+                throw new Error(`Unknown affix '${spec.name}'`);
+            }
+            id = data.id;
+        }
+
+        const tier = spec.tier !== undefined ? spec.tier : 1;
+        if (!Number.isInteger(tier) || tier < 1 || tier > 8) {
+            throw new Error(`Affix ${id} tier must be 1-8, got ${spec.tier}`);
+        }
+
+        return {
+            id: Number(id),
+            name: data.name,
+            tier,
+            kind: spec.kind || this.getAffixKind(data.name)
+        };
+    }
+
+    /**
+     * 'prefix' or 'suffix' for an affix name, from the Prefixes / Suffixes data folders
+     */
+    getAffixKind(name) {
+        if (!this.affixKinds) {
+            this.affixKinds = new Map();
+            for (const kind of ['prefix', 'suffix']) {
+                for (const affix of Object.values(this.dataManager.get(`${kind}es`) || {})) {
+                    if (affix && affix.name) {
+                        this.affixKinds.set(affix.name.toLowerCase(), kind);
+                    }
+                }
+            }
+        }
+        return this.affixKinds.get(String(name).toLowerCase()) || null;
+    }
+}
+
+module.exports = ItemBuilder;
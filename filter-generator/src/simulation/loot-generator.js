@@ -0,0 +1,203 @@
+const { IDOL_EQUIPMENT_TYPES, ITEM_EQUIPMENT_TYPES, CLASSES } = require('../data/game-constants');
+const ItemBuilder = require('./item-builder');
+
+// Relative drop weights per rarity for equipment; idols only drop as NORMAL / MAGIC
+const RARITY_WEIGHTS = { NORMAL: 40, MAGIC: 34, RARE: 18, EXALTED: 2, UNIQUE: 4, SET: 1.5, LEGENDARY: 0.5 };
+const IDOL_RARITY_WEIGHTS = { NORMAL: 30, MAGIC: 70 };
+
+// Share of the stream that is idols rather than equipment
+const IDOL_SHARE = 0.15;
+
+// Unique weights by dropRarity bucket of rarity-index.json
+const DROP_RARITY_WEIGHTS = { 'Common': 60, 'Uncommon': 25, 'Rare': 10, 'Very rare': 4, 'Extremely rare': 1 };
+
+// Affix counts [min, max] per rarity
+const AFFIX_COUNTS = { NORMAL: [0, 0], MAGIC: [1, 2], RARE: [3, 4], EXALTED: [3, 4], LEGENDARY: [1, 4] };
+
+// Regular affix tiers T1-T5; exalted items get one T6-T8 affix
+const TIER_WEIGHTS = { 1: 30, 2: 25, 3: 20, 4: 15, 5: 10 };
+const EXALTED_TIER_WEIGHTS = { 6: 70, 7: 28, 8: 2 };
+
+// Legendary potential and weaver's will on dropped uniques
+const LEGENDARY_POTENTIAL_WEIGHTS = { 0: 60, 1: 25, 2: 10, 3: 4, 4: 1 };
+const WEAVERS_WILL_CHANCE = 0.05;
+
+// Share of equipment with a class requirement
+const CLASS_REQUIREMENT_CHANCE = 0.15;
+
+/**
+ * Randomized loot stream for coverage reports
+ * Builds ItemBuilder items from random specs: each unique is weighted by its dropRarity bucket in
+ * rarity-index.json, and affixes are picked from item-affixes.json / idol-affixes.json with
+ * at most two prefixes and two suffixes. The stream is reproducible for a given seed.
+ */
+class LootGenerator {
+    constructor(dataManager, seed = 1) {
+        this.dataManager = dataManager;
+        this.builder = new ItemBuilder(dataManager);
+        this.random = this.createRandom(seed);
+        this.pools = null;
+    }
+
+    /**
+     * Generate count items
+     */
+    generate(count) {
+        const pools = this.getPools();
+        const affixKind = id => this.builder.getAffixKind(this.dataManager.getAffixById(id).name);
+        const items = [];
+        for (let i = 0; i < count; i++) {
+            const spec = this.random() < IDOL_SHARE ?
+                this.generateIdol(pools, affixKind) : this.generateEquipment(pools, affixKind);
+            items.push(this.builder.build(spec));
+        }
+        return items;
+    }
+
+    /**
+     * One equipment drop
+     */
+    generateEquipment(pools, affixKind) {
+        const rarity = this.pickWeighted(RARITY_WEIGHTS);
+
+        if (rarity === 'UNIQUE' || rarity === 'LEGENDARY') {
+            const spec = {
+                uniqueId: this.pickUnique(pools),
+                rarity,
+                legendaryPotential: rarity === 'UNIQUE' ? Number(this.pickWeighted(LEGENDARY_POTENTIAL_WEIGHTS)) : 0,
+                rolls: Array.from({ length: 8 }, () => Math.round(this.random() * 100) / 100)
+            };
+            if (rarity === 'UNIQUE' && this.random() < WEAVERS_WILL_CHANCE) {
+                spec.weaversWill = 5 + Math.floor(this.random() * 24);
+            }
+            if (rarity === 'LEGENDARY') {
+                spec.affixes = this.pickAffixes(pools.item, rarity, affixKind);
+            }
+            return spec;
+        }
+
+        const spec = {
+            rarity,
+            type: this.pick(ITEM_EQUIPMENT_TYPES),
+            affixes: this.pickAffixes(pools.item, rarity, affixKind)
+        };
+        if (this.random() < CLASS_REQUIREMENT_CHANCE) {
+            spec.classRequirement = this.pick(CLASSES);
+        }
+        return spec;
+    }
+
+    /**
+     * One idol drop
+     */
+    generateIdol(pools, affixKind) {
+        const rarity = this.pickWeighted(IDOL_RARITY_WEIGHTS);
+        return {
+            rarity,
+            type: this.pick(IDOL_EQUIPMENT_TYPES),
+            affixes: this.pickAffixes(pools.idol, rarity, affixKind)
+        };
+    }
+
+    /**
+     * Distinct affixes for a rarity as { id, tier }, at most two prefixes and two suffixes
+     */
+    pickAffixes(pool, rarity, affixKind) {
+        const [min, max] = AFFIX_COUNTS[rarity] || [0, 0];
+        const count = min + Math.floor(this.random() * (max - min + 1));
+        const kinds = { prefix: 0, suffix: 0 };
+        const affixes = [];
+        const used = new Set();
+
+        for (let attempt = 0; affixes.length < count && attempt < count * 10; attempt++) {
+            const id = this.pick(pool);
+            const kind = affixKind(id);
+            if (used.has(id) || (kind && kinds[kind] >= 2)) {
+                continue;
+            }
+            used.add(id);
+            if (kind) {
+                kinds[kind]++;
+            }
+            affixes.push({ id, tier: Number(this.pickWeighted(TIER_WEIGHTS)) });
+        }
+
+        if (rarity === 'EXALTED' && affixes.length > 0) {
+            affixes[0].tier = Number(this.pickWeighted(EXALTED_TIER_WEIGHTS));
+        }
+        return affixes;
+    }
+
+    /**
+     * Unique ID, each weighted by its own dropRarity bucket
+     */
+    pickUnique(pools) {
+        return Number(this.pickWeighted(pools.uniques));
+    }
+
+    /**
+     * Affix and unique pools from the database (IDs the database can resolve)
+     */
+    getPools() {
+        if (this.pools) {
+            return this.pools;
+        }
+
+        const affixIds = file => ((this.dataManager.get(file) || {}).affixes || [])
+            .filter(affix => affix.id !== undefined && this.dataManager.getAffixById(affix.id))
+            .map(affix => affix.id);
+
+        const rarityIndex = (this.dataManager.get('indexes') || {})['rarity-index'] || {};
+        const uniques = {};
+        for (const [bucket, ids] of Object.entries(rarityIndex)) {
+            ids.filter(id => this.dataManager.getUniqueById(id))
+                .forEach(id => { uniques[id] = DROP_RARITY_WEIGHTS[bucket] || 1; });
+        }
+
+        this.pools = { item: affixIds('item-affixes.json'), idol: affixIds('idol-affixes.json'), uniques };
+        if (this.pools.item.length === 0 || this.pools.idol.length === 0 || Object.keys(uniques).length === 0) {
+            throw new Error('Loot stream needs item-affixes.json, idol-affixes.json and indexes/rarity-index.json');
+        }
+        return this.pools;
+    }
+
+    /**
+     * Key of a { key: weight } table picked by weight
+     */
+    pickWeighted(weights) {
+        const entries = Object.entries(weights);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.random() * total;
+
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) {
+                return key;
+            }
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    /**
+     * Uniformly random array element
+     */
+    pick(values) {
+        return values[Math.floor(this.random() * values.length)];
+    }
+
+    /**
+     * Seeded PRNG (mulberry32) returning floats in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+module.exports = LootGenerator;
@@ -0,0 +1,101 @@
+const { create } = require('xmlbuilder2');
+
+const FORMATS = ['text', 'json', 'junit'];
+
+/**
+ * Machine-readable output for XMLValidator results
+ * JSON keeps the issue objects as they are; JUnit reports one test case per
+ * filter, with errors as a failure and warnings in system-out.
+ */
+class ReportFormatter {
+    /**
+     * Format results as 'json' or 'junit' ('text' is printed by XMLValidator itself)
+     */
+    format(results, format) {
+        switch (format) {
+            case 'json':
+                return this.formatJSON(results);
+            case 'junit':
+                return this.formatJUnit(results);
+            default:
+                throw new Error(`Unknown report format '${format}' (expected: ${FORMATS.join(', ')})`);
+        }
+    }
+
+    /**
+     * JSON report with a summary and per-file errors / warnings
+     */
+    formatJSON(results) {
+        const report = {
+            summary: {
+                totalFiles: results.totalFiles,
+                validFiles: results.validFiles,
+                invalidFiles: results.totalFiles - results.validFiles,
+                errors: results.errorCount,
+                warnings: results.warningCount
+            },
+            files: results.files.map(file => ({
+                file: file.file,
+                path: file.path,
+                valid: file.valid,
+                errors: file.errors,
+                warnings: file.warnings
+            }))
+        };
+
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * JUnit XML report understood by CI servers
+     */
+    formatJUnit(results) {
+        const failures = results.totalFiles - results.validFiles;
+        const doc = create({ version: '1.0', encoding: 'UTF-8' });
+        const suites = doc.ele('testsuites', { name: 'xml-suite validate', tests: results.totalFiles, failures });
+        const suite = suites.ele('testsuite', {
+            name: 'filter-validation',
+            tests: results.totalFiles,
+            failures,
+            errors: 0,
+            skipped: 0
+        });
+
+        for (const file of results.files) {
+            const testCase = suite.ele('testcase', { classname: 'filter-validation', name: file.path || file.file });
+
+            if (!file.valid) {
+                testCase.ele('failure', {
+                    message: `${file.errors.length} error(s)`,
+                    type: 'ValidationError'
+                }).txt(file.errors.map(issue => this.formatLine(issue)).join('\n'));
+            }
+
+            if (file.warnings.length > 0) {
+                testCase.ele('system-out').txt(file.warnings.map(issue => this.formatLine(issue)).join('\n'));
+            }
+        }
+
+        return doc.end({ prettyPrint: true, indent: '  ' });
+    }
+
+    /**
+     * One issue as a plain text line, e.g. [error] Rule 3 'Build Uniques' (line 40, column 7): ...
+     */
+    formatLine(issue) {
+        const location = [];
+        if (issue.rule) {
+            location.push(issue.rule.name ? `Rule ${issue.rule.index} '${issue.rule.name}'` : `Rule ${issue.rule.index}`);
+        }
+        if (issue.line) {
+            location.push(`(line ${issue.line}, column ${issue.column})`);
+        }
+
+        const prefix = location.length > 0 ? `${location.join(' ')}: ` : '';
+        return `[${issue.severity}] ${prefix}${issue.message}`;
+    }
+}
+
+ReportFormatter.FORMATS = FORMATS;
+
+module.exports = ReportFormatter;
@@ -0,0 +1,167 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { Filter } = require('../model');
+const { IDOL_EQUIPMENT_TYPES } = require('../data/game-constants');
+
+const MASTER_TEMPLATE_PATH = path.join(__dirname, '../../../database-generator/TemplateFilters/MasterTemplate1.xml');
+
+/**
+ * Semantic validator for loot filters
+ * Checks the IDs used by a filter against the generated game database: affix and
+ * unique IDs, idol vs item affixes, and color / SoundId / BeamId values.
+ * id-lookup.json and the MasterTemplate1.xml idol / item split are incomplete, so affix and
+ * unique findings are warnings; only visuals the game does not have are errors.
+ */
+class SemanticValidator {
+    constructor(dataManager, masterTemplatePath = MASTER_TEMPLATE_PATH) {
+        this.dataManager = dataManager;
+        this.masterTemplatePath = masterTemplatePath;
+        this.idolAffixIds = null;
+        this.itemAffixIds = null;
+        this.knownUniqueIds = null;
+    }
+
+    /**
+     * Load the database and the idol / item affix split from MasterTemplate1.xml
+     */
+    async load() {
+        await this.dataManager.loadAll();
+
+        if (!await fs.pathExists(this.masterTemplatePath)) {
+            console.warn(`⚠️  ${path.basename(this.masterTemplatePath)} not found - idol/item affix checks disabled`);
+            return;
+        }
+
+        const template = await Filter.load(this.masterTemplatePath);
+        this.idolAffixIds = this.collectTemplateAffixes(template, 'All Affixes for Idols');
+        this.itemAffixIds = this.collectTemplateAffixes(template, 'All Affixes for Items');
+    }
+
+    /**
+     * Affix IDs of the named MasterTemplate1.xml rule
+     */
+    collectTemplateAffixes(template, nameOverride) {
+        const rule = template.rules.find(entry => entry.nameOverride === nameOverride);
+        const condition = rule && rule.getCondition('AffixCondition');
+        return new Set(condition ? condition.affixes : []);
+    }
+
+    /**
+     * Validate a parsed Filter and return issues of the form { severity, rule: { index, name }, message }
+     */
+    validateFilter(filter) {
+        const issues = [];
+        const lookup = (this.dataManager.get('indexes') || {})['id-lookup'] || {};
+        const knownAffixes = lookup.affixes || {};
+        const knownUniques = this.getKnownUniqueIds();
+        const visuals = this.dataManager.getVisualEffects();
+
+        filter.rules.forEach((rule, index) => {
+            const reference = { index: index + 1, name: rule.nameOverride || '' };
+            const report = (severity, message) => issues.push({ severity, rule: reference, message });
+            const scope = this.getEquipmentScope(rule);
+            const unknownAffixes = [];
+            const misusedAffixes = [];
+            const unknownUniques = [];
+
+            for (const condition of rule.conditions) {
+                if (condition.type === 'AffixCondition') {
+                    for (const affixId of condition.affixes) {
+                        if (!knownAffixes[affixId]) {
+                            unknownAffixes.push(affixId);
+                        }
+                        if (this.isMisusedAffix(affixId, scope)) {
+                            misusedAffixes.push(affixId);
+                        }
+                    }
+                }
+
+                if (condition.type === 'UniqueModifiersCondition') {
+                    unknownUniques.push(...condition.uniques
+                        .map(unique => unique.uniqueId)
+                        .filter(uniqueId => !knownUniques.has(uniqueId)));
+                }
+
+                if (condition.type === 'UniquesCondition') {
+                    unknownUniques.push(...condition.uniqueIds.filter(uniqueId => !knownUniques.has(uniqueId)));
+                }
+            }
+
+            if (unknownAffixes.length > 0) {
+                report('warning', `Unknown affix IDs not in id-lookup.json: ${[...new Set(unknownAffixes)].join(', ')}`);
+            }
+            if (misusedAffixes.length > 0) {
+                const kind = scope === 'idol' ? 'Item' : 'Idol';
+                report('warning', `${kind} affix IDs used in ${scope}-only rule: ${[...new Set(misusedAffixes)].join(', ')}`);
+            }
+            if (unknownUniques.length > 0) {
+                report('warning', `Unknown UniqueIds not in unique-items-overview.json: ${[...new Set(unknownUniques)].join(', ')}`);
+            }
+
+            if (rule.color !== undefined && !this.isKnownVisual(visuals.colors, rule.color)) {
+                report('error', `Unknown color ${rule.color} (not in colors-sounds-beams.json)`);
+            }
+            if (rule.soundId !== undefined && !this.isKnownVisual(visuals.sounds, rule.soundId)) {
+                report('error', `Unknown SoundId ${rule.soundId} (not in colors-sounds-beams.json)`);
+            }
+            if (rule.beamId !== undefined && !this.isKnownVisual(visuals.beams, rule.beamId)) {
+                report('error', `Unknown BeamId ${rule.beamId} (not in colors-sounds-beams.json)`);
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Unique IDs listed in unique-items-overview.json
+     */
+    getKnownUniqueIds() {
+        if (!this.knownUniqueIds) {
+            const overview = this.dataManager.get('unique-items-overview.json') || {};
+            const uniques = Array.isArray(overview) ? overview : overview.uniques || [];
+            this.knownUniqueIds = new Set(uniques.map(unique => unique.id));
+        }
+        return this.knownUniqueIds;
+    }
+
+    /**
+     * 'idol' or 'item' when the rule's SubTypeCondition only targets one of them
+     */
+    getEquipmentScope(rule) {
+        const condition = rule.getCondition('SubTypeCondition');
+        if (!condition || !condition.equipmentTypes || condition.equipmentTypes.length === 0) {
+            return null;
+        }
+
+        const idolTypes = condition.equipmentTypes.filter(type => IDOL_EQUIPMENT_TYPES.includes(type));
+        if (idolTypes.length === condition.equipmentTypes.length) {
+            return 'idol';
+        }
+        if (idolTypes.length === 0) {
+            return 'item';
+        }
+        return null;
+    }
+
+    /**
+     * Whether an affix belongs to the other side of the idol / item split than the rule targets
+     */
+    isMisusedAffix(affixId, scope) {
+        if (!scope || !this.idolAffixIds) {
+            return false;
+        }
+        if (scope === 'idol') {
+            return this.itemAffixIds.has(affixId) && !this.idolAffixIds.has(affixId);
+        }
+        return this.idolAffixIds.has(affixId) && !this.itemAffixIds.has(affixId);
+    }
+
+    /**
+     * Whether an ID exists in a colors / sounds / beams table
+     */
+    isKnownVisual(table, id) {
+        return Boolean(table) && Object.prototype.hasOwnProperty.call(table, String(id));
+    }
+}
+
+module.exports = SemanticValidator;
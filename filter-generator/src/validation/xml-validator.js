@@ -1,13 +1,24 @@
 const fs = require('fs-extra');
 const path = require('path');
 const xml2js = require('xml2js');
+const { glob, hasMagic } = require('glob');
+const { Filter } = require('../model');
+const { COLORS, CONFUSABLE_COLOR_PAIRS } = require('../data/game-constants');
+const XSDValidator = require('./xsd-validator');
 
 /**
  * XML Validator for Last Epoch loot filter XML files
  * Validates XML files against XSD schema and reports errors
+ *
+ * Each finding is an issue object:
+ * { severity: 'error' | 'warning', source, message, rule: { index, name } | null, line, column }
+ * where source is 'schema', 'parse', 'structure', 'deprecated', 'accessibility' or 'semantic'.
  */
 class XMLValidator {
-    constructor() {
+    constructor(semanticValidator = null) {
+        // Optional SemanticValidator checking IDs against the game database
+        this.semanticValidator = semanticValidator;
+
         this.parser = new xml2js.Parser({
             explicitArray: false,
             ignoreAttrs: false,
@@ -19,54 +30,44 @@ class XMLValidator {
     }
 
     /**
-     * Validate all XML files in a directory against XSD schema
+     * Validate all XML files in a directory (including subfolders) against XSD schema
      */
     async validateDirectory(directoryPath, schemaPath) {
+        return this.validatePaths([directoryPath], schemaPath);
+    }
+
+    /**
+     * Validate files, directories (recursively) and glob patterns against XSD schema
+     */
+    async validatePaths(inputs, schemaPath) {
         console.log('🔍 Scanning for XML files...');
         
         try {
-            // Load XSD schema (for now, we'll do basic structure validation)
+            // Load XSD schema
             const schemaContent = await fs.readFile(schemaPath, 'utf8');
+            const xsdValidator = new XSDValidator(schemaContent);
             console.log(`📋 Loaded schema: ${path.basename(schemaPath)}`);
             
             // Find all XML files
-            const xmlFiles = await this.findXMLFiles(directoryPath);
+            const xmlFiles = await this.resolveInputs(inputs);
             console.log(`📁 Found ${xmlFiles.length} XML files to validate`);
             
             if (xmlFiles.length === 0) {
-                console.log('⚠️  No XML files found in directory');
-                return { totalFiles: 0, validFiles: 0, errors: [] };
+                console.log(`⚠️  No XML files found in: ${inputs.join(', ')}`);
+                return this.createResults();
             }
 
             console.log('');
             console.log('🔍 Validating XML files...');
             console.log('');
 
-            const results = {
-                totalFiles: xmlFiles.length,
-                validFiles: 0,
-                errors: []
-            };
+            const results = this.createResults();
 
             // Validate each file
             for (const xmlFile of xmlFiles) {
-                const fileName = path.basename(xmlFile);
-                const validation = await this.validateFile(xmlFile, schemaContent);
-                
-                if (validation.valid) {
-                    console.log(`✅ ${fileName}`);
-                    results.validFiles++;
-                } else {
-                    console.log(`❌ ${fileName}`);
-                    validation.errors.forEach(error => {
-                        console.log(`   └─ ${error}`);
-                    });
-                    
-                    results.errors.push({
-                        file: fileName,
-                        errors: validation.errors
-                    });
-                }
+                const validation = await this.validateFile(xmlFile, xsdValidator);
+                this.addFileResult(results, validation);
+                this.printFileResult(validation);
             }
 
             console.log('');
@@ -81,73 +82,216 @@ class XMLValidator {
     }
 
     /**
-     * Find all XML files in a directory
+     * Empty result set
+     * files holds one entry per validated file; errors lists the files that failed
+     */
+    createResults() {
+        return {
+            totalFiles: 0,
+            validFiles: 0,
+            errorCount: 0,
+            warningCount: 0,
+            files: [],
+            errors: []
+        };
+    }
+
+    /**
+     * Add a validateFile() result to a result set
+     */
+    addFileResult(results, validation) {
+        results.totalFiles++;
+        results.files.push(validation);
+        results.errorCount += validation.errors.length;
+        results.warningCount += validation.warnings.length;
+
+        if (validation.valid) {
+            results.validFiles++;
+        } else {
+            results.errors.push(validation);
+        }
+    }
+
+    /**
+     * Print the outcome of one file
+     */
+    printFileResult(validation) {
+        console.log(`${validation.valid ? '✅' : '❌'} ${validation.file}`);
+        validation.errors.forEach(error => {
+            console.log(`   └─ ${this.formatIssue(error)}`);
+        });
+        validation.warnings.forEach(warning => {
+            console.log(`   └─ ⚠️  ${this.formatIssue(warning)}`);
+        });
+    }
+
+    /**
+     * Create an issue object
+     */
+    createIssue(severity, source, message, details = {}) {
+        return {
+            severity,
+            source,
+            message,
+            rule: details.rule || null,
+            line: details.line || null,
+            column: details.column || null
+        };
+    }
+
+    /**
+     * Issue text with its location, e.g. Line 12, column 7: ... or Rule 3 'Build Uniques': ...
+     */
+    formatIssue(issue) {
+        if (issue.line) {
+            return `Line ${issue.line}, column ${issue.column}: ${issue.message}`;
+        }
+        if (issue.rule) {
+            const label = issue.rule.name ? `Rule ${issue.rule.index} '${issue.rule.name}'` : `Rule ${issue.rule.index}`;
+            return `${label}: ${issue.message}`;
+        }
+        return issue.message;
+    }
+
+    /**
+     * Rule reference { index, name } for a 1-based rule index of an xml2js-parsed filter
+     */
+    ruleReference(rule, index) {
+        const name = rule && typeof rule.nameOverride === 'string' ? rule.nameOverride : '';
+        return { index, name };
+    }
+
+    /**
+     * XML files for a list of file paths, directories and glob patterns (sorted, without duplicates)
+     */
+    async resolveInputs(inputs) {
+        const files = new Set();
+
+        for (const input of inputs) {
+            const matches = await this.findXMLFiles(input);
+            if (matches.length === 0) {
+                console.warn(`⚠️  No XML files match: ${input}`);
+            }
+            matches.forEach(file => files.add(path.resolve(file)));
+        }
+
+        return [...files].sort();
+    }
+
+    /**
+     * Find XML files for a file path, a directory (searched recursively) or a glob pattern
      */
-    async findXMLFiles(directoryPath) {
-        const files = await fs.readdir(directoryPath);
-        return files
-            .filter(file => file.toLowerCase().endsWith('.xml'))
-            .map(file => path.join(directoryPath, file));
+    async findXMLFiles(input) {
+        const isXML = file => file.toLowerCase().endsWith('.xml');
+
+        if (hasMagic(input, { windowsPathsNoEscape: true })) {
+            const files = await glob(input, { absolute: true, nodir: true, windowsPathsNoEscape: true });
+            return files.filter(isXML);
+        }
+
+        if (!await fs.pathExists(input)) {
+            return [];
+        }
+
+        const stats = await fs.stat(input);
+        if (!stats.isDirectory()) {
+            return [input];
+        }
+
+        const files = [];
+        for (const entry of await fs.readdir(input, { withFileTypes: true })) {
+            const entryPath = path.join(input, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.findXMLFiles(entryPath));
+            } else if (isXML(entry.name)) {
+                files.push(entryPath);
+            }
+        }
+        return files;
     }
 
     /**
-     * Validate a single XML file
+     * Validate a single XML file against the XSD schema and the hand-written checks
+     * Returns { file, path, valid, errors, warnings }; warnings do not make a file invalid
      */
-    async validateFile(xmlFilePath, schemaContent) {
+    async validateFile(xmlFilePath, xsdValidator = null) {
         const validation = {
+            file: path.relative(process.cwd(), xmlFilePath) || path.basename(xmlFilePath),
+            path: path.resolve(xmlFilePath),
             valid: true,
-            errors: []
+            errors: [],
+            warnings: []
         };
 
         try {
             // Read and parse XML file
             const xmlContent = await fs.readFile(xmlFilePath, 'utf8');
-            
+
             // Basic XML parsing validation
             try {
                 const parsed = await this.parser.parseStringPromise(xmlContent);
-                
-                // Validate structure against expected schema
-                const structureErrors = this.validateStructure(parsed);
-                if (structureErrors.length > 0) {
-                    validation.valid = false;
-                    validation.errors.push(...structureErrors);
+                const rules = this.getRules(parsed);
+
+                // XSD validation with line/column locations
+                if (xsdValidator) {
+                    validation.errors.push(...xsdValidator.validate(xmlContent).map(error =>
+                        this.createIssue('error', 'schema', error.message, {
+                            line: error.line,
+                            column: error.column,
+                            rule: error.rule ? this.ruleReference(rules[error.rule - 1], error.rule) : null
+                        })));
                 }
-                
+
+                // Validate structure against expected schema
+                validation.errors.push(...this.validateStructure(parsed));
+
                 // Validate rule count
                 const ruleCountError = this.validateRuleCount(parsed);
                 if (ruleCountError) {
-                    validation.valid = false;
                     validation.errors.push(ruleCountError);
                 }
-                
+
                 // Validate required fields
-                const fieldErrors = this.validateRequiredFields(parsed);
-                if (fieldErrors.length > 0) {
-                    validation.valid = false;
-                    validation.errors.push(...fieldErrors);
-                }
+                validation.errors.push(...this.validateRequiredFields(parsed));
+
+                // Deprecated fields are warnings, not errors
+                validation.warnings.push(...this.checkDeprecatedFields(parsed));
 
-                // Check for deprecated fields
-                const deprecatedWarnings = this.checkDeprecatedFields(parsed);
-                if (deprecatedWarnings.length > 0) {
-                    // These are warnings, not errors
-                    validation.errors.push(...deprecatedWarnings.map(w => `⚠️  ${w}`));
+                // Confusable colors on neighbouring rules are warnings as well
+                const filter = Filter.parse(xmlContent);
+                validation.warnings.push(...this.checkConfusableColors(filter));
+
+                // Check IDs against the game database
+                if (this.semanticValidator) {
+                    for (const issue of this.semanticValidator.validateFilter(filter)) {
+                        const list = issue.severity === 'error' ? validation.errors : validation.warnings;
+                        list.push(this.createIssue(issue.severity, 'semantic', issue.message, { rule: issue.rule }));
+                    }
                 }
-                
+
             } catch (parseError) {
-                validation.valid = false;
-                validation.errors.push(`XML parsing failed: ${parseError.message}`);
+                validation.errors.push(this.createIssue('error', 'parse', `XML parsing failed: ${parseError.message}`));
             }
-            
+
         } catch (readError) {
-            validation.valid = false;
-            validation.errors.push(`Failed to read file: ${readError.message}`);
+            validation.errors.push(this.createIssue('error', 'parse', `Failed to read file: ${readError.message}`));
         }
 
+        validation.valid = validation.errors.length === 0;
         return validation;
     }
 
+    /**
+     * Rules of an xml2js-parsed filter as an array
+     */
+    getRules(parsed) {
+        if (!parsed || !parsed.ItemFilter || !parsed.ItemFilter.rules || !parsed.ItemFilter.rules.Rule) {
+            return [];
+        }
+        const rules = parsed.ItemFilter.rules.Rule;
+        return Array.isArray(rules) ? rules : [rules];
+    }
+
     /**
      * Validate basic XML structure
      */
@@ -156,7 +300,7 @@ class XMLValidator {
 
         // Check for root element
         if (!parsed.ItemFilter) {
-            errors.push('Missing root element <ItemFilter>');
+            errors.push(this.createIssue('error', 'structure', 'Missing root element <ItemFilter>'));
             return errors;
         }
 
@@ -166,22 +310,18 @@ class XMLValidator {
         const required = ['name', 'filterIcon', 'filterIconColor', 'lastModifiedInVersion', 'lootFilterVersion'];
         for (const field of required) {
             if (!filter[field] && filter[field] !== 0) {
-                errors.push(`Missing required field: ${field}`);
+                errors.push(this.createIssue('error', 'structure', `Missing required field: ${field}`));
             }
         }
 
         // Check rules structure
         if (!filter.rules) {
-            errors.push('Missing <rules> element');
-        } else if (filter.rules.Rule) {
+            errors.push(this.createIssue('error', 'structure', 'Missing <rules> element'));
+        } else {
             // Validate individual rules
-            const rules = Array.isArray(filter.rules.Rule) ? filter.rules.Rule : [filter.rules.Rule];
-            
-            for (let i = 0; i < rules.length; i++) {
-                const rule = rules[i];
-                const ruleErrors = this.validateRule(rule, i + 1);
-                errors.push(...ruleErrors);
-            }
+            this.getRules(parsed).forEach((rule, i) => {
+                errors.push(...this.validateRule(rule, i + 1));
+            });
         }
 
         return errors;
@@ -192,24 +332,26 @@ class XMLValidator {
      */
     validateRule(rule, ruleIndex) {
         const errors = [];
+        const reference = this.ruleReference(rule, ruleIndex);
+        const report = message => errors.push(this.createIssue('error', 'structure', message, { rule: reference }));
 
         if (!rule.type) {
-            errors.push(`Rule ${ruleIndex}: Missing rule type`);
+            report('Missing rule type');
         } else if (!['SHOW', 'HIDE', 'HIGHLIGHT'].includes(rule.type)) {
-            errors.push(`Rule ${ruleIndex}: Invalid rule type '${rule.type}'`);
+            report(`Invalid rule type '${rule.type}'`);
         }
 
         // Conditions can be empty object/array for some rule types
         if (rule.conditions === undefined || rule.conditions === null) {
-            errors.push(`Rule ${ruleIndex}: Missing conditions`);
+            report('Missing conditions');
         }
 
         if (rule.color === undefined || rule.color === null) {
-            errors.push(`Rule ${ruleIndex}: Missing color`);
+            report('Missing color');
         }
 
         if (rule.isEnabled === undefined || rule.isEnabled === null) {
-            errors.push(`Rule ${ruleIndex}: Missing isEnabled`);
+            report('Missing isEnabled');
         }
 
         return errors;
@@ -219,15 +361,10 @@ class XMLValidator {
      * Validate rule count (75 rule limit)
      */
     validateRuleCount(parsed) {
-        if (!parsed.ItemFilter || !parsed.ItemFilter.rules || !parsed.ItemFilter.rules.Rule) {
-            return null;
-        }
+        const rules = this.getRules(parsed);
 
-        const rules = Array.isArray(parsed.ItemFilter.rules.Rule) ? 
-            parsed.ItemFilter.rules.Rule : [parsed.ItemFilter.rules.Rule];
-        
         if (rules.length > 75) {
-            return `Rule count exceeds limit: ${rules.length}/75 rules`;
+            return this.createIssue('error', 'structure', `Rule count exceeds limit: ${rules.length}/75 rules`);
         }
 
         return null;
@@ -246,7 +383,8 @@ class XMLValidator {
         if (filter.lootFilterVersion !== undefined) {
             const version = parseInt(filter.lootFilterVersion);
             if (isNaN(version) || version < 3 || version > 5) {
-                errors.push(`Invalid lootFilterVersion: ${filter.lootFilterVersion} (expected: 3-5)`);
+                errors.push(this.createIssue('error', 'structure',
+                    `Invalid lootFilterVersion: ${filter.lootFilterVersion} (expected: 3-5)`));
             }
         }
 
@@ -254,7 +392,8 @@ class XMLValidator {
         if (filter.filterIcon !== undefined) {
             const icon = parseInt(filter.filterIcon);
             if (isNaN(icon) || icon < 0 || icon > 24) {
-                errors.push(`Invalid filterIcon: ${filter.filterIcon} (expected: 0-24)`);
+                errors.push(this.createIssue('error', 'structure',
+                    `Invalid filterIcon: ${filter.filterIcon} (expected: 0-24)`));
             }
         }
 
@@ -262,7 +401,8 @@ class XMLValidator {
         if (filter.filterIconColor !== undefined) {
             const color = parseInt(filter.filterIconColor);
             if (isNaN(color) || color < 0 || color > 17) {
-                errors.push(`Invalid filterIconColor: ${filter.filterIconColor} (expected: 0-17)`);
+                errors.push(this.createIssue('error', 'structure',
+                    `Invalid filterIconColor: ${filter.filterIconColor} (expected: 0-17)`));
             }
         }
 
@@ -274,32 +414,47 @@ class XMLValidator {
      */
     checkDeprecatedFields(parsed) {
         const warnings = [];
-
-        if (!parsed.ItemFilter || !parsed.ItemFilter.rules || !parsed.ItemFilter.rules.Rule) {
-            return warnings;
-        }
-
-        const rules = Array.isArray(parsed.ItemFilter.rules.Rule) ? 
-            parsed.ItemFilter.rules.Rule : [parsed.ItemFilter.rules.Rule];
-
-        for (let i = 0; i < rules.length; i++) {
-            const rule = rules[i];
-
-            if (rule.levelDependent_deprecated !== undefined) {
-                warnings.push(`Rule ${i + 1}: Uses deprecated field 'levelDependent_deprecated'`);
+        const fields = ['levelDependent_deprecated', 'minLvl_deprecated', 'maxLvl_deprecated', 'advanced_DEPRECATED'];
+
+        this.getRules(parsed).forEach((rule, i) => {
+            for (const field of fields) {
+                if (rule[field] !== undefined) {
+                    warnings.push(this.createIssue('warning', 'deprecated', `Uses deprecated field '${field}'`, {
+                        rule: this.ruleReference(rule, i + 1)
+                    }));
+                }
             }
+        });
 
-            if (rule.minLvl_deprecated !== undefined) {
-                warnings.push(`Rule ${i + 1}: Uses deprecated field 'minLvl_deprecated'`);
-            }
+        return warnings;
+    }
 
-            if (rule.maxLvl_deprecated !== undefined) {
-                warnings.push(`Rule ${i + 1}: Uses deprecated field 'maxLvl_deprecated'`);
+    /**
+     * Warn when two adjacent visible rules (in evaluation order, HIDE rules skipped)
+     * use colors from a known red/green confusable pair
+     */
+    checkConfusableColors(filter) {
+        const warnings = [];
+        const isConfusable = (a, b) => CONFUSABLE_COLOR_PAIRS.some(([x, y]) =>
+            (a === x && b === y) || (a === y && b === x));
+        const colorName = color => `${COLORS[color] || 'Unknown'} (${color})`;
+        const label = entry => entry.rule.nameOverride ?
+            `rule ${entry.index + 1} '${entry.rule.nameOverride}'` : `rule ${entry.index + 1}`;
+
+        let previous = null;
+        for (const entry of filter.getEvaluationOrder()) {
+            if (entry.rule.isEnabled === false || entry.rule.type === 'HIDE') {
+                continue;
             }
 
-            if (rule.advanced_DEPRECATED !== undefined) {
-                warnings.push(`Rule ${i + 1}: Uses deprecated field 'advanced_DEPRECATED'`);
+            if (previous && isConfusable(previous.rule.color, entry.rule.color)) {
+                warnings.push(this.createIssue('warning', 'accessibility',
+                    `Color ${colorName(entry.rule.color)} is easily confused with ${colorName(previous.rule.color)} ` +
+                    `of adjacent ${label(previous)} (red/green color blindness)`, {
+                        rule: { index: entry.index + 1, name: entry.rule.nameOverride || '' }
+                    }));
             }
+            previous = entry;
         }
 
         return warnings;
@@ -313,7 +468,8 @@ class XMLValidator {
         console.log(`   Total files: ${results.totalFiles}`);
         console.log(`   Valid files: ${results.validFiles}`);
         console.log(`   Files with errors: ${results.errors.length}`);
-        
+        console.log(`   Errors: ${results.errorCount}, warnings: ${results.warningCount}`);
+
         if (results.errors.length === 0) {
             console.log('');
             console.log('🎉 All XML files are valid!');
@@ -323,7 +479,7 @@ class XMLValidator {
             results.errors.forEach(fileError => {
                 console.log(`   ${fileError.file}:`);
                 fileError.errors.forEach(error => {
-                    console.log(`     - ${error}`);
+                    console.log(`     - ${this.formatIssue(error)}`);
                 });
             });
         }
@@ -0,0 +1,535 @@
+const sax = require('sax');
+const { create } = require('xmlbuilder2');
+
+const XS_NAMESPACE = 'http://www.w3.org/2001/XMLSchema';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+const ELEMENT_NODE = 1;
+
+// Lexical checks for the built-in XSD types used by filter schemas
+const INTEGER = /^[+-]?\d+$/;
+const UNSIGNED = /^\+?\d+$/;
+const DECIMAL = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+const FLOAT = /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/;
+
+const BUILTIN_TYPES = {
+    string: () => true,
+    normalizedString: () => true,
+    token: () => true,
+    anyType: () => true,
+    anySimpleType: () => true,
+    boolean: value => ['true', 'false', '1', '0'].includes(value),
+    int: value => INTEGER.test(value) && inRange(value, -2147483648, 2147483647),
+    integer: value => INTEGER.test(value),
+    long: value => INTEGER.test(value),
+    short: value => INTEGER.test(value) && inRange(value, -32768, 32767),
+    byte: value => INTEGER.test(value) && inRange(value, -128, 127),
+    unsignedInt: value => UNSIGNED.test(value) && inRange(value, 0, 4294967295),
+    unsignedShort: value => UNSIGNED.test(value) && inRange(value, 0, 65535),
+    unsignedByte: value => UNSIGNED.test(value) && inRange(value, 0, 255),
+    nonNegativeInteger: value => UNSIGNED.test(value),
+    decimal: value => DECIMAL.test(value),
+    float: value => FLOAT.test(value),
+    double: value => FLOAT.test(value)
+};
+
+function inRange(value, min, max) {
+    const number = Number(value);
+    return number >= min && number <= max;
+}
+
+/**
+ * XSD validator for loot filter XML
+ * Supports the XSD subset written by SchemaGenerator: named complex types with
+ * sequences, simple content and complexContent extensions, simple types with
+ * enumerations / lists, nillable elements and i:type (xsi:type) dispatch.
+ * Errors carry the line and column of the offending element.
+ */
+class XSDValidator {
+    constructor(schemaContent) {
+        this.elements = new Map();
+        this.complexTypes = new Map();
+        this.simpleTypes = new Map();
+        this.loadSchema(schemaContent);
+    }
+
+    /**
+     * Read top-level element, complexType and simpleType declarations
+     */
+    loadSchema(schemaContent) {
+        const root = create(schemaContent.replace(/^\uFEFF+/, '')).root().node;
+        if (root.localName !== 'schema' || root.namespaceURI !== XS_NAMESPACE) {
+            throw new Error('Schema root element must be <xs:schema>');
+        }
+
+        for (const child of this.schemaChildren(root)) {
+            const name = child.getAttribute('name');
+            if (child.localName === 'element') {
+                this.elements.set(name, this.readElementDeclaration(child));
+            } else if (child.localName === 'complexType') {
+                this.complexTypes.set(name, this.readComplexType(child));
+            } else if (child.localName === 'simpleType') {
+                this.simpleTypes.set(name, this.readSimpleType(child));
+            }
+        }
+    }
+
+    /**
+     * xs: child elements of a schema node
+     */
+    schemaChildren(node, localName = null) {
+        return Array.from(node.childNodes).filter(child =>
+            child.nodeType === ELEMENT_NODE &&
+            child.namespaceURI === XS_NAMESPACE &&
+            (!localName || child.localName === localName));
+    }
+
+    readElementDeclaration(node) {
+        const maxOccurs = node.getAttribute('maxOccurs');
+        const declaration = {
+            name: node.getAttribute('name'),
+            type: node.getAttribute('type'),
+            minOccurs: node.hasAttribute('minOccurs') ? parseInt(node.getAttribute('minOccurs'), 10) : 1,
+            maxOccurs: maxOccurs === 'unbounded' ? Infinity : (maxOccurs ? parseInt(maxOccurs, 10) : 1),
+            nillable: node.getAttribute('nillable') === 'true',
+            inlineType: null
+        };
+
+        // Anonymous types declared inside the element
+        const complexType = this.schemaChildren(node, 'complexType')[0];
+        const simpleType = this.schemaChildren(node, 'simpleType')[0];
+        if (complexType) {
+            declaration.inlineType = { kind: 'complex', definition: this.readComplexType(complexType) };
+        } else if (simpleType) {
+            declaration.inlineType = { kind: 'simple', definition: this.readSimpleType(simpleType) };
+        }
+
+        return declaration;
+    }
+
+    readComplexType(node) {
+        const type = {
+            name: node.getAttribute('name'),
+            base: null,
+            simpleContent: null,
+            particles: [],
+            attributes: [],
+            mixed: node.getAttribute('mixed') === 'true'
+        };
+
+        let content = node;
+        const simpleContent = this.schemaChildren(node, 'simpleContent')[0];
+        const complexContent = this.schemaChildren(node, 'complexContent')[0];
+
+        if (simpleContent) {
+            const extension = this.schemaChildren(simpleContent)[0];
+            type.simpleContent = extension ? extension.getAttribute('base') : 'xs:string';
+            content = extension || simpleContent;
+        } else if (complexContent) {
+            const extension = this.schemaChildren(complexContent, 'extension')[0];
+            if (extension) {
+                type.base = extension.getAttribute('base');
+                content = extension;
+            }
+        }
+
+        const sequence = this.schemaChildren(content, 'sequence')[0];
+        if (sequence) {
+            type.particles = this.schemaChildren(sequence, 'element').map(element => this.readElementDeclaration(element));
+        }
+
+        type.attributes = this.schemaChildren(content, 'attribute').map(attribute => ({
+            name: attribute.getAttribute('name'),
+            type: attribute.getAttribute('type') || 'xs:string',
+            required: attribute.getAttribute('use') === 'required'
+        }));
+
+        return type;
+    }
+
+    readSimpleType(node) {
+        const type = { name: node.getAttribute('name'), base: 'xs:string', enumeration: null, list: null };
+
+        const restriction = this.schemaChildren(node, 'restriction')[0];
+        const list = this.schemaChildren(node, 'list')[0];
+
+        if (restriction) {
+            type.base = restriction.getAttribute('base') || 'xs:string';
+            const values = this.schemaChildren(restriction, 'enumeration').map(entry => entry.getAttribute('value'));
+            if (values.length > 0) {
+                type.enumeration = values;
+            }
+        } else if (list) {
+            type.list = list.getAttribute('itemType') || 'xs:string';
+        }
+
+        return type;
+    }
+
+    /**
+     * Validate an XML document and return [{ line, column, message, rule }]
+     * rule is the 1-based index of the enclosing <Rule>, or null
+     */
+    validate(xmlContent) {
+        let document;
+        try {
+            document = this.parseDocument(xmlContent);
+        } catch (error) {
+            return [{ line: error.line || 0, column: error.column || 0, message: error.message, rule: null }];
+        }
+
+        const errors = [];
+        const declaration = this.elements.get(document.localName);
+
+        if (!declaration) {
+            this.addError(errors, document, `Root element <${document.name}> is not declared in the schema`);
+        } else {
+            this.validateElement(document, declaration, errors);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Parse XML into a light tree with source positions
+     */
+    parseDocument(xmlContent) {
+        const content = xmlContent.replace(/^\uFEFF+/, '');
+        const lineStarts = [0];
+        for (let index = 0; index < content.length; index++) {
+            if (content[index] === '\n') {
+                lineStarts.push(index + 1);
+            }
+        }
+
+        const position = offset => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (lineStarts[middle] <= offset) {
+                    low = middle;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            return { line: low + 1, column: offset - lineStarts[low] + 1 };
+        };
+
+        const parser = sax.parser(true, { xmlns: true });
+        const stack = [];
+        let root = null;
+        let failure = null;
+        let ruleCount = 0;
+
+        parser.onopentag = tag => {
+            const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+
+            // Errors inside <rules><Rule> are attributed to the rule (1-based document position)
+            let rule = parent ? parent.rule : null;
+            if (tag.local === 'Rule' && parent && parent.localName === 'rules') {
+                rule = ++ruleCount;
+            }
+
+            const node = {
+                name: tag.name,
+                localName: tag.local,
+                namespace: tag.uri,
+                attributes: Object.values(tag.attributes),
+                children: [],
+                text: '',
+                rule,
+                ...position(parser.startTagPosition - 1)
+            };
+
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                root = node;
+            }
+            stack.push(node);
+        };
+        parser.onclosetag = () => stack.pop();
+        parser.ontext = text => {
+            if (stack.length > 0) {
+                stack[stack.length - 1].text += text;
+            }
+        };
+        parser.oncdata = parser.ontext;
+        parser.onerror = error => {
+            // The first error, where the parser stood when it hit it
+            failure = failure || { message: error.message, line: parser.line + 1, column: Math.max(parser.column, 1) };
+            parser.error = null;
+        };
+
+        parser.write(content).close();
+
+        if (failure) {
+            const error = new Error(`XML parsing failed: ${failure.message.split('\n')[0]}`);
+            error.line = failure.line;
+            error.column = failure.column;
+            throw error;
+        }
+
+        return root;
+    }
+
+    /**
+     * Validate an element against its declaration
+     */
+    validateElement(node, declaration, errors) {
+        const xsiType = this.getXsiAttribute(node, 'type');
+        let type = this.resolveDeclaredType(declaration);
+
+        if (xsiType) {
+            const typeName = xsiType.includes(':') ? xsiType.split(':').pop() : xsiType;
+            const derived = this.complexTypes.get(typeName);
+
+            if (!derived) {
+                this.addError(errors, node, `i:type '${xsiType}' of <${node.name}> is not declared in the schema`);
+                return;
+            }
+            if (type.kind === 'complex' && type.definition.name && !this.derivesFrom(derived, type.definition.name)) {
+                this.addError(errors, node,
+                    `i:type '${xsiType}' is not derived from '${type.definition.name}' declared for <${node.name}>`);
+                return;
+            }
+            type = { kind: 'complex', definition: derived };
+        }
+
+        if (!type) {
+            this.addError(errors, node, `Type '${declaration.type}' of <${node.name}> is not declared in the schema`);
+            return;
+        }
+
+        this.validateAttributes(node, type, errors);
+
+        if (this.getXsiAttribute(node, 'nil') === 'true') {
+            if (!declaration.nillable && !this.declaresAttribute(type, 'nil')) {
+                this.addError(errors, node, `<${node.name}> is not nillable`);
+            } else if (node.children.length > 0 || node.text.trim() !== '') {
+                this.addError(errors, node, `<${node.name}> has i:nil="true" but is not empty`);
+            }
+            return;
+        }
+
+        if (type.kind === 'simple') {
+            this.validateSimpleContent(node, type.definition, errors);
+            return;
+        }
+
+        const definition = type.definition;
+        if (definition.simpleContent) {
+            this.validateSimpleContent(node, this.resolveTypeName(definition.simpleContent).definition, errors);
+            return;
+        }
+
+        if (!definition.mixed && node.text.trim() !== '') {
+            this.addError(errors, node, `<${node.name}> must not contain text`);
+        }
+
+        this.validateSequence(node, this.collectParticles(definition), errors);
+    }
+
+    /**
+     * Match child elements against a sequence of element declarations
+     */
+    validateSequence(node, particles, errors) {
+        let current = 0;
+        let count = 0;
+
+        const closeParticles = (until, location, context) => {
+            for (let index = current; index < until; index++) {
+                const occurrences = index === current ? count : 0;
+                if (occurrences < particles[index].minOccurs) {
+                    this.addError(errors, location,
+                        `Missing required element <${particles[index].name}> ${context}`);
+                }
+            }
+        };
+
+        for (const child of node.children) {
+            const particle = particles[current];
+
+            if (particle && particle.name === child.localName && count < particle.maxOccurs) {
+                count++;
+                this.validateElement(child, particle, errors);
+                continue;
+            }
+
+            const next = particles.findIndex((entry, index) => index > current && entry.name === child.localName);
+            if (next === -1) {
+                const declared = particles.some(entry => entry.name === child.localName);
+                this.addError(errors, child, declared ?
+                    `Element <${child.name}> is out of order or repeated in <${node.name}>` :
+                    `Unexpected element <${child.name}> in <${node.name}>`);
+                continue;
+            }
+
+            closeParticles(next, child, `before <${child.name}>`);
+            current = next;
+            count = 1;
+            this.validateElement(child, particles[next], errors);
+        }
+
+        closeParticles(particles.length, node, `in <${node.name}>`);
+    }
+
+    /**
+     * Particles of a complex type including those inherited through complexContent extension
+     */
+    collectParticles(definition) {
+        if (!definition.base) {
+            return definition.particles;
+        }
+        const base = this.complexTypes.get(this.stripPrefix(definition.base));
+        return [...(base ? this.collectParticles(base) : []), ...definition.particles];
+    }
+
+    /**
+     * Attributes of a complex type including inherited ones
+     */
+    collectAttributes(definition) {
+        const base = definition.base ? this.complexTypes.get(this.stripPrefix(definition.base)) : null;
+        return [...(base ? this.collectAttributes(base) : []), ...definition.attributes];
+    }
+
+    validateAttributes(node, type, errors) {
+        const declared = type.kind === 'complex' ? this.collectAttributes(type.definition) : [];
+
+        for (const attribute of node.attributes) {
+            // Namespace declarations and xsi attributes are always allowed
+            if (attribute.prefix === 'xmlns' || attribute.name === 'xmlns' || attribute.uri === XSI_NAMESPACE) {
+                continue;
+            }
+            if (!declared.some(entry => entry.name === attribute.name || entry.name === attribute.local)) {
+                this.addError(errors, node, `Attribute '${attribute.name}' is not allowed on <${node.name}>`);
+            }
+        }
+
+        for (const entry of declared.filter(attribute => attribute.required)) {
+            if (!node.attributes.some(attribute => attribute.name === entry.name || attribute.local === entry.name)) {
+                this.addError(errors, node, `Missing required attribute '${entry.name}' on <${node.name}>`);
+            }
+        }
+    }
+
+    /**
+     * Validate the text of a simple-content element
+     */
+    validateSimpleContent(node, simpleType, errors) {
+        if (node.children.length > 0) {
+            this.addError(errors, node.children[0], `Element <${node.children[0].name}> is not allowed inside <${node.name}>`);
+            return;
+        }
+
+        const message = this.checkSimpleValue(node.text, simpleType);
+        if (message) {
+            this.addError(errors, node, `<${node.name}>: ${message}`);
+        }
+    }
+
+    /**
+     * Check a text value against a simple type, returning an error message or null
+     */
+    checkSimpleValue(text, simpleType) {
+        if (simpleType.builtin) {
+            const value = simpleType.builtin === 'string' ? text : text.trim();
+            const check = BUILTIN_TYPES[simpleType.builtin];
+            return check && !check(value) ? `'${value}' is not a valid xs:${simpleType.builtin}` : null;
+        }
+
+        if (simpleType.list) {
+            const item = this.resolveTypeName(simpleType.list).definition;
+            for (const value of text.trim().split(/\s+/).filter(Boolean)) {
+                const message = this.checkSimpleValue(value, item);
+                if (message) {
+                    return message;
+                }
+            }
+            return null;
+        }
+
+        const base = this.resolveTypeName(simpleType.base);
+        const baseMessage = base && base.kind === 'simple' ? this.checkSimpleValue(text, base.definition) : null;
+        if (baseMessage) {
+            return baseMessage;
+        }
+
+        if (simpleType.enumeration && !simpleType.enumeration.includes(text.trim())) {
+            return `'${text.trim()}' is not one of: ${simpleType.enumeration.join(', ')}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve the type of an element declaration
+     */
+    resolveDeclaredType(declaration) {
+        if (declaration.inlineType) {
+            return declaration.inlineType;
+        }
+        return this.resolveTypeName(declaration.type || 'xs:anyType');
+    }
+
+    /**
+     * Resolve a type reference to { kind, definition }
+     */
+    resolveTypeName(typeName) {
+        const name = this.stripPrefix(typeName);
+
+        if (typeName.startsWith('xs:') || typeName.startsWith('xsd:')) {
+            return { kind: 'simple', definition: { builtin: BUILTIN_TYPES[name] ? name : 'string' } };
+        }
+        if (this.complexTypes.has(name)) {
+            return { kind: 'complex', definition: this.complexTypes.get(name) };
+        }
+        if (this.simpleTypes.has(name)) {
+            return { kind: 'simple', definition: this.simpleTypes.get(name) };
+        }
+        return null;
+    }
+
+    /**
+     * Whether a complex type is, or extends, the named type
+     */
+    derivesFrom(definition, baseName) {
+        let current = definition;
+        const seen = new Set();
+
+        while (current && !seen.has(current.name)) {
+            if (current.name === baseName) {
+                return true;
+            }
+            seen.add(current.name);
+            current = current.base ? this.complexTypes.get(this.stripPrefix(current.base)) : null;
+        }
+        return false;
+    }
+
+    /**
+     * Whether a type declares an attribute (older generated schemas declare i:nil explicitly)
+     */
+    declaresAttribute(type, localName) {
+        if (type.kind !== 'complex') {
+            return false;
+        }
+        return this.collectAttributes(type.definition).some(attribute =>
+            this.stripPrefix(attribute.name) === localName);
+    }
+
+    getXsiAttribute(node, localName) {
+        const attribute = node.attributes.find(entry => entry.uri === XSI_NAMESPACE && entry.local === localName);
+        return attribute ? attribute.value : null;
+    }
+
+    stripPrefix(name) {
+        return name.includes(':') ? name.split(':').pop() : name;
+    }
+
+    addError(errors, node, message) {
+        errors.push({ line: node.line, column: node.column, message, rule: node.rule });
+    }
+}
+
+module.exports = XSDValidator;
@@ -0,0 +1,58 @@
+const FilterGenerator = require('../src/generator/filter-generator');
+const { getStrictness } = require('../src/generator/strictness');
+
+describe('affix count rules', () => {
+    const generator = new FilterGenerator();
+    const affixMappings = {
+        damage: { ids: ['64', '643'], priority: 'critical' },
+        health: { ids: ['2'], priority: 'high' },
+        armor: { ids: ['348', '64'], priority: 'high' },
+        speed: { ids: ['12'], priority: 'medium' }
+    };
+
+    const summarize = rules => rules.map(rule => {
+        const affix = rule.getCondition('AffixCondition');
+        return [rule.nameOverride, affix.affixes, affix.minOnTheSameItem, affix.combinedComparsionValue];
+    });
+
+    test('3+ Critical/High and 2+ Critical rules come from the affix priorities', () => {
+        const rules = generator.buildAffixCountRules(affixMappings, [], getStrictness('regular'));
+
+        expect(summarize(rules)).toEqual([
+            ['3+ Critical/High Affixes', [64, 643, 2, 348], 3, 9],
+            ['2+ Critical Affixes', [64, 643], 2, 6]
+        ]);
+        expect(rules.map(rule => rule.priority)).toEqual(['high', 'critical']);
+        expect(rules[0].getCondition('AffixCondition')).toMatchObject({ comparsion: 'ANY', combinedComparsion: 'MORE_OR_EQUAL', advanced: true });
+        expect(rules[0].getCondition('RarityCondition').rarity).toEqual(['MAGIC', 'RARE', 'EXALTED']);
+    });
+
+    test('the variant stage tier raises the combined tier', () => {
+        const rules = generator.buildAffixCountRules(affixMappings, [], { ...getStrictness('regular'), minAffixTier: 6 });
+
+        expect(summarize(rules).map(([name, , , value]) => [name, value])).toEqual([['3+ Critical/High Affixes', 18], ['2+ Critical Affixes', 12]]);
+    });
+
+    test('rules are skipped when strictness drops their priorities or too few affixes are left', () => {
+        const uberStrict = generator.buildAffixCountRules(affixMappings, [], getStrictness('uber-strict'));
+        expect(summarize(uberStrict)).toEqual([['2+ Critical Affixes', [64, 643], 2, 12]]);
+
+        expect(generator.buildAffixCountRules({ speed: affixMappings.speed }, [], getStrictness('regular'))).toEqual([]);
+    });
+
+    test('custom affixCountRules add rules with an optional AffixCountCondition', () => {
+        const rules = generator.buildAffixCountRules(affixMappings, [
+            { name: 'Crafting Bases', priorities: ['critical', 'high'], minOnTheSameItem: 2, affixCount: { maxPrefixes: 1 } },
+            { priorities: ['medium'] },
+            { name: 'Too Many', priorities: ['critical'], minOnTheSameItem: 3 }
+        ], getStrictness('strict'));
+        const custom = rules.slice(2);
+
+        expect(summarize(custom)).toEqual([
+            ['Crafting Bases', [64, 643, 2, 348], 2, 8],
+            ['1+ Medium Affixes', [12], 1, 4]
+        ]);
+        expect(custom[0].getCondition('AffixCountCondition')).toMatchObject({ minPrefixes: null, maxPrefixes: 1, sealedType: 'Any' });
+        expect(custom[1].getCondition('AffixCountCondition')).toBeFalsy();
+    });
+});
@@ -0,0 +1,80 @@
+const path = require('path');
+const { Filter } = require('../src/model');
+const FilterAnalyzer = require('../src/analysis/filter-analyzer');
+
+const rarity = (...values) => ({ type: 'RarityCondition', rarity: values });
+const affixes = (ids, options = {}) => ({ type: 'AffixCondition', affixes: ids, ...options });
+const rule = (type, nameOverride, conditions, extra = {}) => ({ type, nameOverride, conditions, ...extra });
+
+const analyze = rules => new FilterAnalyzer().analyze(new Filter({ rules }))
+    .map(finding => [finding.kind, finding.rule.index, finding.coveredBy.index]);
+
+describe('FilterAnalyzer', () => {
+    test('reports exact duplicates whatever their name', () => {
+        const findings = new FilterAnalyzer().analyze(new Filter({
+            rules: [
+                rule('SHOW', 'Uniques Again', [rarity('UNIQUE')], { color: 6 }),
+                rule('SHOW', 'Uniques', [rarity('UNIQUE')], { color: 6 })
+            ]
+        }));
+
+        expect(findings).toEqual([{
+            kind: 'duplicate',
+            rule: { index: 1, name: 'Uniques Again' },
+            coveredBy: { index: 2, name: 'Uniques' },
+            message: "Rule 1 'Uniques Again' is an exact duplicate of Rule 2 'Uniques'"
+        }]);
+    });
+
+    test('the last rule in the file is checked first, so a broader SHOW rule below makes a narrower one dead', () => {
+        expect(analyze([
+            rule('SHOW', 'Rares', [rarity('RARE')]),
+            rule('SHOW', 'T6 Uniques', [rarity('UNIQUE'), affixes([1, 2], { comparsion: 'MORE_OR_EQUAL', comparsionValue: 6 })], { color: 4 }),
+            rule('SHOW', 'Uniques and Sets', [rarity('UNIQUE', 'SET')])
+        ])).toEqual([['dead', 2, 3]]);
+    });
+
+    test('a HIDE rule shadows later SHOW rules it covers', () => {
+        const findings = new FilterAnalyzer().analyze(new Filter({
+            rules: [
+                rule('HIDE', 'Hide Magic', [rarity('MAGIC')], { color: 1 }),
+                rule('SHOW', 'Magic Rings', [rarity('MAGIC'), { type: 'SubTypeCondition', equipmentTypes: ['RING'], subTypes: [] }]),
+                rule('HIDE', 'Hide Normal', [rarity('NORMAL', 'MAGIC')])
+            ]
+        }));
+
+        expect(findings.map(finding => [finding.kind, finding.rule.index])).toEqual([['shadowed', 2], ['dead', 1]]);
+        expect(findings[0].message).toBe("Rule 2 'Magic Rings' (SHOW) is fully hidden by HIDE rule Rule 3 'Hide Normal'");
+    });
+
+    test('only proven coverage is reported', () => {
+        expect(analyze([
+            rule('HIGHLIGHT', 'Weaver\'s Will Items', [{ type: 'RarityCondition', rarity: [], minWeaversWill: 1 }]),
+            rule('SHOW', 'Affix 1', [affixes([1])], { color: 7 }),
+            rule('SHOW', 'Any Affix', [affixes([1, 2])], { isEnabled: false }),
+            rule('SHOW', 'T4 Affixes', [affixes([1], { comparsion: 'MORE_OR_EQUAL', comparsionValue: 4 })], { color: 2 }),
+            rule('SHOW', 'T5 Affixes', [affixes([1], { comparsion: 'MORE_OR_EQUAL', comparsionValue: 5 })]),
+            rule('SHOW', 'Sets', [rarity('SET')], { color: 3 }),
+            rule('SHOW', 'Low Level Sets', [rarity('SET')], { levelDependent: true, minLvl: 1, maxLvl: 50 }),
+            rule('SHOW', 'Uniques', [rarity('UNIQUE')], { color: 6 }),
+            rule('HIGHLIGHT', 'Highlight Uniques', [rarity('UNIQUE')])
+        ])).toEqual([]);
+    });
+
+    test('lower Order is checked first when every rule has one', () => {
+        expect(analyze([
+            rule('HIDE', 'Hide Exalted', [rarity('EXALTED')], { order: 0 }),
+            rule('SHOW', 'Exalted Rings', [rarity('EXALTED'), { type: 'SubTypeCondition', equipmentTypes: ['RING'], subTypes: [] }], { order: 1 })
+        ])).toEqual([['shadowed', 2, 1]]);
+    });
+
+    test('sample filters that open with a broad HIDE have no dead or shadowed rules', async () => {
+        const samples = ['Mine - Primalist - Bear.xml', 'GENERIC - NOVA Filter 2.xml', 'Primalist - Wolf Carnage.xml',
+            'GENERIC - TSM Merchant\'s Guid Lootfilter  v3.1 - Strict.xml'];
+
+        for (const sample of samples) {
+            const findings = await new FilterAnalyzer().analyzeFile(path.join(__dirname, '../SampleFilters', sample));
+            expect(findings.map(finding => finding.message)).toEqual([]);
+        }
+    });
+});
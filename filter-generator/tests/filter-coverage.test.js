@@ -0,0 +1,103 @@
+const DataManager = require('../src/data/data-manager');
+const { Filter } = require('../src/model');
+const LootGenerator = require('../src/simulation/loot-generator');
+const FilterCoverage = require('../src/analysis/filter-coverage');
+
+describe('FilterCoverage', () => {
+    let dataManager;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dataManager = new DataManager();
+        await dataManager.loadAll();
+        console.log.mockRestore();
+    });
+
+    test('the loot stream is reproducible for a seed', () => {
+        const first = new LootGenerator(dataManager, 42).generate(200);
+        const second = new LootGenerator(dataManager, 42).generate(200);
+        const other = new LootGenerator(dataManager, 43).generate(200);
+
+        expect(second).toEqual(first);
+        expect(other).not.toEqual(first);
+    });
+
+    test('generated items respect rarity affix counts and the two prefix / two suffix limit', () => {
+        const items = new LootGenerator(dataManager, 7).generate(500);
+
+        for (const item of items) {
+            const kinds = kind => item.affixes.filter(affix => affix.kind === kind).length;
+            expect(kinds('prefix')).toBeLessThanOrEqual(2);
+            expect(kinds('suffix')).toBeLessThanOrEqual(2);
+            if (item.rarity === 'NORMAL') {
+                expect(item.affixes).toHaveLength(0);
+            }
+            if (item.rarity === 'UNIQUE') {
+                expect(item.uniqueId).not.toBeNull();
+            }
+        }
+    });
+
+    test('each unique drops at the rate of its own dropRarity bucket', () => {
+        const generator = new LootGenerator(dataManager, 5);
+        const pools = generator.getPools();
+        const rarityIndex = dataManager.get('indexes')['rarity-index'];
+        const drops = new Map();
+        for (let i = 0; i < 50000; i++) {
+            const id = generator.pickUnique(pools);
+            drops.set(id, (drops.get(id) || 0) + 1);
+        }
+
+        const perUnique = bucket => {
+            const ids = rarityIndex[bucket].filter(id => pools.uniques[id]);
+            return ids.reduce((sum, id) => sum + (drops.get(id) || 0), 0) / ids.length;
+        };
+        expect(perUnique('Common')).toBeGreaterThan(perUnique('Uncommon'));
+        expect(perUnique('Uncommon')).toBeGreaterThan(perUnique('Rare'));
+        expect(perUnique('Rare')).toBeGreaterThan(perUnique('Extremely rare'));
+    });
+
+    test('seed 0 is a seed of its own', () => {
+        const filter = new Filter({ rules: [{ type: 'HIDE', conditions: [{ type: 'RarityCondition', rarity: ['NORMAL'] }] }] });
+        const coverage = new FilterCoverage(dataManager);
+
+        expect(coverage.analyze(filter, { count: 300, seed: 0 }))
+            .not.toEqual(coverage.analyze(filter, { count: 300, seed: 1 }));
+    });
+
+    test('reports shares, rule hits and rules that never fire', () => {
+        const filter = new Filter({
+            rules: [
+                { type: 'SHOW', nameOverride: 'Uniques', conditions: [{ type: 'RarityCondition', rarity: ['UNIQUE'] }] },
+                { type: 'HIGHLIGHT', nameOverride: 'Rares', color: 3, conditions: [{ type: 'RarityCondition', rarity: ['RARE'] }] },
+                { type: 'SHOW', nameOverride: 'Never', conditions: [{ type: 'UniquesCondition', uniqueIds: [] }] },
+                { type: 'HIDE', nameOverride: 'Normal', conditions: [{ type: 'RarityCondition', rarity: ['NORMAL'] }] }
+            ]
+        });
+
+        const coverage = new FilterCoverage(dataManager).analyze(filter, { count: 1000, seed: 3 });
+        const hits = name => coverage.rules.find(rule => rule.name === name).fired;
+
+        expect(coverage.hidden + coverage.shown).toBe(1000);
+        expect(coverage.hidden).toBe(coverage.byRarity.NORMAL.total);
+        expect(hits('Uniques')).toBe(coverage.byRarity.UNIQUE.total);
+        expect(coverage.highlighted).toBe(coverage.byRarity.RARE.total);
+        expect(coverage.neverFired.map(rule => rule.name)).toEqual(['Never']);
+    });
+
+    test('a catch-all HIDE first in the file only gets what the rules below it leave', () => {
+        const filter = new Filter({
+            rules: [
+                { type: 'HIDE', nameOverride: 'Everything Else', conditions: [] },
+                { type: 'SHOW', nameOverride: 'Uniques', conditions: [{ type: 'RarityCondition', rarity: ['UNIQUE'] }] }
+            ]
+        });
+
+        const coverage = new FilterCoverage(dataManager).analyze(filter, { count: 1000, seed: 3 });
+
+        expect(coverage.rules.map(rule => rule.name)).toEqual(['Uniques', 'Everything Else']);
+        expect(coverage.shown).toBe(coverage.byRarity.UNIQUE.total);
+        expect(coverage.hidden).toBe(1000 - coverage.byRarity.UNIQUE.total);
+        expect(coverage.neverFired).toEqual([]);
+    });
+});
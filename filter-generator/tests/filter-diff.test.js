@@ -0,0 +1,68 @@
+const DataManager = require('../src/data/data-manager');
+const { Filter } = require('../src/model');
+const FilterDiff = require('../src/analysis/filter-diff');
+
+const rule = (nameOverride, conditions = [], extra = {}) => ({ type: 'SHOW', nameOverride, conditions, ...extra });
+const rarity = (...values) => ({ type: 'RarityCondition', rarity: values });
+const affixes = ids => ({ type: 'AffixCondition', affixes: ids });
+
+const messages = (a, b, differ = new FilterDiff()) =>
+    differ.diff(new Filter({ rules: a }), new Filter({ rules: b })).changes.map(change => change.message);
+
+describe('FilterDiff', () => {
+    test('matches rules by name, repeated names by occurrence and unnamed rules by position', () => {
+        const a = [rule('Uniques', [rarity('UNIQUE')]), rule('Affixes', [affixes([1])]), rule('Affixes', [affixes([2])]),
+            rule('', [rarity('RARE')]), rule('', [rarity('MAGIC')]), rule('Old')];
+        const b = [rule('Uniques', [rarity('UNIQUE')]), rule('Affixes', [affixes([1])]), rule('Affixes', [affixes([2, 3])]),
+            rule('', [rarity('RARE')]), rule('New', [], { type: 'HIDE' })];
+
+        expect(messages(a, b)).toEqual([
+            "Rule 6 'Old' removed (SHOW)",
+            'Rule 5 removed (SHOW)',
+            "Rule 5 'New' added (HIDE)",
+            "Rule 3 'Affixes': +affix 3"
+        ]);
+    });
+
+    test('list fields are compared as sets and rule fields one by one', () => {
+        const a = [rule('Rings', [rarity('RARE', 'EXALTED'), { type: 'SubTypeCondition', equipmentTypes: ['RING', 'AMULET'], subTypes: [] }])];
+        const b = [rule('Rings', [rarity('EXALTED', 'RARE'), { type: 'SubTypeCondition', equipmentTypes: ['AMULET'], subTypes: [] }],
+            { color: 4, levelDependent: true, minLvl: 10 })];
+
+        expect(messages(a, a)).toEqual([]);
+        expect(messages(a, b)).toEqual(["Rule 1 'Rings': levelDependent false → true, minLvl 0 → 10, color 0 → 4, -type RING"]);
+    });
+
+    test('only the rules that left the longest kept run are reported as moved', () => {
+        const names = ['A', 'B', 'C', 'D', 'E'];
+        const a = names.map(name => rule(name));
+        const b = ['A', 'C', 'D', 'B', 'E'].map(name => rule(name));
+
+        expect(messages(a, b)).toEqual(["Rule 4 'B' reordered (evaluation position 4 → 2)"]);
+    });
+
+    test('positions follow Order when every rule has one', () => {
+        const a = [rule('Second', [], { order: 1 }), rule('First', [], { order: 0 })];
+        const b = [rule('First', [], { order: 0 }), rule('Second', [], { order: 1 })];
+        const swapped = [rule('First', [], { order: 1 }), rule('Second', [], { order: 0 })];
+
+        expect(messages(a, b)).toEqual([]);
+        expect(messages(a, swapped)).toEqual(["Rule 2 'Second' reordered (evaluation position 2 → 1)"]);
+    });
+
+    test('names affixes and visuals from the database', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const dataManager = new DataManager();
+        await dataManager.loadAll();
+        console.log.mockRestore();
+
+        const [change] = messages(
+            [rule('Build', [affixes([36])], { color: 0 })],
+            [rule('Build', [affixes([643])], { color: 13 })],
+            new FilterDiff(dataManager));
+
+        const colors = dataManager.getVisualEffects().colors;
+        expect(change).toBe(`Rule 1 'Build': color 0 (${colors[0]}) → 13 (${colors[13]}), ` +
+            `+affix 643 (${dataManager.getAffixById(643).name}), -affix 36 (${dataManager.getAffixById(36).name})`);
+    });
+});
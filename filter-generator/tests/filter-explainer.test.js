@@ -0,0 +1,84 @@
+const DataManager = require('../src/data/data-manager');
+const { Filter, Rule } = require('../src/model');
+const FilterExplainer = require('../src/analysis/filter-explainer');
+
+const sentence = (values, explainer = new FilterExplainer()) => explainer.describeRule(new Rule(values));
+
+describe('FilterExplainer', () => {
+    test('rarity and equipment types form the subject, LP / WW ranges come first', () => {
+        expect(sentence({
+            type: 'SHOW',
+            color: 10,
+            emphasized: true,
+            conditions: [
+                { type: 'SubTypeCondition', equipmentTypes: ['BODY_ARMOR', 'ONE_HANDED_SWORD'], subTypes: [] },
+                { type: 'RarityCondition', rarity: ['UNIQUE', 'SET'], minLegendaryPotential: 2, minWeaversWill: 5, maxWeaversWill: 5 }
+            ]
+        })).toBe('SHOW Unique and Set Body Armor and One Handed Sword items with LP ≥ 2 and WW = 5 in Purple (emphasized)');
+    });
+
+    test('affix clauses read the count, tier and combined tier comparisons', () => {
+        expect(sentence({
+            type: 'HIGHLIGHT',
+            color: 4,
+            conditions: [{
+                type: 'AffixCondition',
+                affixes: [1, 2, 3],
+                comparsion: 'MORE_OR_EQUAL',
+                comparsionValue: 5,
+                minOnTheSameItem: 2,
+                combinedComparsion: 'MORE',
+                combinedComparsionValue: 10
+            }]
+        })).toBe('HIGHLIGHT items with at least 2 of affix 1, affix 2 or affix 3 at tier ≥ 5 (combined tiers > 10) in Light Orange');
+
+        expect(sentence({ type: 'SHOW', conditions: [{ type: 'AffixCondition', affixes: [] }] }))
+            .toBe('SHOW items with any affix in White');
+    });
+
+    test('HIDE rules skip visuals; levels, classes and disabled rules are spelled out', () => {
+        expect(sentence({
+            type: 'HIDE',
+            isEnabled: false,
+            levelDependent: true,
+            minLvl: 1,
+            maxLvl: 40,
+            conditions: [
+                { type: 'RarityCondition', rarity: ['NORMAL'] },
+                { type: 'ClassCondition', req: ['Mage', 'Acolyte'] },
+                { type: 'AffixCountCondition', minPrefixes: 1, maxSuffixes: 0, sealedType: 'Any' }
+            ]
+        })).toBe('HIDE Normal items usable by Mage or Acolyte, with prefixes ≥ 1 and suffixes ≤ 0 at level 1-40 (disabled)');
+    });
+
+    test('long lists are cut after eight names', () => {
+        expect(sentence({ type: 'HIDE', conditions: [{ type: 'UniquesCondition', uniqueIds: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] }] }))
+            .toBe('HIDE items that are unique 1, unique 2, unique 3, unique 4, unique 5, unique 6, unique 7, unique 8 or 2 more');
+    });
+
+    test('names affixes, uniques, rolls and visuals from the database in evaluation order', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const dataManager = new DataManager();
+        await dataManager.loadAll();
+        console.log.mockRestore();
+
+        const visuals = dataManager.getVisualEffects();
+        const crown = dataManager.getUniqueById(1).name;
+        const explanation = new FilterExplainer(dataManager).explain(new Filter({
+            name: 'Explained',
+            rules: [
+                { type: 'SHOW', nameOverride: 'Crown', color: 13, soundId: 2, beamId: 3, order: 1, conditions: [
+                    { type: 'UniqueModifiersCondition', uniques: [{ uniqueId: 1, rolls: [{ rollId: 2, minRoll: 0.8, maxRoll: null }] }] }
+                ] },
+                { type: 'SHOW', nameOverride: 'Affix', color: 0, order: 0, conditions: [{ type: 'AffixCondition', affixes: [643] }] }
+            ]
+        }));
+
+        expect(explanation.rules.map(rule => [rule.index, rule.name])).toEqual([[2, 'Affix'], [1, 'Crown']]);
+        expect(explanation.rules[0].sentence)
+            .toBe(`SHOW items with ${dataManager.getAffixById(643).name} (643) in ${visuals.colors[0]}`);
+        expect(explanation.rules[1].sentence).toBe(`SHOW items that are ${crown} (1) (roll 2 ≥ 0.8) ` +
+            `in ${visuals.colors[13]} with ${visuals.sounds[2]} sound and ${visuals.beams[3]} beam`);
+        expect(explanation.rules[1].color).toMatchObject({ id: 13, name: visuals.colors[13] });
+    });
+});
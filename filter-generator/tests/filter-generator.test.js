@@ -0,0 +1,53 @@
+const path = require('path');
+const fs = require('fs-extra');
+const DataManager = require('../src/data/data-manager');
+const FilterGenerator = require('../src/generator/filter-generator');
+const ItemBuilder = require('../src/simulation/item-builder');
+const FilterSimulator = require('../src/simulation/filter-simulator');
+
+const INTERMEDIATE = path.join(__dirname, '../generated/analysis/bear-beastmaster.intermediate.json');
+
+describe('FilterGenerator', () => {
+    let dataManager;
+    let intermediate;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dataManager = new DataManager();
+        await dataManager.loadAll();
+        console.log.mockRestore();
+
+        intermediate = await fs.readJson(INTERMEDIATE);
+    });
+
+    const compile = (strictness, options = {}) => new FilterGenerator(dataManager).compile(intermediate, { strictness, ...options });
+
+    test('rules are written last-first, so "Everything Else" is the last resort', () => {
+        const filter = compile('strict');
+        const order = filter.getEvaluationOrder().map(entry => entry.rule.nameOverride);
+
+        expect(filter.rules[0].nameOverride).toBe('Everything Else');
+        expect(order[0]).toBe('4 LP Uniques');
+        expect(order[order.length - 1]).toBe('Everything Else');
+
+        const builder = new ItemBuilder(dataManager);
+        const [unique, rare] = new FilterSimulator().simulate(filter, [
+            builder.build({ unique: 'Fractured Crown', legendaryPotential: 4 }),
+            builder.build({ rarity: 'RARE', type: 'HELMET' })
+        ]);
+        expect(unique).toMatchObject({ visible: true, rule: { name: '4 LP Uniques' } });
+        expect(rare).toMatchObject({ visible: false, rule: { index: 1, name: 'Everything Else' } });
+    });
+
+    test('the optimizer report is returned on the filter instead of printed', () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const filter = compile('strict', { maxRules: 20 });
+        const printed = log.mock.calls.length;
+        log.mockRestore();
+
+        expect(printed).toBe(0);
+        expect(filter.rules).toHaveLength(20);
+        expect(filter.optimization).toMatchObject({ budget: 20, finalCount: 20 });
+        expect(filter.optimization.originalCount).toBeGreaterThan(20);
+    });
+});
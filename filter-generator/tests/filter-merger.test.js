@@ -0,0 +1,127 @@
+const path = require('path');
+const { Filter } = require('../src/model');
+const FilterMerger = require('../src/generator/filter-merger');
+
+const rarityRule = (type, nameOverride, rarity, color = 0) =>
+    ({ type, nameOverride, color, conditions: [{ type: 'RarityCondition', rarity }] });
+
+describe('FilterMerger', () => {
+    const base = new Filter({
+        name: 'Team Base',
+        rules: [
+            rarityRule('SHOW', 'Legendary', ['LEGENDARY'], 13),
+            { type: 'SHOW', nameOverride: 'Keys', conditions: [{ type: 'KeysCondition', flags: ['Arena'] }] }
+        ]
+    });
+    const build = new Filter({
+        name: 'Bear Build',
+        rules: [
+            { type: 'HIDE', nameOverride: 'Everything Else', conditions: [] },
+            rarityRule('SHOW', 'Uniques', ['UNIQUE'], 6),
+            rarityRule('SHOW', 'Legendary Items', ['LEGENDARY'], 13)
+        ]
+    });
+
+    test('earlier filters take precedence and identical rules are kept once', () => {
+        const { filter, report } = new FilterMerger().merge([
+            { name: 'base.xml', filter: base },
+            { name: 'build.xml', filter: build }
+        ]);
+
+        expect(filter.name).toBe('Team Base');
+        expect(filter.getEvaluationOrder().map(entry => entry.rule.nameOverride))
+            .toEqual(['Keys', 'Legendary', 'Uniques', 'Everything Else']);
+        expect(filter.rules.map(rule => rule.nameOverride)).toEqual(['Everything Else', 'Uniques', 'Legendary', 'Keys']);
+        expect(report.duplicates).toHaveLength(1);
+        expect(report.duplicates[0]).toMatchObject({ source: 'build.xml', index: 3, duplicateOf: { source: 'base.xml', index: 1 } });
+        expect(report.shadowed).toEqual([]);
+    });
+
+    test('Order is renumbered to the merged evaluation order', () => {
+        const ordered = new Filter({
+            rules: [
+                { ...rarityRule('SHOW', 'First', ['EXALTED']), order: 0 },
+                { ...rarityRule('SHOW', 'Second', ['RARE']), order: 1 }
+            ]
+        });
+        const { filter } = new FilterMerger().merge([
+            { name: 'ordered.xml', filter: ordered },
+            { name: 'build.xml', filter: build }
+        ], { name: 'Merged' });
+
+        expect(filter.name).toBe('Merged');
+        expect(filter.rules.map(rule => rule.order)).toEqual([4, 3, 2, 1, 0]);
+        expect(filter.getEvaluationOrder().map(entry => entry.rule.nameOverride))
+            .toEqual(['First', 'Second', 'Legendary Items', 'Uniques', 'Everything Else']);
+        expect(filter.rules[4]).toMatchObject({ nameOverride: 'First', order: 0 });
+        expect(ordered.rules[1].order).toBe(1);
+    });
+
+    test('rules evaluated after a catch-all are reported as shadowed', () => {
+        const { report } = new FilterMerger().merge([
+            { name: 'build.xml', filter: build },
+            { name: 'base.xml', filter: base }
+        ]);
+
+        expect(report.shadowed.map(rule => rule.name)).toEqual(['Keys']);
+        expect(report.shadowed[0].by).toMatchObject({ source: 'build.xml', name: 'Everything Else' });
+    });
+
+    test('stops above the rule limit and lists what to trim', () => {
+        const { report } = new FilterMerger(3).merge([
+            { name: 'build.xml', filter: build },
+            { name: 'base.xml', filter: base }
+        ]);
+
+        expect(report.count).toBe(4);
+        expect(report.overBy).toBe(1);
+        expect(report.trim).toEqual([expect.objectContaining({ source: 'base.xml', name: 'Keys' })]);
+        expect(() => new FilterMerger(76)).toThrow('Invalid rule budget');
+    });
+
+    describe('filters of different versions', () => {
+        const sample = name => path.join(__dirname, '../SampleFilters', name);
+        let wolf;
+        let bear;
+
+        beforeAll(async () => {
+            wolf = { name: 'wolf.xml', filter: await Filter.load(sample('Primalist - Wolf Carnage.xml')) };
+            bear = { name: 'bear.xml', filter: await Filter.load(sample('Mine - Primalist - Bear.xml')) };
+        });
+
+        const ruleElements = filter => new Set(filter.toXML().match(/<\w+(?=[ />])/g));
+
+        test('a v3 header writes every rule in the v3 layout', () => {
+            const { filter, report } = new FilterMerger().merge([wolf, bear]);
+            const reparsed = Filter.parse(filter.toXML());
+
+            expect(reparsed.lootFilterVersion).toBe(3);
+            expect(reparsed.rules).toHaveLength(report.count);
+            reparsed.rules.forEach(rule => expect(rule.layout).toEqual(wolf.filter.rules[0].layout));
+            ['<levelDependent_deprecated', '<Order', '<SoundId', '<BeamId']
+                .forEach(element => expect(ruleElements(filter).has(element)).toBe(false));
+        });
+
+        test('a v5 header writes every rule in the v5 layout with Order', () => {
+            const { filter, report } = new FilterMerger().merge([bear, wolf]);
+            const reparsed = Filter.parse(filter.toXML());
+            const layout = ['type', 'conditions', 'color', 'isEnabled', 'levelDependent_deprecated', 'minLvl_deprecated',
+                'maxLvl_deprecated', 'emphasized', 'nameOverride', 'SoundId', 'BeamId', 'Order'];
+
+            expect(reparsed.lootFilterVersion).toBe(5);
+            reparsed.rules.forEach(rule => expect(rule.layout).toEqual(layout));
+            expect(reparsed.rules.map(rule => rule.order)).toEqual(reparsed.rules.map((rule, index) => report.count - 1 - index));
+            expect(reparsed.rules[0]).toMatchObject({ soundId: 0, beamId: 0 });
+            expect(ruleElements(filter).has('<levelDependent')).toBe(false);
+        });
+
+        test('the last-resort HIDE of a filter only shadows the filters merged after it', () => {
+            const buildFirst = new FilterMerger().merge([wolf, bear]).report;
+            expect(buildFirst.shadowed).toEqual([]);
+
+            const { report } = new FilterMerger().merge([bear, wolf]);
+            expect(report.shadowed.map(rule => rule.source)).toEqual(Array(report.sources[1].kept).fill('wolf.xml'));
+            expect(report.shadowed[0].by).toMatchObject({ source: 'bear.xml', index: 1, type: 'HIDE' });
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Filter, Rule } = require('../src/model');
+
+const SAMPLE_DIR = path.join(__dirname, '../SampleFilters');
+const MASTER_TEMPLATE = path.join(__dirname, '../../database-generator/TemplateFilters/MasterTemplate1.xml');
+
+const SOURCE = `\uFEFF<?xml version="1.0" encoding="utf-8"?>
+<ItemFilter xmlns:i="http://www.w3.org/2001/XMLSchema-instance" xmlns:x="urn:extra">
+  <name>Round Trip</name>
+  <filterIcon>2</filterIcon>
+  <filterIconColor>12</filterIconColor>
+  <description />
+  <lastModifiedInVersion>1.3.1.1</lastModifiedInVersion>
+  <lootFilterVersion>5</lootFilterVersion>
+  <rules>
+    <Rule>
+      <type>SHOW</type>
+      <conditions>
+        <Condition i:type="RarityCondition">
+          <rarity>UNIQUE SET</rarity>
+          <minLegendaryPotential>2</minLegendaryPotential>
+          <maxLegendaryPotential i:nil="true" />
+          <minWeaversWill i:nil="true" />
+          <maxWeaversWill i:nil="true" />
+        </Condition>
+      </conditions>
+      <color>13</color>
+      <isEnabled>true</isEnabled>
+      <levelDependent_deprecated>true</levelDependent_deprecated>
+      <minLvl_deprecated>10</minLvl_deprecated>
+      <maxLvl_deprecated>60</maxLvl_deprecated>
+      <emphasized>true</emphasized>
+      <nameOverride>LP Uniques</nameOverride>
+      <FutureField x:flag="on"><Value>1</Value></FutureField>
+      <SoundId>3</SoundId>
+      <BeamId>4</BeamId>
+      <Order>0</Order>
+    </Rule>
+  </rules>
+</ItemFilter>`;
+
+describe('filter model', () => {
+    const roundTrip = filter => Filter.parse(filter.toXML());
+
+    test('sample filters and the master template survive parse and toXML', async () => {
+        const files = (await fs.readdir(SAMPLE_DIR)).filter(file => file.endsWith('.xml'))
+            .map(file => path.join(SAMPLE_DIR, file)).concat(MASTER_TEMPLATE);
+        expect(files.length).toBeGreaterThan(10);
+
+        for (const file of files) {
+            const filter = await Filter.load(file);
+            const copy = roundTrip(filter);
+
+            expect(copy.toJSON()).toEqual(filter.toJSON());
+            expect(copy.rules.map(rule => rule.layout)).toEqual(filter.rules.map(rule => rule.layout));
+            expect(copy.toXML()).toBe(filter.toXML());
+        }
+    }, 30000);
+
+    test('keeps deprecated field names, i:nil values, unknown elements and the byte order mark', () => {
+        const filter = Filter.parse(SOURCE);
+        const [rule] = filter.rules;
+
+        expect(rule).toMatchObject({ levelDependent: true, minLvl: 10, maxLvl: 60, soundId: 3, beamId: 4, order: 0 });
+        expect(rule.getCondition('RarityCondition')).toMatchObject({ rarity: ['UNIQUE', 'SET'], maxLegendaryPotential: null });
+
+        const xml = filter.toXML();
+        expect(xml.startsWith('\uFEFF<?xml')).toBe(true);
+        expect(xml).toContain('xmlns:x="urn:extra"');
+        expect(xml).toContain('<minLvl_deprecated>10</minLvl_deprecated>');
+        expect(xml).not.toContain('<minLvl>');
+        expect(xml).toContain('<maxLegendaryPotential i:nil="true"/>');
+        expect(xml).toMatch(/<nameOverride>LP Uniques<\/nameOverride>\s*<FutureField x:flag="on">\s*<Value>1<\/Value>\s*<\/FutureField>\s*<SoundId>/);
+        expect(roundTrip(filter).toJSON()).toEqual(filter.toJSON());
+    });
+
+    test('string fields keep leading and trailing whitespace', async () => {
+        const filter = Filter.parse(SOURCE.replace('<nameOverride>LP Uniques</nameOverride>', '<nameOverride> LP Uniques </nameOverride>'));
+        expect(filter.rules[0].nameOverride).toBe(' LP Uniques ');
+        expect(filter.toXML()).toContain('<nameOverride> LP Uniques </nameOverride>');
+
+        const tsm = await Filter.load(path.join(SAMPLE_DIR, "GENERIC - TSM Merchant's Guid Lootfilter  v3.1 - Strict.xml"));
+        expect(tsm.rules.some(rule => rule.nameOverride.endsWith('SVK [Humble] '))).toBe(true);
+    });
+
+    test('edited values are written under the element names they were read with', () => {
+        const filter = Filter.parse(SOURCE);
+        filter.rules[0].maxLvl = 75;
+        filter.rules[0].getCondition('RarityCondition').maxLegendaryPotential = 4;
+
+        const copy = roundTrip(filter);
+        expect(copy.rules[0].layout).toEqual(filter.rules[0].layout);
+        expect(copy.rules[0].maxLvl).toBe(75);
+        expect(copy.rules[0].getCondition('RarityCondition').maxLegendaryPotential).toBe(4);
+    });
+
+    test('rules built in code get the default layout', () => {
+        const filter = new Filter({
+            name: 'Built',
+            rules: [
+                { type: 'HIDE', nameOverride: 'Last', order: 0, conditions: [] },
+                new Rule({ type: 'SHOW', nameOverride: 'First', order: 1, conditions: [{ type: 'RarityCondition', rarity: ['EXALTED'] }] })
+            ]
+        });
+        const copy = roundTrip(filter);
+
+        expect(copy.lootFilterVersion).toBe(3);
+        expect(copy.rules[0].layout).toEqual(['type', 'conditions', 'color', 'isEnabled', 'levelDependent', 'minLvl',
+            'maxLvl', 'emphasized', 'nameOverride', 'SoundId', 'BeamId', 'Order']);
+        expect(copy.toJSON()).toEqual(filter.toJSON());
+    });
+
+    test('rules are evaluated from the last rule in the file, or by lowest Order', async () => {
+        const names = filter => filter.getEvaluationOrder().map(entry => entry.rule.nameOverride);
+        const rules = [
+            { type: 'HIDE', nameOverride: 'Everything Else', conditions: [] },
+            { type: 'SHOW', nameOverride: 'Uniques', conditions: [{ type: 'RarityCondition', rarity: ['UNIQUE'] }] }
+        ];
+
+        expect(names(new Filter({ rules }))).toEqual(['Uniques', 'Everything Else']);
+        expect(names(new Filter({ rules: rules.map((rule, index) => ({ ...rule, order: index })) })))
+            .toEqual(['Everything Else', 'Uniques']);
+
+        const bear = await Filter.load(path.join(SAMPLE_DIR, 'Mine - Primalist - Bear.xml'));
+        const order = bear.getEvaluationOrder();
+        expect(order[0].rule).toMatchObject({ nameOverride: '4 LP Uniques', order: 0 });
+        expect(order[order.length - 1]).toMatchObject({ index: 0, rule: { type: 'HIDE', conditions: [] } });
+    });
+});
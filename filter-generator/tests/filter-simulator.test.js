@@ -0,0 +1,179 @@
+const DataManager = require('../src/data/data-manager');
+const { Filter } = require('../src/model');
+const ItemBuilder = require('../src/simulation/item-builder');
+const FilterSimulator = require('../src/simulation/filter-simulator');
+
+describe('FilterSimulator', () => {
+    let dataManager;
+    let builder;
+    let simulator;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dataManager = new DataManager();
+        await dataManager.loadAll();
+        console.log.mockRestore();
+
+        builder = new ItemBuilder(dataManager);
+        simulator = new FilterSimulator(dataManager);
+    });
+
+    const simulateOne = (rules, spec, options) =>
+        simulator.simulate(new Filter({ rules }), [builder.build(spec)], options)[0];
+
+    describe('rule order', () => {
+        const rules = [
+            { type: 'SHOW', nameOverride: 'Helmets', color: 7, conditions: [{ type: 'SubTypeCondition', equipmentTypes: ['HELMET'] }] },
+            { type: 'SHOW', nameOverride: 'Rares', color: 12, conditions: [{ type: 'RarityCondition', rarity: ['RARE'] }] },
+            { type: 'HIDE', conditions: [{ type: 'RarityCondition', rarity: ['NORMAL', 'MAGIC'] }] }
+        ];
+
+        test('rules are checked from the last one in the file and the first SHOW / HIDE match wins', () => {
+            const result = simulateOne(rules, { rarity: 'RARE', type: 'HELMET' });
+            expect(result.visible).toBe(true);
+            expect(result.rule).toEqual({ index: 2, name: 'Rares', type: 'SHOW' });
+            expect(result.colorName).toBe('Blue');
+        });
+
+        test('HIDE rules hide matching items', () => {
+            const result = simulateOne(rules, { rarity: 'MAGIC', type: 'HELMET' });
+            expect(result.visible).toBe(false);
+            expect(result.rule.index).toBe(3);
+        });
+
+        test('unmatched items are shown with default visuals', () => {
+            const result = simulateOne(rules, { rarity: 'SET', type: 'BOOTS' });
+            expect(result).toMatchObject({ visible: true, rule: null, color: 0, soundId: 0, beamId: 0 });
+        });
+
+        test('lower Order is checked first when every rule has one', () => {
+            const ordered = rules.map((rule, index) => ({ ...rule, order: index }));
+            const result = simulateOne(ordered, { rarity: 'RARE', type: 'HELMET' });
+            expect(result.rule.name).toBe('Helmets');
+        });
+
+        test('disabled rules are skipped', () => {
+            const disabled = [rules[0], { ...rules[1], isEnabled: false }];
+            expect(simulateOne(disabled, { rarity: 'RARE', type: 'HELMET' }).rule.name).toBe('Helmets');
+        });
+
+        test('HIGHLIGHT visuals carry over to the SHOW rule that ends evaluation', () => {
+            const highlighted = [
+                rules[1],
+                { type: 'HIGHLIGHT', nameOverride: 'Highlight', color: 3, soundId: 8, conditions: [] }
+            ];
+            const result = simulateOne(highlighted, { rarity: 'RARE', type: 'RING' });
+            expect(result.rule.name).toBe('Rares');
+            expect(result.highlight.name).toBe('Highlight');
+            expect(result).toMatchObject({ color: 3, soundName: 'Discovery' });
+        });
+    });
+
+    describe('conditions', () => {
+        test('AffixCondition tiers, minimum count and combined tiers', () => {
+            const rules = [{ type: 'HIDE', conditions: [] }, {
+                type: 'SHOW',
+                conditions: [{
+                    type: 'AffixCondition',
+                    affixes: [2, 26, 501],
+                    comparsion: 'MORE_OR_EQUAL',
+                    comparsionValue: 5,
+                    minOnTheSameItem: 2,
+                    combinedComparsion: 'MORE_OR_EQUAL',
+                    combinedComparsionValue: 12,
+                    advanced: true
+                }]
+            }];
+
+            const affixes = tiers => tiers.map((tier, index) => ({ id: [2, 26, 501][index], tier }));
+            expect(simulateOne(rules, { type: 'GLOVES', affixes: affixes([6, 6]) }).visible).toBe(true);
+            expect(simulateOne(rules, { type: 'GLOVES', affixes: affixes([6, 4, 4]) }).visible).toBe(false);
+            expect(simulateOne(rules, { type: 'GLOVES', affixes: affixes([5, 5]) }).visible).toBe(false);
+        });
+
+        test('legendary potential ranges only apply to uniques', () => {
+            const rules = [{ type: 'HIDE', conditions: [] }, {
+                type: 'SHOW',
+                nameOverride: '2+ LP',
+                conditions: [{ type: 'RarityCondition', rarity: ['UNIQUE', 'SET'], minLegendaryPotential: 2 }]
+            }];
+
+            expect(simulateOne(rules, { uniqueId: 1, legendaryPotential: 2 }).visible).toBe(true);
+            expect(simulateOne(rules, { uniqueId: 1, legendaryPotential: 1 }).visible).toBe(false);
+            expect(simulateOne(rules, { rarity: 'SET', type: 'RING' }).visible).toBe(true);
+        });
+
+        test('UniqueModifiersCondition roll ranges', () => {
+            const rules = [{ type: 'HIDE', conditions: [] }, {
+                type: 'SHOW',
+                conditions: [{
+                    type: 'UniqueModifiersCondition',
+                    uniques: [{ uniqueId: 1, rolls: [{ rollId: 0, lessIsBetter: false, minRoll: 0.8, maxRoll: null }] }]
+                }]
+            }];
+
+            expect(simulateOne(rules, { uniqueId: 1, rolls: [0.9] }).visible).toBe(true);
+            expect(simulateOne(rules, { uniqueId: 1, rolls: [0.5] }).visible).toBe(false);
+            expect(simulateOne(rules, { uniqueId: 2, rolls: [0.9] }).visible).toBe(false);
+        });
+
+        test('ClassCondition only matches items with a listed class requirement', () => {
+            const rules = [{ type: 'HIDE', conditions: [{ type: 'ClassCondition', req: ['Mage', 'Rogue'] }] }];
+
+            expect(simulateOne(rules, { type: 'RING', classRequirement: 'Mage' }).visible).toBe(false);
+            expect(simulateOne(rules, { type: 'RING', classRequirement: 'Primalist' }).visible).toBe(true);
+            expect(simulateOne(rules, { type: 'RING' }).visible).toBe(true);
+        });
+
+        test('AffixCountCondition counts prefixes and suffixes from the database', () => {
+            const item = builder.build({ type: 'BOOTS', affixes: ['Minion Damage', 'Strength'] });
+            const prefixes = item.affixes.filter(affix => affix.kind === 'prefix').length;
+            const rules = [{ type: 'HIDE', conditions: [] }, {
+                type: 'SHOW',
+                conditions: [{ type: 'AffixCountCondition', minPrefixes: prefixes, maxPrefixes: prefixes }]
+            }];
+
+            expect(item.affixes.every(affix => affix.kind !== null)).toBe(true);
+            expect(simulator.simulate(new Filter({ rules }), [item])[0].visible).toBe(true);
+        });
+
+        test('level-dependent rules use the simulated character level', () => {
+            const rules = [{
+                type: 'HIDE',
+                levelDependent: true,
+                minLvl: 1,
+                maxLvl: 50,
+                conditions: [{ type: 'RarityCondition', rarity: ['MAGIC'] }]
+            }];
+
+            expect(simulateOne(rules, { rarity: 'MAGIC', type: 'BELT' }, { level: 30 }).visible).toBe(false);
+            expect(simulateOne(rules, { rarity: 'MAGIC', type: 'BELT' }, { level: 80 }).visible).toBe(true);
+        });
+    });
+
+    describe('ItemBuilder', () => {
+        test('uniques fill in rarity, equipment type and class requirement', () => {
+            const item = builder.build({ unique: 'Fractured Crown' });
+            expect(item).toMatchObject({
+                name: 'Fractured Crown',
+                rarity: 'UNIQUE',
+                equipmentType: 'HELMET',
+                uniqueId: 1,
+                classRequirement: 'Mage'
+            });
+        });
+
+        test('affixes resolve by ID or name', () => {
+            const item = builder.build({ affixes: [36, { name: 'Strength', tier: 7 }] });
+            expect(item.affixes.map(affix => affix.id)).toEqual([36, 501]);
+            expect(item.affixes[1].tier).toBe(7);
+        });
+
+        test('unknown IDs and values are errors', () => {
+            expect(() => builder.build({ affixes: [999999] })).toThrow('Unknown affix ID 999999');
+            expect(() => builder.build({ type: 'HAT' })).toThrow('Unknown equipment type');
+            expect(() => builder.build({ rarity: 'EPIC' })).toThrow('Unknown rarity');
+            expect(() => builder.buildAll([{}, { uniqueId: 99999 }])).toThrow('Item 2');
+        });
+    });
+});
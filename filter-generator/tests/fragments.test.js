@@ -0,0 +1,61 @@
+const fs = require('fs-extra');
+const path = require('path');
+const FilterGenerator = require('../src/generator/filter-generator');
+const { getStrictness } = require('../src/generator/strictness');
+const { getFragmentNames, loadFragment, expandFragment } = require('../src/generator/fragments');
+
+const intermediatePath = path.join(__dirname, '../generated/analysis/bear-beastmaster.intermediate.json');
+
+describe('rule fragments', () => {
+    let intermediate;
+
+    beforeAll(async () => {
+        intermediate = await fs.readJson(intermediatePath);
+    });
+
+    const compile = (includes, strictness = 'strict') => {
+        const build = { ...intermediate, filterConfiguration: { ...intermediate.filterConfiguration, includes } };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        try {
+            return new FilterGenerator().compile(build, { strictness });
+        } finally {
+            console.log.mockRestore();
+        }
+    };
+
+    test('shipped fragments load', () => {
+        expect(getFragmentNames()).toEqual(expect.arrayContaining(['lp-uniques', 'weavers-will-uniques']));
+        getFragmentNames().forEach(name => expect(loadFragment(name).rules.length).toBeGreaterThan(0));
+    });
+
+    test('parameters fill placeholders, fall back to defaults and read strictness settings', () => {
+        const [lp] = expandFragment(loadFragment('lp-uniques'), { minLegendaryPotential: 2 });
+        expect(lp.nameOverride).toBe('2 LP Uniques');
+        expect(lp.visuals).toBe('chase');
+        expect(lp.conditions[0]).toEqual({ type: 'RarityCondition', rarity: ['UNIQUE'], minLegendaryPotential: 2 });
+
+        const [ww] = expandFragment(loadFragment('weavers-will-uniques'), {}, { strictness: getStrictness('very-strict') });
+        expect(ww.nameOverride).toBe('Valuable Uniques (20+ WW)');
+        expect(ww.conditions[0].minWeaversWill).toBe(20);
+    });
+
+    test('unknown parameters and fragments are errors', () => {
+        expect(() => expandFragment(loadFragment('lp-uniques'), { minLP: 2 })).toThrow('has no parameter minLP');
+        expect(() => loadFragment('no-such-fragment')).toThrow('Unknown fragment: no-such-fragment');
+        expect(() => compile([{ fragment: 'lp-uniques', params: { tier: 'sparkly' } }])).toThrow('unknown theme tier: sparkly');
+    });
+
+    test('filterConfiguration.includes replaces the default generic rules', () => {
+        const evaluated = filter => filter.getEvaluationOrder().map(entry => entry.rule);
+        const defaults = evaluated(compile(undefined)).slice(0, 3).map(rule => rule.nameOverride);
+        expect(defaults).toEqual(['4 LP Uniques', '3 LP Uniques', 'Valuable Uniques (15+ WW)']);
+
+        const filter = compile(['lp-uniques', { fragment: 'weavers-will-uniques', params: { minWeaversWill: 28, tier: 'legendary' } }]);
+        const [lp, ww, next] = evaluated(filter);
+        expect(lp.nameOverride).toBe('4 LP Uniques');
+        expect(ww.nameOverride).toBe('Valuable Uniques (28+ WW)');
+        expect(ww.getCondition('RarityCondition').minWeaversWill).toBe(28);
+        expect(ww.color).toBe(4);
+        expect(next.nameOverride).not.toBe('3 LP Uniques');
+    });
+});
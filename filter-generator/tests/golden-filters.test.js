@@ -0,0 +1,105 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { globSync } = require('glob');
+const DataManager = require('../src/data/data-manager');
+const { Filter } = require('../src/model');
+const FilterGenerator = require('../src/generator/filter-generator');
+const ProfileImporter = require('../src/import/profile-importer');
+const FilterDiff = require('../src/analysis/filter-diff');
+const { getStrictnessLevels } = require('../src/generator/strictness');
+
+/**
+ * Golden-file regression suite for the profile → intermediate → filter pipeline
+ * Every generated/analysis/*.intermediate.json and every Builds/ planner profile is
+ * compiled at each strictness level and compared, through the filter model, with the
+ * committed filter in tests/golden/. `npm run test:update-snapshots` rewrites them.
+ */
+
+const ROOT = path.join(__dirname, '..');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+
+const sources = [
+    ...globSync('generated/analysis/*.intermediate.json', { cwd: ROOT, posix: true })
+        .map(file => ({ file, kind: 'intermediate', base: path.basename(file, '.intermediate.json') })),
+    ...globSync('Builds/**/*.profile.json', { cwd: ROOT, posix: true })
+        .map(file => ({ file, kind: 'profile', base: `${path.basename(file, '.profile.json')}-profile` }))
+].sort((a, b) => a.base.localeCompare(b.base));
+
+const cases = sources.flatMap(source => getStrictnessLevels().map(level => ({
+    name: `${source.base}-${level}`,
+    source,
+    level
+})));
+
+describe('golden filters', () => {
+    let dataManager;
+    let generator;
+    let differ;
+    const intermediates = new Map();
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dataManager = new DataManager();
+        await dataManager.loadAll();
+
+        generator = new FilterGenerator(dataManager);
+        differ = new FilterDiff(dataManager);
+        await fs.ensureDir(GOLDEN_DIR);
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    /**
+     * Intermediate build for a source, importing planner profiles once
+     */
+    const loadIntermediate = async source => {
+        if (!intermediates.has(source.file)) {
+            const file = path.join(ROOT, source.file);
+            const intermediate = source.kind === 'profile' ?
+                await new ProfileImporter(dataManager).importFile(file) : await fs.readJson(file);
+            intermediates.set(source.file, intermediate);
+        }
+        return intermediates.get(source.file);
+    };
+
+    test('finds intermediate builds and planner profiles to compile', () => {
+        expect(cases.length).toBeGreaterThan(0);
+    });
+
+    test.each(cases.map(testCase => [testCase.name, testCase]))('%s', async (name, testCase) => {
+        const filter = generator.compile(await loadIntermediate(testCase.source), { strictness: testCase.level });
+        const xml = filter.toXML();
+        const goldenPath = path.join(GOLDEN_DIR, `${name}.xml`);
+        const exists = await fs.pathExists(goldenPath);
+
+        if (UPDATE) {
+            await fs.writeFile(goldenPath, xml, 'utf8');
+            return;
+        }
+        if (!exists) {
+            throw new Error(`No golden filter for ${name}; run "npm run test:update-snapshots" in filter-generator and commit tests/golden/`);
+        }
+
+        const expected = Filter.parse(await fs.readFile(goldenPath, 'utf8'));
+        const actual = Filter.parse(xml);
+
+        // Rule-level differences first, for a readable failure
+        const result = differ.diff(expected, actual);
+        expect([...result.filter, ...result.changes.map(change => change.message)]).toEqual([]);
+        expect(actual.toJSON()).toEqual(expected.toJSON());
+    });
+
+    test('every golden filter has a source', async () => {
+        const expected = new Set(cases.map(testCase => `${testCase.name}.xml`));
+        const obsolete = (await fs.readdir(GOLDEN_DIR)).filter(file => file.endsWith('.xml') && !expected.has(file));
+
+        if (UPDATE) {
+            await Promise.all(obsolete.map(file => fs.remove(path.join(GOLDEN_DIR, file))));
+            return;
+        }
+        expect(obsolete).toEqual([]);
+    });
+});
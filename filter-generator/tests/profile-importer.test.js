@@ -0,0 +1,68 @@
+const path = require('path');
+const fs = require('fs-extra');
+const DataManager = require('../src/data/data-manager');
+const ProfileImporter = require('../src/import/profile-importer');
+
+const GUIDE_DIR = path.join(__dirname, '../Builds/Guide-Builds');
+
+describe('ProfileImporter', () => {
+    let importer;
+    const exports = {};
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const dataManager = new DataManager();
+        await dataManager.loadAll();
+        console.log.mockRestore();
+
+        importer = new ProfileImporter(dataManager);
+        for (const name of ['bear-beastmaster-guide', 'reflect-shaman-guide']) {
+            exports[name] = await fs.readJson(path.join(GUIDE_DIR, `${name}.profile.json`));
+        }
+    });
+
+    const variantNames = intermediate => intermediate.buildDefinition.derived.variants.map(variant => variant.name);
+
+    test.each([
+        ['bear-beastmaster-guide', 'Bear Beastmaster', 'Beastmaster'],
+        ['reflect-shaman-guide', 'Reflect Shaman', 'Shaman']
+    ])('%s: planner export with stringified data and metadata', (name, buildName, mastery) => {
+        const intermediate = importer.import(exports[name], `${name}.profile.json`);
+
+        expect(intermediate.buildDefinition.userInput).toMatchObject({
+            name: buildName,
+            class: 'Primalist',
+            mastery,
+            source: `${name}.profile.json (Build Planner Data)`
+        });
+        expect(variantNames(intermediate)).toHaveLength(5);
+        expect(Object.keys(intermediate.uniqueItemAnalysis).length).toBeGreaterThan(0);
+        expect(Object.keys(intermediate.filterConfiguration.affixMappings).length).toBeGreaterThan(0);
+    });
+
+    test('parsed data and the bare data payload import the same variants and affixes', () => {
+        const raw = exports['bear-beastmaster-guide'];
+        const data = JSON.parse(raw.data);
+        const expected = importer.import(raw);
+
+        for (const input of [{ ...raw, data, metadata: JSON.parse(raw.metadata) }, data]) {
+            const intermediate = importer.import(input);
+            expect(variantNames(intermediate)).toEqual(variantNames(expected));
+            expect(intermediate.filterConfiguration.affixMappings).toEqual(expected.filterConfiguration.affixMappings);
+            expect(intermediate.uniqueItemAnalysis).toEqual(expected.uniqueItemAnalysis);
+        }
+    });
+
+    test('unresolved IDs are reported per import, not carried over from the previous one', () => {
+        const notes = name => importer.import(exports[name]).generationMetadata.optimizationNotes.join('\n');
+
+        expect(notes('bear-beastmaster-guide')).toContain('840');
+        expect(notes('reflect-shaman-guide')).not.toContain('840');
+        expect(notes('reflect-shaman-guide')).toBe(notes('reflect-shaman-guide'));
+    });
+
+    test('exports without profiles are rejected', () => {
+        expect(() => importer.import({ data: JSON.stringify({ profiles: [] }) })).toThrow('Planner profile contains no profiles');
+        expect(() => importer.import({ data: '{' })).toThrow('Invalid planner profile data');
+    });
+});
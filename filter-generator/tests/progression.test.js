@@ -0,0 +1,55 @@
+const path = require('path');
+const fs = require('fs-extra');
+const FilterGenerator = require('../src/generator/filter-generator');
+const { getStrictness } = require('../src/generator/strictness');
+const { getProgressionStage, getBuildVariants, applyProgressionStage } = require('../src/generator/progression');
+
+const INTERMEDIATE = path.join(__dirname, '../generated/analysis/bear-beastmaster.intermediate.json');
+
+describe('variant progression', () => {
+    let intermediate;
+
+    beforeAll(async () => {
+        intermediate = await fs.readJson(INTERMEDIATE);
+    });
+
+    test('variants are ordered Starting → Endgame → Aspirational, specializations count as endgame', () => {
+        expect(getBuildVariants(intermediate).map(variant => [variant.name, variant.stage])).toEqual([
+            ['Starting Gear', 'starting'],
+            ['Endgame Gear', 'endgame'],
+            ['Boss DPS Variant', 'endgame'],
+            ['HC Shield Variant', 'endgame'],
+            ['Aspirational Gear', 'aspirational']
+        ]);
+        expect(getProgressionStage('Min-maxed endgame').name).toBe('aspirational');
+        expect(getBuildVariants({ buildDefinition: {}, plannerAnalysis: { variantBreakdown: { 'Leveling': {}, 'BiS': {} } } })
+            .map(variant => variant.stage)).toEqual(['starting', 'aspirational']);
+    });
+
+    test('stages tighten the strictness settings but never loosen them', () => {
+        expect(applyProgressionStage(getStrictness('regular'), 'aspirational')).toMatchObject({
+            minAffixTier: 6, minUniqueLegendaryPotential: 2, buildUniqueMinLegendaryPotential: 1
+        });
+        expect(applyProgressionStage(getStrictness('uber-strict'), 'starting')).toMatchObject({
+            minAffixTier: null, minUniqueLegendaryPotential: 3, buildUniqueMinLegendaryPotential: 1
+        });
+        expect(() => applyProgressionStage(getStrictness('strict'), 'late')).toThrow('Unknown progression stage: late');
+    });
+
+    test('later variants raise affix tiers and unique LP requirements', () => {
+        const compile = variant => new FilterGenerator().compile(intermediate, { strictness: 'strict', variant });
+        const summary = filter => ({
+            affixTier: filter.rules.find(rule => rule.nameOverride === 'Critical Affixes').getCondition('AffixCondition').comparsionValue,
+            buildUniqueLP: (filter.rules.find(rule => rule.nameOverride === 'Build Uniques')
+                .getCondition('RarityCondition') || {}).minLegendaryPotential,
+            lpRules: filter.rules.filter(rule => / LP Uniques$/.test(rule.nameOverride)).length
+        });
+
+        const starting = compile('Starting Gear');
+        expect(starting.name).toBe('Bear Beastmaster (Planner Profile) (Starting Gear) - strict');
+        expect(summary(starting)).toEqual({ affixTier: 0, buildUniqueLP: undefined, lpRules: 4 });
+        expect(summary(compile('endgame gear'))).toEqual({ affixTier: 5, buildUniqueLP: undefined, lpRules: 4 });
+        expect(summary(compile('Aspirational Gear'))).toEqual({ affixTier: 6, buildUniqueLP: 1, lpRules: 3 });
+        expect(() => compile('Hardcore')).toThrow('Unknown variant: Hardcore');
+    });
+});
@@ -0,0 +1,97 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { spawnSync } = require('child_process');
+const XMLValidator = require('../src/validation/xml-validator');
+const ReportFormatter = require('../src/validation/report-formatter');
+
+const CLI = path.join(__dirname, '../src/cli/xml-suite.js');
+
+const filterXML = ({ header = '<filterIcon>2</filterIcon>', rule = '' } = {}) => `<?xml version="1.0" encoding="utf-8"?>
+<ItemFilter xmlns:i="http://www.w3.org/2001/XMLSchema-instance">
+  <name>Report</name>
+  ${header}
+  <filterIconColor>12</filterIconColor>
+  <lastModifiedInVersion>1.3.1.1</lastModifiedInVersion>
+  <lootFilterVersion>5</lootFilterVersion>
+  <rules>
+    <Rule>
+      <type>SHOW</type>
+      <conditions />
+      <color>3</color>
+      <isEnabled>true</isEnabled>
+      ${rule}
+      <emphasized>false</emphasized>
+      <nameOverride>Everything</nameOverride>
+    </Rule>
+  </rules>
+</ItemFilter>`;
+
+describe('validation reports', () => {
+    let tempDir;
+    let results;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-formatter-'));
+        await fs.writeFile(path.join(tempDir, 'deprecated.xml'),
+            filterXML({ rule: '<levelDependent_deprecated>false</levelDependent_deprecated>' }), 'utf8');
+        await fs.writeFile(path.join(tempDir, 'broken.xml'), filterXML({ header: '' }), 'utf8');
+
+        const validator = new XMLValidator();
+        results = validator.createResults();
+        for (const file of ['broken.xml', 'deprecated.xml']) {
+            validator.addFileResult(results, await validator.validateFile(path.join(tempDir, file)));
+        }
+    });
+
+    afterAll(async () => {
+        await fs.remove(tempDir);
+    });
+
+    test('json keeps errors and warnings apart, with severity and rule', () => {
+        const report = JSON.parse(new ReportFormatter().format(results, 'json'));
+
+        expect(report.summary).toEqual({ totalFiles: 2, validFiles: 1, invalidFiles: 1, errors: 1, warnings: 1 });
+        expect(report.files.map(file => [path.basename(file.path), file.valid])).toEqual([['broken.xml', false], ['deprecated.xml', true]]);
+        expect(report.files[0].errors).toEqual([expect.objectContaining({
+            severity: 'error', source: 'structure', message: 'Missing required field: filterIcon'
+        })]);
+        expect(report.files[1].errors).toEqual([]);
+        expect(report.files[1].warnings).toEqual([expect.objectContaining({
+            severity: 'warning',
+            source: 'deprecated',
+            message: "Uses deprecated field 'levelDependent_deprecated'",
+            rule: { index: 1, name: 'Everything' }
+        })]);
+    });
+
+    test('junit reports a failing test case per invalid filter and warnings as output', () => {
+        const xml = new ReportFormatter().format(results, 'junit');
+
+        expect(xml).toMatch(/<testsuite name="filter-validation" tests="2" failures="1"/);
+        expect(xml).toMatch(/<failure message="1 error\(s\)" type="ValidationError">\[error\] Missing required field: filterIcon<\/failure>/);
+        expect(xml).toContain("<system-out>[warning] Rule 1 'Everything': Uses deprecated field 'levelDependent_deprecated'</system-out>");
+        expect(() => new ReportFormatter().format(results, 'csv')).toThrow("Unknown report format 'csv'");
+    });
+
+    test('validate --format json writes only the report to stdout and fails on errors', () => {
+        const run = format => spawnSync(process.execPath, [CLI, 'validate', tempDir, '--no-semantic', '--format', format], {
+            cwd: path.join(__dirname, '..'),
+            encoding: 'utf8',
+            timeout: 60000
+        });
+
+        const json = run('json');
+        expect(json.status).toBe(1);
+        const { summary } = JSON.parse(json.stdout);
+        expect(summary).toMatchObject({ totalFiles: 2, warnings: 1 });
+        expect(summary.errors).toBeGreaterThan(0);
+
+        const junit = run('junit');
+        expect(junit.stdout.trim().startsWith('<?xml')).toBe(true);
+
+        const unknown = run('yaml');
+        expect(unknown.status).toBe(1);
+        expect(unknown.stderr).toContain('Unknown format: yaml');
+    }, 60000);
+});
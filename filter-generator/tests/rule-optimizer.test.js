@@ -0,0 +1,78 @@
+const { Rule } = require('../src/model');
+const RuleOptimizer = require('../src/generator/rule-optimizer');
+
+const affixRule = (name, affixes, options = {}) => {
+    const rule = new Rule({
+        type: options.type || 'SHOW',
+        nameOverride: name,
+        color: options.color || 13,
+        soundId: 1,
+        beamId: 1,
+        emphasized: true,
+        conditions: [
+            ...(options.rarity ? [{ type: 'RarityCondition', rarity: options.rarity }] : []),
+            { type: 'AffixCondition', affixes, ...(options.affix || {}) }
+        ]
+    });
+    rule.priority = options.priority;
+    return rule;
+};
+
+const names = rules => rules.map(rule => rule.nameOverride);
+
+describe('RuleOptimizer', () => {
+    test('merges rules with identical visuals by unioning their affix lists', () => {
+        const { rules, report } = new RuleOptimizer(1).optimize([affixRule('A', [1, 2]), affixRule('B', [3])]);
+
+        expect(names(rules)).toEqual(['A / B']);
+        expect(rules[0].getCondition('AffixCondition').affixes).toEqual([1, 2, 3]);
+        expect(report.merged).toHaveLength(1);
+        expect(report.dropped).toEqual([]);
+    });
+
+    test('does not union affix lists of "N on the same item" or combined tier conditions', () => {
+        const optimizer = new RuleOptimizer(1);
+        const twoOf = { affix: { minOnTheSameItem: 2, advanced: true } };
+        const combined = { affix: { combinedComparsion: 'MORE_OR_EQUAL', combinedComparsionValue: 8, advanced: true } };
+
+        expect(optimizer.findMergeableField(affixRule('A', [1, 2], twoOf), affixRule('B', [3, 4], twoOf))).toBeNull();
+        expect(optimizer.findMergeableField(affixRule('A', [1, 2], combined), affixRule('B', [3, 4], combined))).toBeNull();
+        expect(optimizer.findMergeableField(
+            affixRule('A', [1], { affix: { comparsion: 'MORE_OR_EQUAL', comparsionValue: 6 } }),
+            affixRule('B', [2], { affix: { comparsion: 'MORE_OR_EQUAL', comparsionValue: 5 } }))).toBeNull();
+    });
+
+    test('does not move a rule above an overlapping rule with other visuals', () => {
+        const rules = [affixRule('A', [1]), affixRule('Other Color', [5], { color: 3 }), affixRule('B', [2])];
+        const optimizer = new RuleOptimizer(2);
+
+        expect(optimizer.canMoveUp(rules, 0, 2)).toBe(false);
+        expect(() => optimizer.optimize(rules)).toThrow('Unable to fit filter into rule budget: 3/2');
+    });
+
+    test('moves a rule above rules that cannot match the same items', () => {
+        const rules = [
+            affixRule('A', [1], { rarity: ['RARE'] }),
+            affixRule('Magic Only', [5], { rarity: ['MAGIC'], color: 3 }),
+            affixRule('B', [2], { rarity: ['RARE'] })
+        ];
+        const { rules: optimized } = new RuleOptimizer(2).optimize(rules);
+
+        expect(names(optimized)).toEqual(['A / B', 'Magic Only']);
+    });
+
+    test('drops the lowest affixMappings priority first and never critical rules', () => {
+        const rules = [
+            affixRule('Critical', [1], { priority: 'critical', color: 10 }),
+            affixRule('Medium', [2], { priority: 'medium', color: 15 }),
+            affixRule('Low', [3], { priority: 'low', color: 14 }),
+            affixRule('Very Low', [4], { priority: 'very_low', color: 12 })
+        ];
+        const { rules: optimized, report } = new RuleOptimizer(2).optimize(rules);
+
+        expect(names(optimized)).toEqual(['Critical', 'Medium']);
+        expect(report.dropped.map(entry => entry.rule)).toEqual(['Very Low', 'Low']);
+        expect(() => new RuleOptimizer(1).optimize([rules[0], affixRule('Build', [9], { color: 5 })]))
+            .toThrow('Unable to fit filter into rule budget: 2/1');
+    });
+});
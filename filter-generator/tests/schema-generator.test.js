@@ -0,0 +1,126 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const SchemaGenerator = require('../src/schema/schema-generator');
+const XSDValidator = require('../src/validation/xsd-validator');
+
+const SAMPLE_DIR = path.join(__dirname, '../SampleFilters');
+
+const FIRST = `<?xml version="1.0" encoding="utf-8"?>
+<ItemFilter xmlns:i="http://www.w3.org/2001/XMLSchema-instance">
+  <name>First</name>
+  <rules>
+    <Rule>
+      <type>SHOW</type>
+      <conditions>
+        <Condition i:type="RarityCondition">
+          <rarity>UNIQUE SET</rarity>
+          <minLegendaryPotential>1</minLegendaryPotential>
+        </Condition>
+        <Condition i:type="AffixCondition">
+          <affixes>
+            <int>5</int>
+            <int>6</int>
+          </affixes>
+          <comparsion>ANY</comparsion>
+        </Condition>
+      </conditions>
+      <color>3</color>
+      <nameOverride>Uniques</nameOverride>
+    </Rule>
+    <Rule>
+      <type>HIDE</type>
+      <conditions />
+      <color>0</color>
+    </Rule>
+  </rules>
+</ItemFilter>`;
+
+const SECOND = `<?xml version="1.0" encoding="utf-8"?>
+<ItemFilter xmlns:i="http://www.w3.org/2001/XMLSchema-instance">
+  <name>Second</name>
+  <rules>
+    <Rule>
+      <type>HIGHLIGHT</type>
+      <conditions>
+        <Condition i:type="RarityCondition">
+          <rarity>RARE</rarity>
+          <minLegendaryPotential i:nil="true" />
+        </Condition>
+      </conditions>
+      <color>12</color>
+      <nameOverride>Rares</nameOverride>
+    </Rule>
+  </rules>
+</ItemFilter>`;
+
+describe('SchemaGenerator', () => {
+    let tempDir;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-generator-'));
+        await fs.writeFile(path.join(tempDir, 'first.xml'), FIRST, 'utf8');
+        await fs.writeFile(path.join(tempDir, 'second.xml'), SECOND, 'utf8');
+    });
+
+    afterAll(async () => {
+        console.log.mockRestore();
+        await fs.remove(tempDir);
+    });
+
+    const generate = async (...files) => {
+        const generator = new SchemaGenerator();
+        for (const file of files) {
+            await generator.analyzeXMLFile(file);
+        }
+        return generator.generateXSDContent();
+    };
+
+    /**
+     * Text of one complexType definition, or null when it is missing
+     */
+    const complexType = (xsd, name) => {
+        const start = xsd.indexOf(`<xs:complexType name="${name}">`);
+        return start === -1 ? null : xsd.slice(start, xsd.indexOf('</xs:complexType>', start));
+    };
+
+    test('each i:type gets its own complex type derived from ConditionType', async () => {
+        const xsd = await generate(path.join(tempDir, 'first.xml'), path.join(tempDir, 'second.xml'));
+
+        expect(complexType(xsd, 'RarityCondition')).toContain('<xs:extension base="ConditionType">');
+        expect(complexType(xsd, 'RarityCondition')).toContain('name="minLegendaryPotential" type="xs:int" minOccurs="1" maxOccurs="1" nillable="true"');
+        expect(complexType(xsd, 'RarityCondition')).not.toContain('name="affixes"');
+        expect(complexType(xsd, 'AffixCondition')).toContain('<xs:extension base="ConditionType">');
+        expect(complexType(xsd, 'AffixCondition')).toContain('name="affixes" type="affixesType"');
+        expect(complexType(xsd, 'conditionsType')).toContain('name="Condition" type="ConditionType" minOccurs="0" maxOccurs="unbounded"');
+    });
+
+    test('children keep their observed order and are optional when some parents lack them', async () => {
+        const rule = complexType(await generate(path.join(tempDir, 'first.xml'), path.join(tempDir, 'second.xml')), 'RuleType');
+        const children = [...rule.matchAll(/<xs:element name="(\w+)" type="[^"]+" minOccurs="(\d)"/g)]
+            .map(([, name, minOccurs]) => [name, minOccurs]);
+
+        expect(children).toEqual([['type', '1'], ['conditions', '1'], ['color', '1'], ['nameOverride', '0']]);
+    });
+
+    test('sample filters yield enumerations and a schema they validate against', async () => {
+        const files = (await fs.readdir(SAMPLE_DIR)).filter(file => file.endsWith('.xml'))
+            .map(file => path.join(SAMPLE_DIR, file));
+        const xsd = await generate(...files);
+        const enumeration = name => {
+            const start = xsd.indexOf(`<xs:simpleType name="${name}">`);
+            return start === -1 ? null : [...xsd.slice(start, xsd.indexOf('</xs:simpleType>', start))
+                .matchAll(/<xs:enumeration value="(\w+)"\/>/g)].map(match => match[1]);
+        };
+
+        expect(enumeration('TypeEnum')).toEqual(['HIDE', 'HIGHLIGHT', 'SHOW']);
+        expect(enumeration('CombinedComparsionEnum')).toEqual(['ANY', 'MORE', 'MORE_OR_EQUAL']);
+        expect(complexType(xsd, 'AffixCountCondition')).toContain('<xs:extension base="ConditionType">');
+
+        const validator = new XSDValidator(xsd);
+        for (const file of files) {
+            expect([path.basename(file), validator.validate(await fs.readFile(file, 'utf8'))]).toEqual([path.basename(file), []]);
+        }
+    }, 30000);
+});
@@ -0,0 +1,57 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const DataManager = require('../src/data/data-manager');
+const { Filter } = require('../src/model');
+const SemanticValidator = require('../src/validation/semantic-validator');
+const XMLValidator = require('../src/validation/xml-validator');
+
+describe('SemanticValidator', () => {
+    let validator;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        validator = new SemanticValidator(new DataManager());
+        await validator.load();
+        console.log.mockRestore();
+    });
+
+    const issuesOf = rule => validator.validateFilter(new Filter({ rules: [rule] }))
+        .map(issue => [issue.severity, issue.message]);
+
+    test('unknown affix IDs and idol / item mix-ups are warnings', () => {
+        const issues = issuesOf({
+            type: 'SHOW',
+            nameOverride: 'Idols',
+            conditions: [
+                { type: 'SubTypeCondition', equipmentTypes: ['IDOL_2x2'] },
+                { type: 'AffixCondition', affixes: [50, 99999] }
+            ]
+        });
+
+        expect(issues).toEqual([
+            ['warning', 'Unknown affix IDs not in id-lookup.json: 99999'],
+            ['warning', 'Item affix IDs used in idol-only rule: 50']
+        ]);
+    });
+
+    test('unknown visuals are errors', () => {
+        expect(issuesOf({ type: 'SHOW', color: 99, soundId: 1, beamId: 1, conditions: [] }))
+            .toEqual([['error', 'Unknown color 99 (not in colors-sounds-beams.json)']]);
+    });
+
+    test('a filter with only warnings stays valid', async () => {
+        const filter = new Filter({
+            name: 'Affixes',
+            rules: [{ type: 'SHOW', nameOverride: 'Affixes', conditions: [{ type: 'AffixCondition', affixes: [99999] }] }]
+        });
+        const file = path.join(os.tmpdir(), `semantic-validator-${process.pid}.xml`);
+        await filter.save(file);
+        const result = await new XMLValidator(validator).validateFile(file);
+        await fs.remove(file);
+
+        expect(result.errors).toEqual([]);
+        expect(result.warnings.map(issue => issue.source)).toContain('semantic');
+        expect(result.valid).toBe(true);
+    });
+});
@@ -0,0 +1,59 @@
+const path = require('path');
+const fs = require('fs-extra');
+const FilterGenerator = require('../src/generator/filter-generator');
+const { getStrictnessLevels, getStrictness } = require('../src/generator/strictness');
+
+const INTERMEDIATE = path.join(__dirname, '../generated/analysis/bear-beastmaster.intermediate.json');
+
+describe('strictness levels', () => {
+    let filters;
+
+    beforeAll(async () => {
+        const intermediate = await fs.readJson(INTERMEDIATE);
+        const generator = new FilterGenerator();
+        filters = Object.fromEntries(getStrictnessLevels()
+            .map(level => [level, generator.compile(intermediate, { strictness: level })]));
+    });
+
+    const namesOf = (level, type) => filters[level].getEvaluationOrder()
+        .filter(entry => entry.rule.type === type)
+        .map(entry => entry.rule.nameOverride);
+
+    test('levels run from regular to uber-strict and unknown levels are rejected', () => {
+        expect(getStrictnessLevels()).toEqual(['regular', 'strict', 'very-strict', 'uber-strict']);
+        expect(() => getStrictness('lenient')).toThrow('Unknown strictness level: lenient');
+    });
+
+    test('each level hides more rarities, and all but regular hide everything else', () => {
+        expect(getStrictnessLevels().map(level => namesOf(level, 'HIDE'))).toEqual([
+            ['Normal Items', 'Other Classes', 'Set Items'],
+            ['Normal Items', 'Other Classes', 'Set Items', 'Everything Else'],
+            ['Normal Items', 'Magic Items', 'Other Classes', 'Set Items', 'Everything Else'],
+            ['Normal Items', 'Magic Items', 'Rare Items', 'Other Classes', 'Set Items', 'Everything Else']
+        ]);
+    });
+
+    test('each level drops the lowest affix priority bucket and raises the LP / WW thresholds', () => {
+        const shown = level => namesOf(level, 'SHOW').filter(name => /^(\w+ Affixes|\d LP Uniques|Other Uniques|Valuable Uniques)/.test(name));
+
+        expect(shown('regular')).toEqual(['4 LP Uniques', '3 LP Uniques', 'Valuable Uniques (10+ WW)', '2 LP Uniques',
+            '1 LP Uniques', 'Other Uniques', 'Critical Affixes', 'High Affixes', 'Medium Affixes']);
+        expect(shown('strict')).toEqual(['4 LP Uniques', '3 LP Uniques', 'Valuable Uniques (15+ WW)', '2 LP Uniques',
+            '1 LP Uniques', 'Critical Affixes', 'High Affixes', 'Medium Affixes']);
+        expect(shown('very-strict')).toEqual(['4 LP Uniques', '3 LP Uniques', 'Valuable Uniques (20+ WW)', '2 LP Uniques',
+            'Critical Affixes', 'High Affixes']);
+        expect(shown('uber-strict')).toEqual(['4 LP Uniques', '3 LP Uniques', 'Valuable Uniques (25+ WW)', 'Critical Affixes']);
+    });
+
+    test('affix rules only match the rarities the level keeps, and uber-strict build uniques need LP', () => {
+        const critical = level => filters[level].rules.find(rule => rule.nameOverride === 'Critical Affixes');
+        const buildUniques = level => filters[level].rules.find(rule => rule.nameOverride === 'Build Uniques');
+
+        expect(critical('regular').getCondition('RarityCondition').rarity).toEqual(['MAGIC', 'RARE', 'EXALTED']);
+        expect(critical('very-strict').getCondition('RarityCondition').rarity).toEqual(['RARE', 'EXALTED']);
+        expect(critical('uber-strict').getCondition('RarityCondition').rarity).toEqual(['EXALTED']);
+
+        expect(buildUniques('very-strict').getCondition('RarityCondition')).toBeFalsy();
+        expect(buildUniques('uber-strict').getCondition('RarityCondition')).toMatchObject({ minLegendaryPotential: 1 });
+    });
+});
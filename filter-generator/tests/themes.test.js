@@ -0,0 +1,81 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const DataManager = require('../src/data/data-manager');
+const { Filter } = require('../src/model');
+const XMLValidator = require('../src/validation/xml-validator');
+const { CONFUSABLE_COLOR_PAIRS } = require('../src/data/game-constants');
+const FilterGenerator = require('../src/generator/filter-generator');
+const { getDefaultVisuals, getThemeNames, loadTheme, resolveTheme } = require('../src/generator/themes');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const INTERMEDIATE = path.join(__dirname, '../generated/analysis/bear-beastmaster.intermediate.json');
+
+describe('themes', () => {
+    let dataManager;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dataManager = new DataManager();
+        await dataManager.loadAll();
+        console.log.mockRestore();
+    });
+
+    test('default visuals are themes/default.json resolved through the database', async () => {
+        expect(getDefaultVisuals()).toEqual(resolveTheme(await loadTheme('default'), dataManager));
+    });
+
+    test('the default theme uses no color from a red/green confusable pair', async () => {
+        const colors = new Set(Object.values(getDefaultVisuals()).map(visual => visual.color));
+        expect(CONFUSABLE_COLOR_PAIRS.filter(pair => pair.every(color => colors.has(color)))).toEqual([]);
+
+        // Golden filters are compiled with the default theme
+        const validator = new XMLValidator();
+        for (const file of (await fs.readdir(GOLDEN_DIR)).filter(name => name.endsWith('.xml'))) {
+            const filter = Filter.parse(await fs.readFile(path.join(GOLDEN_DIR, file), 'utf8'));
+            expect([file, validator.checkConfusableColors(filter)]).toEqual([file, []]);
+        }
+    });
+
+    test('themes load by name or path and fill missing tiers from the default theme', async () => {
+        const themePath = path.join(os.tmpdir(), `theme-${process.pid}.json`);
+        await fs.writeJson(themePath, { name: 'Partial', tiers: { chase: { color: 'White', sound: 'Zap' } } });
+
+        try {
+            const [defaults, partial] = [await loadTheme(), await loadTheme(themePath)];
+            expect(Object.keys(partial.tiers).sort()).toEqual(Object.keys(defaults.tiers).sort());
+            expect(partial.tiers.chase).toEqual({ color: 'White', sound: 'Zap' });
+            expect(partial.tiers.unique).toEqual(defaults.tiers.unique);
+        } finally {
+            await fs.remove(themePath);
+        }
+
+        expect(await getThemeNames()).toEqual(['colorblind', 'default', 'high-contrast']);
+        expect((await loadTheme('colorblind')).tiers['build-core'].color).toBe('Cyan');
+        await expect(loadTheme('neon')).rejects.toThrow('Unknown theme: neon (expected: colorblind, default, high-contrast or a theme JSON file)');
+    });
+
+    test('unknown color, sound and beam names are errors', () => {
+        const resolve = style => () => resolveTheme({ name: 'Broken', tiers: { chase: style } }, dataManager);
+
+        expect(resolve({ color: 'Ultraviolet' })).toThrow("Theme Broken tier 'chase': unknown color 'Ultraviolet'");
+        expect(resolve({ color: 'White', sound: 'Kazoo' })).toThrow("Theme Broken tier 'chase': unknown sound 'Kazoo'");
+        expect(resolve({ color: 'White', beam: 'Laser' })).toThrow("Theme Broken tier 'chase': unknown beam 'Laser'");
+        expect(resolve({ sound: 'Zap' })).toThrow("Theme Broken tier 'chase': missing color");
+        // Names are case-insensitive and a missing sound or beam means None, like the default theme's White hide-dim tier
+        expect(resolve({ color: 'white', emphasized: 1 })()).toEqual({ chase: { ...getDefaultVisuals()['hide-dim'], emphasized: true } });
+    });
+
+    test('compiling with a theme restyles the rules', async () => {
+        const intermediate = await fs.readJson(INTERMEDIATE);
+        const visuals = resolveTheme(await loadTheme('colorblind'), dataManager);
+        const buildUniques = filter => filter.rules.find(rule => rule.nameOverride === 'Build Uniques');
+
+        const themed = buildUniques(new FilterGenerator().compile(intermediate, { visuals }));
+        const plain = buildUniques(new FilterGenerator().compile(intermediate));
+
+        expect(themed).toMatchObject({ color: visuals['build-core'].color, soundId: visuals['build-core'].soundId });
+        expect(plain.color).toBe(getDefaultVisuals()['build-core'].color);
+        expect(themed.color).not.toBe(plain.color);
+    });
+});
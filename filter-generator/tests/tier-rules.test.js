@@ -0,0 +1,29 @@
+const FilterGenerator = require('../src/generator/filter-generator');
+const { getStrictness } = require('../src/generator/strictness');
+
+describe('tier rules', () => {
+    const generator = new FilterGenerator();
+    const settings = getStrictness('regular');
+    const bracket = { range: [1, 100], tierReq: 6, affixes: ['3'] };
+
+    const rulesOf = itemPriorities => generator.buildTierRules(itemPriorities, settings)
+        .map(rule => [rule.nameOverride, rule.getCondition('SubTypeCondition').equipmentTypes]);
+
+    test('weapon brackets cover weapons only, off-hands have their own group', () => {
+        const [[weaponLabel, weaponTypes], [offhandLabel, offhandTypes]] = rulesOf({
+            weapons: { levelBrackets: [bracket] },
+            offhands: { levelBrackets: [bracket] }
+        });
+
+        expect(weaponLabel).toBe('T6+ Weapon Affixes');
+        expect(weaponTypes).toEqual(expect.arrayContaining(['ONE_HANDED_MACES', 'TWO_HANDED_STAFF', 'BOW']));
+        expect(weaponTypes.filter(type => ['CATALYST', 'SHIELD', 'QUIVER'].includes(type))).toEqual([]);
+        expect(offhandLabel).toBe('T6+ Off-Hand Affixes');
+        expect(offhandTypes).toEqual(['CATALYST', 'SHIELD', 'QUIVER']);
+    });
+
+    test('bracket subtypes narrow the group', () => {
+        expect(rulesOf({ offhands: { levelBrackets: [{ ...bracket, subtypes: ['shield'] }] } }))
+            .toEqual([['T6+ Off-Hand Affixes', ['SHIELD']]]);
+    });
+});
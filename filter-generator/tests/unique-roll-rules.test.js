@@ -0,0 +1,54 @@
+const DataManager = require('../src/data/data-manager');
+const FilterGenerator = require('../src/generator/filter-generator');
+
+describe('unique roll threshold rules', () => {
+    let generator;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const dataManager = new DataManager();
+        await dataManager.loadAll();
+        console.log.mockRestore();
+        generator = new FilterGenerator(dataManager);
+    });
+
+    const rollsOf = analysis => {
+        const [rule] = generator.buildUniqueRollRules(analysis);
+        return rule ? rule.getCondition('UniqueModifiersCondition').uniques : [];
+    };
+
+    test('RollId counts the unique modifiers without the implicits', () => {
+        const [crown] = rollsOf({
+            'Fractured Crown': {
+                uniqueID: 1,
+                rollThresholds: [{ modifier: 'Spell Critical Strike Multiplier', minRoll: 0.8 }, { modifier: 'Mana Before Health', minRoll: 0.6 }]
+            }
+        });
+
+        expect(crown.uniqueId).toBe(1);
+        expect(crown.rolls.map(roll => [roll.rollId, roll.minRoll])).toEqual([[0, 0.8], [2, 0.6]]);
+    });
+
+    test('implicit modifiers cannot be targeted', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const uniques = rollsOf({
+            'Fractured Crown': { uniqueID: 1, rollThresholds: [{ modifier: 'increased Critical Strike Chance', minRoll: 0.8 }] }
+        });
+        console.warn.mockRestore();
+
+        expect(uniques).toEqual([]);
+    });
+
+    test('critical and high priority uniques without thresholds need their key affixes above average', () => {
+        const uniques = rollsOf({
+            'Fractured Crown': { uniqueID: 1, priority: 'critical', keyAffixes: ['6 (T6)', '501 (T7)', 'Mana Before Health'] },
+            'Mantle of the Pale Ox': { uniqueID: 370, priority: 'high', keyAffixes: ['501 (T5-T6)'] },
+            'Red Ring of Atlaria': { uniqueID: 277, priority: 'critical', keyAffixes: ['26 (T6-T7)'] },
+            "Naal's Tooth": { uniqueID: 314, priority: 'medium', keyAffixes: ['2 (T5)'] },
+            'Seed of Ekkidrasil': { uniqueID: 357, priority: 'high', keyAffixes: ['501 (T7)'], rollThresholds: [] }
+        });
+
+        expect(uniques.map(unique => [unique.uniqueId, unique.rolls.map(roll => [roll.rollId, roll.minRoll])]))
+            .toEqual([[1, [[0, 0.5], [2, 0.5]]], [370, [[3, 0.5]]]]);
+    });
+});
@@ -0,0 +1,49 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const XMLValidator = require('../src/validation/xml-validator');
+
+describe('XMLValidator inputs', () => {
+    let tempDir;
+    let validator;
+    const files = ['top.xml', 'notes.txt', 'affixes/nested.xml', 'affixes/deeper/deep.XML', 'uniques/unique.xml'];
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'xml-validator-'));
+        for (const file of files) {
+            await fs.outputFile(path.join(tempDir, file), '<ItemFilter />', 'utf8');
+        }
+        validator = new XMLValidator();
+    });
+
+    afterAll(async () => {
+        await fs.remove(tempDir);
+    });
+
+    const resolve = async inputs => (await validator.resolveInputs(inputs))
+        .map(file => path.relative(tempDir, file).split(path.sep).join('/'));
+
+    test('directories are searched recursively for XML files', async () => {
+        expect(await resolve([tempDir])).toEqual(['affixes/deeper/deep.XML', 'affixes/nested.xml', 'top.xml', 'uniques/unique.xml']);
+    });
+
+    test('files, directories and globs combine into one sorted list without duplicates', async () => {
+        const glob = path.join(tempDir, 'uniques', '*.xml').split(path.sep).join('/');
+
+        expect(await resolve([path.join(tempDir, 'top.xml'), path.join(tempDir, 'affixes'), glob, path.join(tempDir, 'top.xml')]))
+            .toEqual(['affixes/deeper/deep.XML', 'affixes/nested.xml', 'top.xml', 'uniques/unique.xml']);
+    });
+
+    test('globs only match XML files and unmatched inputs are reported', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const glob = path.join(tempDir, '**', '*').split(path.sep).join('/');
+        const missing = path.join(tempDir, 'missing.xml');
+
+        const resolved = await resolve([glob, missing]);
+        const warnings = warn.mock.calls.map(call => call[0]);
+        warn.mockRestore();
+
+        expect(resolved).toEqual(['affixes/deeper/deep.XML', 'affixes/nested.xml', 'top.xml', 'uniques/unique.xml']);
+        expect(warnings).toEqual([`⚠️  No XML files match: ${missing}`]);
+    });
+});
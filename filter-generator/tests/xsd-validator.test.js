@@ -0,0 +1,99 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const XSDValidator = require('../src/validation/xsd-validator');
+const XMLValidator = require('../src/validation/xml-validator');
+
+const SCHEMA = path.join(__dirname, '../schema/filter-schema.xsd');
+const SAMPLE_DIR = path.join(__dirname, '../SampleFilters');
+
+const FILTER = `<?xml version="1.0" encoding="utf-8"?>
+<ItemFilter xmlns:i="http://www.w3.org/2001/XMLSchema-instance">
+  <name>Located</name>
+  <filterIcon>2</filterIcon>
+  <filterIconColor>12</filterIconColor>
+  <description />
+  <lastModifiedInVersion>1.3.1.1</lastModifiedInVersion>
+  <lootFilterVersion>5</lootFilterVersion>
+  <rules>
+    <Rule>
+      <type>SHOW</type>
+      <conditions>
+        <Condition i:type="RarityCondition">
+          <rarity>UNIQUE</rarity>
+          <minLegendaryPotential>1</minLegendaryPotential>
+          <maxLegendaryPotential i:nil="true" />
+          <minWeaversWill i:nil="true" />
+          <maxWeaversWill i:nil="true" />
+        </Condition>
+      </conditions>
+      <color>3</color>
+      <isEnabled>true</isEnabled>
+      <emphasized>false</emphasized>
+      <nameOverride>Uniques</nameOverride>
+    </Rule>
+  </rules>
+</ItemFilter>`;
+
+describe('XSDValidator', () => {
+    let validator;
+
+    beforeAll(async () => {
+        validator = new XSDValidator(await fs.readFile(SCHEMA, 'utf8'));
+    });
+
+    test('sample filters are valid against the generated schema', async () => {
+        const files = (await fs.readdir(SAMPLE_DIR)).filter(file => file.endsWith('.xml'));
+
+        for (const file of files) {
+            const errors = validator.validate(await fs.readFile(path.join(SAMPLE_DIR, file), 'utf8'));
+            expect([file, errors]).toEqual([file, []]);
+        }
+        expect(validator.validate(FILTER)).toEqual([]);
+    });
+
+    test('type errors carry the line, column and rule of the element', () => {
+        expect(validator.validate(FILTER.replace('<color>3</color>', '<color>gold</color>'))).toEqual([
+            { line: 21, column: 7, message: "<color>: 'gold' is not a valid xs:int", rule: 1 }
+        ]);
+    });
+
+    test('conditions are checked against the complex type named by i:type', () => {
+        const affixes = FILTER.replace('<rarity>UNIQUE</rarity>', '<rarity>UNIQUE</rarity>\n          <affixes />');
+        expect(validator.validate(affixes)).toEqual([
+            { line: 15, column: 11, message: 'Unexpected element <affixes> in <Condition>', rule: 1 }
+        ]);
+
+        const missing = FILTER.replace(/\s*<minWeaversWill i:nil="true" \/>/, '');
+        expect(validator.validate(missing).map(error => error.message))
+            .toEqual(['Missing required element <minWeaversWill> before <maxWeaversWill>']);
+
+        const unknown = FILTER.replace('RarityCondition', 'MysteryCondition');
+        expect(validator.validate(unknown)).toEqual([
+            { line: 13, column: 9, message: "i:type 'MysteryCondition' of <Condition> is not declared in the schema", rule: 1 }
+        ]);
+    });
+
+    test('malformed XML is reported where the parser stopped', () => {
+        expect(validator.validate(FILTER.replace('</name>', '</nam>'))).toEqual([
+            { line: 3, column: 21, message: 'XML parsing failed: Unexpected close tag', rule: null }
+        ]);
+    });
+
+    test('XMLValidator lists schema errors by line with the rule name', async () => {
+        const file = path.join(os.tmpdir(), `xsd-validator-${process.pid}.xml`);
+        await fs.writeFile(file, FILTER.replace('<color>3</color>', '<color>gold</color>'), 'utf8');
+
+        try {
+            const xmlValidator = new XMLValidator();
+            const result = await xmlValidator.validateFile(file, validator);
+            const schemaErrors = result.errors.filter(error => error.source === 'schema');
+
+            expect(result.valid).toBe(false);
+            expect(schemaErrors).toEqual([expect.objectContaining({ line: 21, column: 7, rule: { index: 1, name: 'Uniques' } })]);
+            expect(xmlValidator.formatIssue(schemaErrors[0])).toBe("Line 21, column 7: <color>: 'gold' is not a valid xs:int");
+        } finally {
+            await fs.remove(file);
+        }
+    });
+});